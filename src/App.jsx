@@ -18,49 +18,72 @@ import {
   Plus,
   UploadCloud,
   X,
-  HelpCircle
+  HelpCircle,
+  Layers,
+  GitPullRequest,
+  GitCompare,
+  Archive,
+  Search,
+  Pencil,
+  Trash2,
+  FolderUp,
+  Columns2,
+  ListTree,
+  GitCommitVertical,
+  Download,
+  Users,
+  Command
 } from 'lucide-react';
-
-// --- MOCK DATA FOR DEMO MODE ---
-const MOCK_DATA = {
-  branches: [{ name: 'main' }, { name: 'develop' }, { name: 'feature/docs-update' }],
-  tree: [
-    { path: 'README.md', type: 'blob', sha: '1' },
-    { path: 'docs/getting-started.md', type: 'blob', sha: '2' },
-    { path: 'docs/api-reference.md', type: 'blob', sha: '3' },
-    { path: 'CONTRIBUTING.md', type: 'blob', sha: '4' },
-  ],
-  files: {
-    'README.md': '# Project Title\n\nWelcome to the repository. This is a mock file for demonstration.',
-    'docs/getting-started.md': '# Getting Started\n\n1. Install dependencies\n2. Run the server\n3. Enjoy!',
-    'docs/api-reference.md': '# API Reference\n\nGET /users\nPOST /users',
-    'CONTRIBUTING.md': '# Contributing\n\nPlease read this before submitting a PR.',
-  },
-  history: [
-    { commit: { message: 'Update installation guide', author: { name: 'Jane Doe', date: '2023-10-25T14:00:00Z' } }, sha: 'h1' },
-    { commit: { message: 'Initial commit', author: { name: 'John Smith', date: '2023-10-24T09:30:00Z' } }, sha: 'h2' }
-  ]
-};
-
-// --- UTILITY FUNCTIONS ---
-const Base64 = {
-  encode: (str) => {
-    return btoa(unescape(encodeURIComponent(str)));
-  },
-  decode: (str) => {
-    return decodeURIComponent(escape(window.atob(str)));
-  }
-};
-
-const formatDate = (dateString) => {
-  return new Date(dateString).toLocaleDateString('en-US', {
-    year: 'numeric',
-    month: 'short',
-    day: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit'
-  });
-};
+import MarkdownPreview from './components/MarkdownPreview';
+import StagedChangesPanel from './components/StagedChangesPanel';
+import PullRequestBadge from './components/PullRequestBadge';
+import BranchSelector from './components/BranchSelector';
+import DiffView from './components/DiffView';
+import HistoryVersionView from './components/HistoryVersionView';
+import MergeConflictModal from './components/MergeConflictModal';
+import DraftRecoveryModal from './components/DraftRecoveryModal';
+import QuickOpen from './components/QuickOpen';
+import CommandPalette from './components/CommandPalette';
+import ShortcutsModal from './components/ShortcutsModal';
+import SearchPanel from './components/SearchPanel';
+import DocsCheckPanel from './components/DocsCheckPanel';
+import ContextMenu from './components/ContextMenu';
+import FileOperationModal from './components/FileOperationModal';
+import NewFileModal from './components/NewFileModal';
+import ExportModal from './components/ExportModal';
+import WorkspaceSwitcher from './components/WorkspaceSwitcher';
+import VaultPanel from './components/VaultPanel';
+import UploadModal from './components/UploadModal';
+import RateLimitBadge from './components/RateLimitBadge';
+import EditorTabs from './components/EditorTabs';
+import CodeEditor from './components/CodeEditor';
+import SplitView from './components/SplitView';
+import FormatToolbar from './components/FormatToolbar';
+import FrontMatterForm from './components/FrontMatterForm';
+import OutlinePanel from './components/OutlinePanel';
+import BlameView from './components/BlameView';
+import { createProvider, PROVIDERS, resetDemoRepository } from './providers';
+import { discardHunk } from './lib/diff';
+import { formatDate, formatSize } from './lib/format';
+import { applyResolutions, countConflicts, threeWayMerge } from './lib/merge';
+import { deleteDraft, draftKey, listDrafts, repoKey, saveDraft } from './lib/drafts';
+import { searchContents, syncSearchIndex } from './lib/search';
+import { checkDocs } from './lib/docsCheck';
+import { buildDocsZip, buildHtmlBundle, downloadFile, exportableDocs, referencedImages } from './lib/exportDocs';
+import { imageDataUrl } from './lib/images';
+import { findHeadings } from './lib/markdown';
+import { headingAtLine, moveSection } from './lib/outline';
+import { loadOpenTabs, saveOpenTabs } from './lib/tabs';
+import { addRecentFile, listWorkspaces, removeWorkspace, saveWorkspace, workspaceConfig } from './lib/workspaces';
+import { createVault, deleteVault, hasVault, saveVaultTokens, setVaultLockMinutes, unlockVault, vaultLockMinutes } from './lib/vault';
+import { replaceDocument, scrollToLine, selectLine } from './lib/editor';
+import { formattingKeymap } from './lib/formatting';
+import { SHORTCUT_COMMANDS, eventShortcut, isTypingKey, loadShortcuts, saveShortcuts, withShortcut } from './lib/shortcuts';
+import { DEFAULT_FRONT_MATTER_SCHEMA, FRONT_MATTER_CONFIG, parseFrontMatterSchema } from './lib/frontMatter';
+import { isTemplatePath, parseTemplate } from './lib/templates';
+import { createPathMapper, rewriteMarkdownLinks } from './lib/links';
+import { basename, dirname, isMarkdownPath, lineFromHash } from './lib/paths';
+import { filesFromDrop, filesFromInput, readFileAsBase64 } from './lib/upload';
 
 // --- COMPONENTS ---
 
@@ -95,7 +118,9 @@ const TokenHelpModal = ({ onClose }) => {
             <li>Click <strong>Generate token</strong> and copy it here.</li>
           </ol>
           <div className="bg-blue-50 p-3 rounded text-blue-800 text-xs">
-            <strong>Note:</strong> Your token is only stored in your browser's memory and is cleared when you refresh.
+            <strong>Note:</strong> Your token stays in this tab's memory and is gone after a refresh, unless you save it
+            in the token vault. The vault keeps it in this browser, encrypted with your passphrase, and locks itself
+            after a period of inactivity.
           </div>
         </div>
         <div className="px-6 py-4 bg-slate-50 flex justify-end">
@@ -111,10 +136,46 @@ const TokenHelpModal = ({ onClose }) => {
   );
 };
 
-const FileTreeItem = ({ item, depth = 0, activePath, onSelect, expandedFolders, toggleFolder }) => {
+// Editor layouts of a tab, as restored from storage
+const EDITOR_LAYOUTS = ['edit', 'split', 'preview'];
+
+// Drag payload for moving tree items: JSON { path, isFolder }
+const TREE_DRAG_TYPE = 'application/x-repo-path';
+
+// Tree drags and files dragged in from the desktop
+const isTreeDrop = (dataTransfer) =>
+  dataTransfer.types.includes(TREE_DRAG_TYPE) || dataTransfer.types.includes('Files');
+
+const FileTreeItem = ({ item, depth = 0, activePath, onSelect, expandedFolders, toggleFolder, onContextMenu, onMove, onUpload }) => {
   const isFolder = item.type === 'tree';
   const isExpanded = expandedFolders.has(item.path);
   const isActive = activePath === item.path;
+  const [isDropTarget, setIsDropTarget] = useState(false);
+
+  const handleDragStart = (e) => {
+    e.stopPropagation();
+    e.dataTransfer.setData(TREE_DRAG_TYPE, JSON.stringify({ path: item.path, isFolder }));
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  // A folder's wrapper (row + children) is its drop zone, so dropping onto a file inside
+  // it moves into that folder. Drops outside any folder bubble up to the tree root.
+  const handleDragOver = (e) => {
+    if (!isFolder || !isTreeDrop(e.dataTransfer)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDropTarget(true);
+  };
+
+  const handleDrop = (e) => {
+    if (!isFolder || !isTreeDrop(e.dataTransfer)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDropTarget(false);
+    const data = e.dataTransfer.getData(TREE_DRAG_TYPE);
+    if (data) onMove(JSON.parse(data), item.path);
+    else onUpload(e.dataTransfer, item.path);
+  };
 
   const handleClick = (e) => {
     e.stopPropagation();
@@ -126,11 +187,23 @@ const FileTreeItem = ({ item, depth = 0, activePath, onSelect, expandedFolders,
   };
 
   return (
-    <div>
+    <div
+      onDragOver={handleDragOver}
+      onDragLeave={(e) => !e.currentTarget.contains(e.relatedTarget) && setIsDropTarget(false)}
+      onDrop={handleDrop}
+    >
       <div
         onClick={handleClick}
+        onContextMenu={(e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          onContextMenu(e, item);
+        }}
+        draggable
+        onDragStart={handleDragStart}
         className={`flex items-center gap-2 py-1.5 px-2 cursor-pointer text-sm select-none transition-colors
           ${isActive ? 'bg-blue-100 text-blue-700 font-medium' : 'hover:bg-slate-100 text-slate-700'}
+          ${isDropTarget ? 'ring-2 ring-inset ring-blue-400 bg-blue-50' : ''}
         `}
         style={{ paddingLeft: `${depth * 16 + 8}px` }}
       >
@@ -155,6 +228,9 @@ const FileTreeItem = ({ item, depth = 0, activePath, onSelect, expandedFolders,
               onSelect={onSelect}
               expandedFolders={expandedFolders}
               toggleFolder={toggleFolder}
+              onContextMenu={onContextMenu}
+              onMove={onMove}
+              onUpload={onUpload}
             />
           ))}
         </div>
@@ -167,25 +243,70 @@ export default function App() {
   // --- STATE ---
   // Config
   const [config, setConfig] = useState({
-    owner: 'pawelpiela-lilly',
-    repo: 'claude_skills',
+    owner: '',
+    repo: '',
     token: '',
-    mode: 'demo' // 'demo' or 'live'
+    mode: 'demo', // 'demo' or 'live'
+    provider: 'github', // live backend: 'github' | 'gitlab' | 'gitea'
+    baseUrl: '', // API root for self-hosted instances; empty = the provider's public host
+    branch: '' // branch to open; empty = 'main'
   });
   const [showConfig, setShowConfig] = useState(true);
+  // Saved live repos (lib/workspaces), most recent first
+  const [workspaces, setWorkspaces] = useState(listWorkspaces);
+  // Unlocked token vault: { key, salt, tokens }, null while locked or absent
+  const [vault, setVault] = useState(null);
+  const [vaultExists, setVaultExists] = useState(hasVault);
+  const [lockMinutes, setLockMinutes] = useState(vaultLockMinutes);
+  // Whether connecting stores the token in the vault (when it's unlocked)
+  const [rememberToken, setRememberToken] = useState(false);
+  // API budget reported by the provider's last response: { limit, remaining, resetAt }
+  const [rateLimit, setRateLimit] = useState(null);
+  const provider = useMemo(() => createProvider(config, { onRateLimit: setRateLimit }), [config]);
 
   // App Data
   const [branches, setBranches] = useState([]);
   const [currentBranch, setCurrentBranch] = useState('main');
+  const [defaultBranch, setDefaultBranch] = useState('main');
+  // Ahead/behind counts vs. defaultBranch, keyed by branch name: { ahead, behind, key }
+  const [branchComparisons, setBranchComparisons] = useState({});
   const [fileTree, setFileTree] = useState([]);
+  // Front matter fields for the form above the editor, from FRONT_MATTER_CONFIG when the branch has one
+  const [frontMatterSchema, setFrontMatterSchema] = useState(DEFAULT_FRONT_MATTER_SCHEMA);
 
   // Editor State
   const [activeFile, setActiveFile] = useState(null); // { path, sha }
   const [fileContent, setFileContent] = useState('');
   const [originalContent, setOriginalContent] = useState('');
-  const [isEditing, setIsEditing] = useState(true); // true = edit, false = preview
+  const [editorLayout, setEditorLayout] = useState('edit'); // 'edit', 'split' (editor + live preview) or 'preview'
   const [history, setHistory] = useState([]);
-  const [viewMode, setViewMode] = useState('editor'); // 'editor', 'history'
+  const [viewMode, setViewMode] = useState('editor'); // 'editor', 'history' or 'blame'
+  const [selectedCommits, setSelectedCommits] = useState([]); // up to two SHAs to compare
+  // Drill-down from the history table:
+  // { type: 'version', commit, content } | { type: 'compare', from, to, oldText, newText }
+  const [historyView, setHistoryView] = useState(null);
+  // Line blame of the active file on the current branch: { path, ranges }
+  const [blame, setBlame] = useState(null);
+  const [previewAnchor, setPreviewAnchor] = useState('');
+  // Line to select once `path` is open in the editor: { path, line, id }
+  const [editorJump, setEditorJump] = useState(null);
+  const [showOutline, setShowOutline] = useState(true);
+  const [cursorLine, setCursorLine] = useState(1);
+  // Outline click in the preview-only layout: { index, id }
+  const [headingJump, setHeadingJump] = useState(null);
+  // Open tabs in strip order: { path, sha, content, originalContent, editorLayout, viewMode, loaded }.
+  // The active tab is edited through the editor state above; its entry here is only
+  // brought up to date when another tab is activated.
+  const [tabs, setTabs] = useState([]);
+
+  // Staged changes waiting for a single multi-file commit, keyed by path:
+  // { path, action: 'upsert' | 'delete', content, baseContent, baseSha, encoding, isNew }
+  const [stagedChanges, setStagedChanges] = useState({});
+
+  // Local drafts (IndexedDB) for this repo, and their 'current' | 'stale' status keyed by draft key
+  const [drafts, setDrafts] = useState([]);
+  const [draftStatuses, setDraftStatuses] = useState({});
+  const [showDrafts, setShowDrafts] = useState(false);
 
   // Status
   const [loading, setLoading] = useState(false);
@@ -194,12 +315,55 @@ export default function App() {
   // Modals
   const [commitMessage, setCommitMessage] = useState('');
   const [showCommitModal, setShowCommitModal] = useState(false);
+  const [commitScope, setCommitScope] = useState('file'); // 'file' or 'staged'
+  const [commitProgress, setCommitProgress] = useState('');
+  // "Propose changes": commit to a new branch and open a pull request against `base`
+  const [proposal, setProposal] = useState({ enabled: false, branch: '', title: '', body: '', base: '', draft: false });
+  const [pullRequest, setPullRequest] = useState(null);
+  // Files whose commit was rejected because the branch copy changed underneath us and
+  // whose three-way merge needs manual resolution. The first entry is shown in the modal:
+  // { target: 'active' | 'staged', path, theirs, theirsSha, regions }
+  const [mergeQueue, setMergeQueue] = useState([]);
   const [showNewFileModal, setShowNewFileModal] = useState(false);
-  const [newFilePath, setNewFilePath] = useState('');
   const [showTokenHelp, setShowTokenHelp] = useState(false);
+  const [showQuickOpen, setShowQuickOpen] = useState(false);
+  const [palette, setPalette] = useState(null); // null, 'commands' or 'branches'
+  const [shortcuts, setShortcuts] = useState(loadShortcuts);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [sidebarView, setSidebarView] = useState('files'); // 'files', 'search' or 'docs'
+  const [indexProgress, setIndexProgress] = useState(null); // { done, total } while indexing
+  const [contextMenu, setContextMenu] = useState(null); // { x, y, item }
+  // Pending tree edit awaiting confirmation: { type: 'move' | 'delete', path, isFolder, target? }
+  const [fileOperation, setFileOperation] = useState(null);
+  // Files picked or dropped for upload, previewed before committing: { uploads, folder }
+  const [upload, setUpload] = useState(null);
+  // Folder preselected in the export dialog ('' = whole branch), null while it's closed
+  const [exportFolder, setExportFolder] = useState(null);
 
   // Refs
   const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+  // Draft keys written (or restored) by this session. Only these are removed when the
+  // file becomes clean, so merely opening a file never deletes an older draft of it.
+  const ownedDraftKeys = useRef(new Set());
+  const editorRef = useRef(null);
+  const lastEditorJump = useRef(null);
+  // Path whose contents fetchFileContent is loading into the editor. A load that finishes
+  // after its tab was left goes into the tab entry instead.
+  const loadingPath = useRef(null);
+  // Tab to activate once the tree of a reconnected repo has loaded
+  const restoredActiveTab = useRef(null);
+  // repoKey() of the last connection, to drop staged changes when another repo opens
+  const connectedRepo = useRef(null);
+  // Latest lockTokenVault, for the inactivity timer
+  const lockVaultRef = useRef(null);
+  // In-flight index sync, shared by searches started while it runs: { tree, promise }
+  const indexSync = useRef(null);
+  // Blob SHA -> file text for content search. Kept per connection, shared by all branches.
+  const searchIndex = useRef(new Map());
+  // Path -> the code editor's saved selection and undo history, so switching layouts or
+  // tabs remounts the editor without losing them
+  const [editorSessions] = useState(() => new Map());
 
   // --- HELPERS ---
   const showNotify = (msg, type = 'success') => {
@@ -207,48 +371,103 @@ export default function App() {
     setTimeout(() => setNotification({ message: '', type: 'info' }), 4000);
   };
 
-  const getHeaders = () => ({
-    'Authorization': `token ${config.token}`,
-    'Accept': 'application/vnd.github.v3+json'
-  });
-
   // --- API CALLS ---
 
   const fetchBranches = async () => {
-    if (config.mode === 'demo') {
-      setBranches(MOCK_DATA.branches);
-      return;
-    }
-
     try {
-      const res = await fetch(`https://api.github.com/repos/${config.owner}/${config.repo}/branches`, {
-        headers: getHeaders()
-      });
-      if (!res.ok) throw new Error('Failed to fetch branches');
-      const data = await res.json();
-      setBranches(data);
+      const [list, repository] = await Promise.all([provider.listBranches(), provider.getRepository()]);
+      setBranches(list);
+      setDefaultBranch(repository.defaultBranch);
     } catch (e) {
       showNotify(e.message, 'error');
     }
   };
 
-  const fetchFileTree = async (branch) => {
-    if (config.mode === 'demo') {
-      // Just mock tree return
-      return MOCK_DATA.tree;
+  // A branch is merged, so deleting it loses no commits, when the default branch already
+  // contains its head and has moved on since (a fresh branch is 0 ahead but 0 behind), or
+  // when its pull request was merged at its head, which covers squash and rebase merges.
+  // The pull request is only looked up when the comparison alone doesn't settle it.
+  const isBranchMerged = async (name, sha, { ahead, behind }) => {
+    if (ahead === 0 && behind > 0) return true;
+    const pr = await provider.findPullRequest(name);
+    return Boolean(sha) && pr?.status === 'merged' && pr.headSha === sha;
+  };
+
+  // Compares every branch against the default branch and checks whether it was merged.
+  // Results are cached per pair of head SHAs, so re-opening the selector only re-fetches
+  // branches that moved.
+  const fetchBranchComparisons = async () => {
+    const base = branches.find(b => b.name === defaultBranch);
+    if (!base) return;
+    const results = await Promise.all(branches
+      .filter(b => b.name !== defaultBranch)
+      .map(async (b) => {
+        // Without head SHAs there is nothing to cache on
+        const key = base.sha && b.sha ? `${base.sha}...${b.sha}` : null;
+        if (key && branchComparisons[b.name]?.key === key) return [b.name, branchComparisons[b.name]];
+        try {
+          const { ahead, behind } = await provider.compareBranches(defaultBranch, b.name);
+          const merged = await isBranchMerged(b.name, b.sha, { ahead, behind }).catch(() => false);
+          return [b.name, { ahead, behind, merged, key }];
+        } catch {
+          return [b.name, null];
+        }
+      }));
+    setBranchComparisons(Object.fromEntries(results.filter(([, value]) => value)));
+  };
+
+  // Returns true on success so the selector can reset its input.
+  const handleCreateBranch = async (name) => {
+    if (branches.some(b => b.name === name)) {
+      showNotify(`Branch ${name} already exists`, 'error');
+      return false;
+    }
+
+    setLoading(true);
+    try {
+      await provider.createBranch(name, currentBranch);
+      await fetchBranches();
+      setCurrentBranch(name);
+      showNotify(`Created branch ${name} from ${currentBranch}`, 'success');
+      return true;
+    } catch (e) {
+      showNotify(`Error: ${e.message}`, 'error');
+      return false;
+    } finally {
+      setLoading(false);
     }
+  };
+
+  const handleDeleteBranch = async (name) => {
+    if (!window.confirm(`Delete branch "${name}"? This cannot be undone from here.`)) return;
 
     setLoading(true);
     try {
-      // Get recursive tree
-      const res = await fetch(`https://api.github.com/repos/${config.owner}/${config.repo}/git/trees/${branch}?recursive=1`, {
-        headers: getHeaders()
+      // The selector's view may be stale; only delete what is merged right now
+      const branch = (await provider.listBranches()).find(b => b.name === name);
+      const comparison = branch && await provider.compareBranches(defaultBranch, name);
+      if (branch && !await isBranchMerged(name, branch.sha, comparison)) {
+        throw new Error(`${name} has commits that aren't merged. It was not deleted.`);
+      }
+      await provider.deleteBranch(name);
+      await fetchBranches();
+      setBranchComparisons(prev => {
+        const next = { ...prev };
+        delete next[name];
+        return next;
       });
-      if (!res.ok) throw new Error('Failed to fetch file tree');
-      const data = await res.json();
+      showNotify(`Deleted branch ${name}`, 'success');
+    } catch (e) {
+      showNotify(`Error: ${e.message}`, 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
 
-      // Filter only blobs (files)
-      return data.tree.filter(item => item.type === 'blob');
+  const fetchFileTree = async (branch) => {
+    setLoading(true);
+    try {
+      return await provider.getTree(branch);
     } catch (e) {
       showNotify(e.message, 'error');
       return [];
@@ -260,147 +479,1109 @@ export default function App() {
   const fetchFileContent = async (path, sha) => {
     setLoading(true);
     setActiveFile({ path, sha });
+    loadingPath.current = path;
 
-    if (config.mode === 'demo') {
-      const content = MOCK_DATA.files[path] || '';
+    try {
+      const file = await provider.readFile(path, currentBranch);
+      if (!file) {
+        showNotify(`${path} was not found on ${currentBranch}`, 'error');
+        setTabs(prev => prev.filter(tab => tab.path !== path));
+        if (loadingPath.current === path) {
+          loadingPath.current = null;
+          setActiveFile(null);
+        }
+        return;
+      }
+
+      const staged = stagedChanges[path];
+      const content = staged?.encoding === 'utf-8' ? staged.content : file.content;
+      if (loadingPath.current !== path) {
+        updateTab(path, { sha: file.sha, content, originalContent: file.content, loaded: true });
+        return;
+      }
+      loadingPath.current = null;
+      // Update SHA to latest from this fetch to ensure we have latest version for commit
+      setActiveFile({ path, sha: file.sha });
       setFileContent(content);
-      setOriginalContent(content);
+      setOriginalContent(file.content);
+    } catch (e) {
+      showNotify(e.message, 'error');
+    } finally {
       setLoading(false);
+    }
+  };
+
+  const fetchHistory = async (path) => {
+    setViewMode('history');
+    setHistoryView(null);
+    setSelectedCommits([]);
+    setLoading(true);
+    try {
+      setHistory(await provider.listHistory(path, currentBranch));
+    } catch (e) {
+      showNotify(e.message, 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchBlame = async (path) => {
+    setViewMode('blame');
+    setHistoryView(null);
+    setLoading(true);
+    try {
+      const ranges = await provider.blameFile(path, currentBranch);
+      setBlame({ path, ranges });
+    } catch (e) {
+      setBlame(null);
+      showNotify(e.message, 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Content of `path` at commit `sha`, or null if the file didn't exist there.
+  const fetchFileAtCommit = async (path, sha) => {
+    const file = await provider.readFile(path, sha);
+    return file ? file.content : null;
+  };
+
+  const openHistoryVersion = async (commit) => {
+    setLoading(true);
+    try {
+      const content = await fetchFileAtCommit(activeFile.path, commit.sha);
+      setHistoryView({ type: 'version', commit, content });
+    } catch (e) {
+      showNotify(e.message, 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleCommitSelection = (sha) => {
+    setSelectedCommits(prev => {
+      if (prev.includes(sha)) return prev.filter(s => s !== sha);
+      // Keep the most recent pick when a third commit is selected
+      return [...prev, sha].slice(-2);
+    });
+  };
+
+  const compareSelectedCommits = async () => {
+    // History is newest-first, so the higher index is the older commit
+    const [from, to] = history
+      .filter(commit => selectedCommits.includes(commit.sha))
+      .reverse();
+    setLoading(true);
+    try {
+      const [oldText, newText] = await Promise.all([
+        fetchFileAtCommit(activeFile.path, from.sha),
+        fetchFileAtCommit(activeFile.path, to.sha)
+      ]);
+      setHistoryView({ type: 'compare', from, to, oldText, newText });
+    } catch (e) {
+      showNotify(e.message, 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Loads an old version into the editor; it stays a pending change until committed.
+  const restoreHistoryVersion = (content) => {
+    setFileContent(content);
+    setViewMode('editor');
+    if (editorLayout === 'preview') setEditorLayout('edit');
+    setHistoryView(null);
+    showNotify('Old version restored into the editor. Review and commit to apply it.', 'success');
+  };
+
+  // Pull request whose head is `branch`, shown next to the branch selector.
+  const fetchPullRequest = async (branch) => {
+    try {
+      setPullRequest(await provider.findPullRequest(branch));
+    } catch (e) {
+      setPullRequest(null);
+      showNotify(e.message, 'error');
+    }
+  };
+
+  const handleCommit = async () => {
+    if (!commitMessage) {
+      showNotify('Please enter a commit message', 'error');
       return;
     }
 
+    setLoading(true);
     try {
-      const res = await fetch(`https://api.github.com/repos/${config.owner}/${config.repo}/contents/${path}?ref=${currentBranch}`, {
-        headers: getHeaders()
+      const { sha } = await provider.writeFile({
+        path: activeFile.path,
+        content: fileContent,
+        sha: activeFile.sha,
+        branch: currentBranch,
+        message: commitMessage
       });
-      if (!res.ok) throw new Error('Failed to fetch content');
-      const data = await res.json();
 
-      // Update SHA to latest from this fetch to ensure we have latest version for commit
-      setActiveFile({ path, sha: data.sha });
+      // Update active file with new SHA so subsequent saves work
+      setActiveFile({ ...activeFile, sha });
+      setOriginalContent(fileContent);
+      unstageFile(activeFile.path);
+      setShowCommitModal(false);
+      setCommitMessage('');
+
+      // Refresh tree to show new file if it was new
+      if (!activeFile.sha) {
+        const files = await fetchFileTree(currentBranch);
+        setFileTree(files || []);
+      }
+      // The branch head moved; ahead/behind counts are cached per head SHA
+      await fetchBranches();
 
-      const decoded = Base64.decode(data.content);
-      setFileContent(decoded);
-      setOriginalContent(decoded);
+      showNotify('Changes committed successfully!', 'success');
     } catch (e) {
-      showNotify(e.message, 'error');
+      if (e.code === 'stale') await mergeStaleActiveFile().catch(err => showNotify(`Error: ${err.message}`, 'error'));
+      else showNotify(`Error: ${e.message}`, 'error');
     } finally {
       setLoading(false);
     }
   };
 
-  const fetchHistory = async (path) => {
-    setViewMode('history');
-    if (config.mode === 'demo') {
-      setHistory(MOCK_DATA.history);
+  // --- STALE-SHA CONFLICTS ---
+  // Demo only: a teammate commits to the open file on the branch, leaving our copy stale
+  // so its next commit goes through the merge flow below.
+  const simulateTeammateCommit = async () => {
+    try {
+      const { author } = await provider.simulateTeammateCommit(activeFile.path, currentBranch);
+      await fetchBranches();
+      showNotify(`${author} just committed to ${activeFile.path}. Commit your edits to see the merge.`, 'success');
+    } catch (e) {
+      showNotify(`Error: ${e.message}`, 'error');
+    }
+  };
+
+  // Latest branch copy of `path`; an empty, SHA-less file if it was deleted.
+  const fetchLatestFile = async (path) => {
+    const file = await provider.readFile(path, currentBranch);
+    return file || { content: '', sha: null };
+  };
+
+  // Re-bases the open file onto the branch copy: theirs becomes the new original and the
+  // merged text becomes the pending change, so the commit diff shows only our edits.
+  const rebaseActiveFile = (merged, theirs, theirsSha) => {
+    setActiveFile(prev => ({ ...prev, sha: theirsSha }));
+    setOriginalContent(theirs);
+    setFileContent(merged);
+  };
+
+  const mergeStaleActiveFile = async () => {
+    const latest = await fetchLatestFile(activeFile.path);
+    const regions = threeWayMerge(originalContent, fileContent, latest.content);
+    if (countConflicts(regions) === 0) {
+      rebaseActiveFile(applyResolutions(regions, []), latest.content, latest.sha);
+      showNotify('The file changed on the branch. Their changes were merged in; review the diff and commit again.', 'error');
+      return;
+    }
+    setShowCommitModal(false);
+    setMergeQueue([{ target: 'active', path: activeFile.path, theirs: latest.content, theirsSha: latest.sha, regions }]);
+  };
+
+  // Merges each staged file that changed on the branch. Clean merges update the staged
+  // entry in place; the rest are queued for the resolution editor.
+  const mergeStaleStagedFiles = async (conflicts) => {
+    const queued = [];
+    const updates = {};
+    const dropped = [];
+    for (const { path } of conflicts) {
+      const change = stagedChanges[path];
+      const latest = await fetchLatestFile(path);
+      // Uploads and deletions replace the whole file, so they simply apply to the newer
+      // version; a deletion of a file that is already gone is dropped.
+      if (change.action === 'delete' || change.encoding === 'base64') {
+        if (change.action === 'delete' && !latest.sha) dropped.push(path);
+        else updates[path] = { ...change, baseSha: latest.sha, isNew: !latest.sha };
+        continue;
+      }
+      const regions = threeWayMerge(change.baseContent || '', change.content, latest.content);
+      if (countConflicts(regions) === 0) {
+        updates[path] = { ...change, content: applyResolutions(regions, []), baseContent: latest.content, baseSha: latest.sha, isNew: !latest.sha };
+      } else {
+        queued.push({ target: 'staged', path, theirs: latest.content, theirsSha: latest.sha, regions });
+      }
+    }
+    setStagedChanges(prev => {
+      const next = { ...prev, ...updates };
+      dropped.forEach(path => delete next[path]);
+      return next;
+    });
+    if (queued.length > 0) {
+      setShowCommitModal(false);
+      setMergeQueue(queued);
+    }
+    showNotify(`${conflicts.length} staged file(s) changed on ${currentBranch}. ${queued.length} need manual resolution; review and commit again.`, 'error');
+  };
+
+  const resolveMerge = (merged) => {
+    const [current, ...rest] = mergeQueue;
+    if (current.target === 'active') {
+      rebaseActiveFile(merged, current.theirs, current.theirsSha);
+    } else {
+      setStagedChanges(prev => ({
+        ...prev,
+        [current.path]: { ...prev[current.path], content: merged, baseContent: current.theirs, baseSha: current.theirsSha, isNew: !current.theirsSha }
+      }));
+    }
+    setMergeQueue(rest);
+    if (rest.length === 0) setShowCommitModal(true);
+  };
+
+  // --- DRAFTS ---
+  const isDirty = activeFile !== null && fileContent !== originalContent;
+
+  const saveTabDraft = (tab) => {
+    ownedDraftKeys.current.add(draftKey(config, currentBranch, tab.path));
+    return saveDraft(config, {
+      branch: currentBranch,
+      path: tab.path,
+      baseSha: tab.sha,
+      baseContent: tab.originalContent,
+      content: tab.content
+    }).catch(() => {});
+  };
+
+  const saveActiveDraft = () => saveTabDraft(activeTabState());
+
+  // Asks before leaving the repo with edited tabs. Edits survive as drafts either way, but
+  // the user should know they're leaving uncommitted work behind.
+  const confirmDisconnect = () => {
+    const dirty = openTabStates().filter(isTabDirty);
+    if (dirty.length === 0) return true;
+    if (!window.confirm(`${dirty.length} open file(s) have uncommitted changes. They will be kept as local drafts. Continue?`)) {
+      return false;
+    }
+    dirty.forEach(saveTabDraft);
+    return true;
+  };
+
+  // A draft is stale when the branch copy is no longer the blob it was based on.
+  const checkDraftStatuses = async (list) => {
+    const statuses = {};
+    const branchNames = [...new Set(list.map(draft => draft.branch))];
+    for (const branch of branchNames) {
+      const files = branch === currentBranch ? fileTree : await fetchFileTree(branch);
+      const shas = new Map((files || []).map(f => [f.path, f.sha]));
+      list.filter(draft => draft.branch === branch).forEach(draft => {
+        statuses[draft.key] = (shas.get(draft.path) || null) === draft.baseSha ? 'current' : 'stale';
+      });
+    }
+    setDraftStatuses(statuses);
+  };
+
+  const loadDrafts = async ({ openIfAny = false } = {}) => {
+    try {
+      const list = await listDrafts(config);
+      setDrafts(list);
+      if (list.length > 0) {
+        if (openIfAny) setShowDrafts(true);
+        await checkDraftStatuses(list);
+      }
+    } catch {
+      // IndexedDB can be unavailable (e.g. private browsing); drafts are best-effort
+    }
+  };
+
+  const restoreDraft = (draft) => {
+    const open = openTabStates().find(tab => tab.path === draft.path);
+    if (open && isTabDirty(open) && open.content !== draft.content
+      && !window.confirm(`${draft.path} is open with other uncommitted changes. Replace them with the draft?`)) {
+      return;
+    }
+    if (draft.branch !== currentBranch) setCurrentBranch(draft.branch);
+    ownedDraftKeys.current.add(draft.key);
+    // Keep the draft's base so a stale draft goes through the merge flow on commit
+    openTab(draft.path, draft.baseSha, { content: draft.content, originalContent: draft.baseContent });
+    setShowDrafts(false);
+    if (draftStatuses[draft.key] === 'stale') {
+      showNotify(`${draft.path} changed on ${draft.branch} since this draft was started. You'll be asked to merge on commit.`, 'error');
+    }
+  };
+
+  const discardDraft = async (draft) => {
+    await deleteDraft(config, draft.branch, draft.path).catch(() => {});
+    setDrafts(prev => prev.filter(d => d.key !== draft.key));
+  };
+
+  // --- TABS ---
+  const isTabDirty = (tab) => tab.loaded && tab.content !== tab.originalContent;
+
+  // The active tab as a tab entry, from the live editor state.
+  const activeTabState = () => ({
+    path: activeFile.path,
+    sha: activeFile.sha,
+    content: fileContent,
+    originalContent,
+    editorLayout,
+    viewMode,
+    loaded: loadingPath.current !== activeFile.path
+  });
+
+  const openTabStates = () => tabs.map(tab => (tab.path === activeFile?.path ? activeTabState() : tab));
+
+  const updateTab = (path, patch) => {
+    setTabs(prev => prev.map(tab => (tab.path === path ? { ...tab, ...patch } : tab)));
+  };
+
+  // Puts `tab` in the editor. Tabs that were restored from an earlier session, or whose
+  // file changed on the branch, are read on first activation.
+  const showTab = (tab) => {
+    loadingPath.current = null;
+    setActiveFile({ path: tab.path, sha: tab.sha });
+    setFileContent(tab.content);
+    setOriginalContent(tab.originalContent);
+    setEditorLayout(tab.editorLayout);
+    setViewMode('editor');
+    setHistoryView(null);
+    setPreviewAnchor('');
+    if (!tab.loaded) fetchFileContent(tab.path, tab.sha);
+    if (tab.viewMode === 'history' && tab.sha) fetchHistory(tab.path);
+    if (tab.viewMode === 'blame' && tab.sha && provider.blameFile) fetchBlame(tab.path);
+  };
+
+  // Switches to the tab of `path`, opening one if needed. `initial` ({ content,
+  // originalContent }) opens it with that text instead of reading the branch copy, and
+  // replaces the tab's state if it is already open.
+  const openTab = (path, sha, initial) => {
+    if (path === activeFile?.path && !initial) return;
+    const current = activeFile && activeFile.path !== path ? activeTabState() : null;
+    if (current && isTabDirty(current)) saveTabDraft(current);
+    const open = tabs.find(tab => tab.path === path);
+    const tab = initial
+      ? { path, sha, editorLayout: 'edit', viewMode: 'editor', loaded: true, ...initial }
+      : open || { path, sha, content: '', originalContent: '', editorLayout: 'edit', viewMode: 'editor', loaded: false };
+    setTabs(prev => {
+      const next = prev.map(t => (t.path === current?.path ? current : t.path === path ? tab : t));
+      return open ? next : [...next, tab];
+    });
+    showTab(tab);
+    if (sha && !initial) {
+      addRecentFile(config, path);
+      setWorkspaces(listWorkspaces());
+    }
+  };
+
+  // Closes tabs without asking, moving to a neighbour if the active one goes.
+  const removeTabs = (paths) => {
+    paths.forEach(path => editorSessions.delete(path));
+    setTabs(prev => prev.filter(tab => !paths.includes(tab.path)));
+    if (!activeFile || !paths.includes(activeFile.path)) return;
+    const remaining = tabs.filter(tab => !paths.includes(tab.path));
+    const index = tabs.findIndex(tab => tab.path === activeFile.path);
+    const next = remaining[Math.min(index, remaining.length - 1)];
+    if (next) {
+      showTab(next);
+    } else {
+      loadingPath.current = null;
+      setActiveFile(null);
+      setViewMode('editor');
+      setHistoryView(null);
+    }
+  };
+
+  // Closing a tab discards its edits (and their draft), so edited tabs ask first. Edits
+  // that are staged survive in the changeset.
+  const closeTab = (path) => {
+    const tab = openTabStates().find(t => t.path === path);
+    if (isTabDirty(tab) && stagedChanges[path]?.content !== tab.content) {
+      if (!window.confirm(`${path} has uncommitted changes. Close it and discard them?`)) return;
+      ownedDraftKeys.current.delete(draftKey(config, currentBranch, path));
+      deleteDraft(config, currentBranch, path)
+        .then(() => listDrafts(config))
+        .then(setDrafts)
+        .catch(() => {});
+    }
+    removeTabs([path]);
+  };
+
+  // Open tabs of committed files are clean again: what was committed is their new base.
+  const markTabsCommitted = (changes, tree) => {
+    const committed = new Map(changes.map(change => [change.path, change]));
+    setTabs(prev => prev.map(tab => {
+      const change = committed.get(tab.path);
+      if (!change || change.action === 'delete' || tab.path === activeFile?.path) return tab;
+      const sha = tree.find(entry => entry.path === tab.path)?.sha;
+      // Uploaded files are re-read when next shown
+      if (change.encoding === 'base64') return { ...tab, sha, loaded: false };
+      return { ...tab, sha, originalContent: change.content };
+    }));
+  };
+
+  // The open file after a commit that included `change` for it: clean at its new SHA.
+  const markActiveCommitted = (change, tree) => {
+    const sha = tree.find(entry => entry.path === change.path)?.sha;
+    if (change.encoding === 'base64') {
+      fetchFileContent(change.path, sha);
+      return;
+    }
+    setActiveFile({ ...activeFile, sha });
+    setOriginalContent(change.content);
+  };
+
+  // After the tree of a branch loads. Clean tabs are re-read from it (or closed if their
+  // file isn't there); edited tabs keep their text and base, so committing them to a
+  // branch where the file differs goes through the merge flow.
+  const reloadTabs = (files) => {
+    const shas = new Map(files.map(f => [f.path, f.sha]));
+    const activePath = activeFile?.path;
+    const keepActive = activePath && (isDirty || shas.has(activePath));
+    const next = tabs
+      .filter(tab => (tab.path === activePath ? keepActive : isTabDirty(tab) || shas.has(tab.path)))
+      .map(tab => (tab.path === activePath || isTabDirty(tab) ? tab : { ...tab, sha: shas.get(tab.path), loaded: false }));
+    setTabs(next);
+
+    const restored = next.find(tab => tab.path === restoredActiveTab.current);
+    restoredActiveTab.current = null;
+    if (!activePath) {
+      if (restored) showTab(restored);
+    } else if (!keepActive) {
+      const index = tabs.findIndex(tab => tab.path === activePath);
+      const neighbour = next[Math.min(index, next.length - 1)];
+      if (neighbour) showTab(neighbour);
+      else setActiveFile(null);
+    } else if (!isDirty) {
+      fetchFileContent(activePath, shas.get(activePath));
+    }
+  };
+
+  // Connects to `next` (the form's config by default). Live repos are saved as workspaces,
+  // and their token goes into the vault or is removed from it as `remember` says.
+  const connect = async (next = config, { remember = rememberToken } = {}) => {
+    if (next.mode === 'live') {
+      saveWorkspace(next);
+      setWorkspaces(listWorkspaces());
+      if (vault) {
+        const id = repoKey(next);
+        const tokens = { ...vault.tokens };
+        if (remember && next.token) tokens[id] = next.token;
+        else delete tokens[id];
+        if (tokens[id] !== vault.tokens[id]) {
+          try {
+            setVault(await saveVaultTokens(vault, tokens));
+          } catch (e) {
+            showNotify(`Couldn't update the token vault: ${e.message}`, 'error');
+          }
+        }
+      }
+    }
+    // Every launch of the demo starts from its seed data, so nothing staged carries over
+    if (next.mode === 'demo') resetDemoRepository();
+    if (connectedRepo.current !== repoKey(next) || next.mode === 'demo') setStagedChanges({});
+    connectedRepo.current = repoKey(next);
+    setConfig(next);
+
+    const saved = loadOpenTabs(next);
+    loadingPath.current = null;
+    restoredActiveTab.current = saved?.active ?? null;
+    setActiveFile(null);
+    setTabs((saved?.tabs || []).map(tab => ({
+      path: tab.path,
+      sha: null,
+      content: '',
+      originalContent: '',
+      editorLayout: EDITOR_LAYOUTS.includes(tab.editorLayout) ? tab.editorLayout : 'edit',
+      viewMode: ['history', 'blame'].includes(tab.viewMode) ? tab.viewMode : 'editor',
+      loaded: false
+    })));
+    setCurrentBranch(saved?.branch || (next.mode === 'live' && next.branch) || 'main');
+    setShowConfig(false);
+  };
+
+  // --- WORKSPACES ---
+  // Fills the connection form from a saved workspace, with its token if the vault has it.
+  const selectWorkspace = (workspace) => {
+    const token = vault?.tokens[workspace.id] || '';
+    setConfig({ ...workspaceConfig(workspace), token });
+    setRememberToken(Boolean(token));
+  };
+
+  const forgetWorkspace = async (workspace) => {
+    if (!window.confirm(`Forget ${workspace.owner}/${workspace.repo}? Its saved token is removed too.`)) return;
+    removeWorkspace(workspace.id);
+    setWorkspaces(listWorkspaces());
+    if (vault && workspace.id in vault.tokens) {
+      const { [workspace.id]: _removed, ...tokens } = vault.tokens;
+      try {
+        setVault(await saveVaultTokens(vault, tokens));
+      } catch (e) {
+        showNotify(`Couldn't update the token vault: ${e.message}`, 'error');
+      }
+    }
+  };
+
+  // Header switcher: opens `workspace` (null = the demo) in place of the current repo.
+  // Without the vault unlocked, a saved token can't be read, so the form is shown instead.
+  const switchWorkspace = (workspace) => {
+    if (!confirmDisconnect()) return;
+    if (!workspace) {
+      connect({ ...config, mode: 'demo' });
+      return;
+    }
+    if (vaultExists && !vault) {
+      selectWorkspace(workspace);
+      setShowConfig(true);
+      showNotify('Unlock the token vault to open this workspace', 'error');
+      return;
+    }
+    const token = vault?.tokens[workspace.id] || '';
+    setRememberToken(Boolean(token));
+    connect({ ...workspaceConfig(workspace), token }, { remember: Boolean(token) });
+  };
+
+  const openRecentFile = (path) => {
+    const target = fileTree.find(f => f.path === path);
+    if (target) openTab(target.path, target.sha);
+    else showNotify(`${path} isn't on ${currentBranch}`, 'error');
+  };
+
+  const createTokenVault = async (passphrase) => {
+    setVault(await createVault(passphrase, lockMinutes));
+    setVaultExists(true);
+    setRememberToken(Boolean(config.token));
+  };
+
+  const unlockTokenVault = async (passphrase) => {
+    const unlocked = await unlockVault(passphrase);
+    setVault(unlocked);
+    // Fill in the token of the workspace already in the form
+    const token = unlocked.tokens[repoKey(config)];
+    if (token && !config.token) {
+      setConfig({ ...config, token });
+      setRememberToken(true);
+    }
+  };
+
+  // Forgets the decrypted tokens. A session using one of them ends, since its token
+  // would otherwise stay readable; open edits are kept as drafts.
+  const lockTokenVault = ({ idle = false } = {}) => {
+    if (!vault) return;
+    const tokenInUse = config.token && config.token === vault.tokens[repoKey(config)];
+    setVault(null);
+    if (tokenInUse) {
+      if (!showConfig) openTabStates().filter(isTabDirty).forEach(saveTabDraft);
+      setConfig({ ...config, token: '' });
+      setShowConfig(true);
+    }
+    showNotify(idle ? `Token vault locked after ${lockMinutes} minutes of inactivity` : 'Token vault locked', 'success');
+  };
+
+  const forgetTokenVault = () => {
+    if (!window.confirm('Delete the token vault? Every saved token is lost; workspaces stay.')) return;
+    deleteVault();
+    setVault(null);
+    setVaultExists(false);
+    setRememberToken(false);
+  };
+
+  const changeLockMinutes = (minutes) => {
+    setVaultLockMinutes(minutes);
+    setLockMinutes(minutes);
+  };
+
+  // Follows a relative link clicked in the preview to another file in the repo. Line
+  // anchors (`#L42`) open the file in the editor at that line.
+  const openLinkedFile = (path, hash) => {
+    const target = fileTree.find(f => f.path === path);
+    if (!target) {
+      showNotify(`Linked file not found on ${currentBranch}: ${path}`, 'error');
+      return;
+    }
+    const line = lineFromHash(hash);
+    if (line) {
+      openFileAtLine(path, line);
+      return;
+    }
+    openTab(target.path, target.sha);
+    setViewMode('editor');
+    // Stay side by side if the link was followed from the split view
+    setEditorLayout(editorLayout === 'split' ? 'split' : 'preview');
+    setPreviewAnchor(hash || '');
+  };
+
+  // --- SEARCH ---
+  // Downloads whatever the content index is missing for the current tree.
+  const ensureSearchIndex = () => {
+    if (indexSync.current?.tree !== fileTree) {
+      const promise = syncSearchIndex(searchIndex.current, fileTree, path => provider.readFile(path, currentBranch), {
+        onProgress: (done, total) => setIndexProgress(done < total ? { done, total } : null)
+      });
+      indexSync.current = { tree: fileTree, promise };
+    }
+    return indexSync.current.promise;
+  };
+
+  const searchRepository = async (query, options) => {
+    const tree = fileTree;
+    const index = searchIndex.current;
+    await ensureSearchIndex();
+    return searchContents(index, tree, query, options);
+  };
+
+  // --- DOCS CHECK ---
+  // Docs are read through the search index, so files already indexed aren't downloaded again.
+  const runDocsCheck = async ({ onProgress }) => {
+    const tree = fileTree;
+    const docs = tree.filter(item => isMarkdownPath(item.path));
+    const index = searchIndex.current;
+    await syncSearchIndex(index, docs, path => provider.readFile(path, currentBranch), { onProgress });
+    return checkDocs(tree, item => index.get(item.sha));
+  };
+
+  // --- EXPORT ---
+  // Builds a zip or HTML bundle of the docs under `folder` and downloads it. Docs come
+  // through the search index like the docs check; images are fetched as raw bytes.
+  const exportDocs = async ({ folder, format, onProgress }) => {
+    const tree = fileTree;
+    const items = exportableDocs(tree, folder);
+    const index = searchIndex.current;
+    await syncSearchIndex(index, items, path => provider.readFile(path, currentBranch), {
+      onProgress: (done, total) => onProgress(`Loading docs ${done}/${total}`)
+    });
+    const docs = items
+      .filter(item => index.has(item.sha))
+      .map(item => ({ path: item.path, content: index.get(item.sha) }));
+    const imagePaths = referencedImages(docs, tree);
+    onProgress(`Loading ${imagePaths.length} image(s)`);
+    const images = (await Promise.all(imagePaths.map(async path => {
+      const base64 = await provider.readFileBase64(path, currentBranch).catch(() => null);
+      return base64 && { path, base64 };
+    }))).filter(Boolean);
+
+    onProgress('Building the export');
+    const repoName = config.mode === 'demo' ? 'demo' : config.repo;
+    const name = [repoName, currentBranch, folder || 'docs'].join('-').replace(/[^\w.-]+/g, '-');
+    if (format === 'zip') {
+      downloadFile(buildDocsZip(docs, images), `${name}.zip`, 'application/zip');
+    } else {
+      const html = buildHtmlBundle({
+        title: `${config.mode === 'demo' ? 'Demo Repo' : `${config.owner}/${config.repo}`}${folder ? ` · ${folder}` : ''}`,
+        subtitle: `${docs.length} document(s) from ${currentBranch}, exported ${new Date().toLocaleString()}`,
+        docs,
+        images: new Map(images.map(image => [image.path, imageDataUrl(image.path, image.base64)])),
+        provider,
+        branch: currentBranch
+      });
+      downloadFile(html, `${name}.html`, 'text/html');
+    }
+
+    const skipped = items.length - docs.length;
+    showNotify(`Exported ${docs.length} doc(s)${skipped > 0 ? `; ${skipped} couldn't be loaded` : ''}`, 'success');
+    setExportFolder(null);
+  };
+
+  // --- OUTLINE ---
+  const jumpToHeading = (index) => {
+    if (editorLayout === 'preview') setHeadingJump({ index, id: Date.now() });
+    else if (editorRef.current) scrollToLine(editorRef.current, outlineHeadings[index].line);
+  };
+
+  // Drag-and-drop in the outline. Goes through the editor when it's open so Ctrl+Z undoes it.
+  const moveOutlineSection = (from, to, position) => {
+    const next = moveSection(fileContent, outlineHeadings, from, to, position);
+    if (next === fileContent) return;
+    if (editorRef.current) replaceDocument(editorRef.current, next);
+    else setFileContent(next);
+  };
+
+  const openQuickOpenFile = (file) => {
+    setShowQuickOpen(false);
+    openTab(file.path, file.sha);
+  };
+
+  // Opens `path` in the editor with `line` selected.
+  const openFileAtLine = (path, line) => {
+    if (path !== activeFile?.path) {
+      const target = fileTree.find(f => f.path === path);
+      if (!target) return;
+      openTab(target.path, target.sha);
+    }
+    setViewMode('editor');
+    setEditorLayout(editorLayout === 'split' ? 'split' : 'edit');
+    setEditorJump({ path, line, id: Date.now() });
+  };
+
+  // --- RENAME / MOVE / DELETE ---
+  const treeItemMenu = (item) => {
+    const isFolder = item.type === 'tree';
+    return [
+      { label: 'Rename / Move', icon: Pencil, onClick: () => setFileOperation({ type: 'move', path: item.path, isFolder }) },
+      ...(isFolder ? [{ label: 'Export Docs', icon: Download, onClick: () => setExportFolder(item.path) }] : []),
+      { label: isFolder ? 'Stage Folder Deletion' : 'Stage Deletion', icon: Layers, onClick: () => stageDeletion({ path: item.path, isFolder }) },
+      { label: isFolder ? 'Delete Folder' : 'Delete', icon: Trash2, danger: true, onClick: () => setFileOperation({ type: 'delete', path: item.path, isFolder }) }
+    ];
+  };
+
+  // Drag-and-drop onto `folder` ('' = repo root) proposes a move into it.
+  const handleTreeDrop = ({ path, isFolder }, folder) => {
+    const target = folder ? `${folder}/${basename(path)}` : basename(path);
+    if (target === path || (isFolder && (folder === path || folder.startsWith(`${path}/`)))) return;
+    setFileOperation({ type: 'move', path, isFolder, target });
+  };
+
+  // Markdown files whose relative links change when `from` (file or folder) moves to `to`.
+  const findLinkUpdates = async (from, to) => {
+    const index = searchIndex.current;
+    await ensureSearchIndex();
+    const mapPath = createPathMapper(from, to);
+    return fileTree
+      .filter(f => isMarkdownPath(f.path) && index.has(f.sha))
+      .map(f => {
+        const { content, count } = rewriteMarkdownLinks(index.get(f.sha), { fromPath: f.path, toPath: mapPath(f.path), mapPath });
+        return { path: f.path, content, count };
+      })
+      .filter(update => update.count > 0);
+  };
+
+  // Commits the confirmed move/delete, plus any link rewrites, as one commit.
+  const commitFileOperation = async ({ target, message, linkUpdates }) => {
+    const { type, path, isFolder } = fileOperation;
+    const affected = fileTree.filter(f => (isFolder ? f.path.startsWith(`${path}/`) : f.path === path));
+    const touched = [...affected.map(f => f.path), ...linkUpdates.map(u => u.path)];
+    const dirtyTabs = openTabStates().filter(isTabDirty).map(tab => tab.path);
+    const busy = touched.find(p => stagedChanges[p] || dirtyTabs.includes(p));
+    if (busy) {
+      showNotify(`${busy} has uncommitted changes. Commit or discard them first.`, 'error');
+      return;
+    }
+
+    const mapPath = createPathMapper(path, target);
+    const edits = new Map(linkUpdates.map(u => [u.path, u.content]));
+    const treeEntry = (p) => fileTree.find(f => f.path === p);
+    const changes = type === 'delete'
+      ? affected.map(f => ({ action: 'delete', path: f.path, baseSha: f.sha, mode: f.mode }))
+      : [
+        ...affected.map(f => ({
+          action: 'move',
+          fromPath: f.path,
+          path: mapPath(f.path),
+          baseSha: f.sha,
+          mode: f.mode,
+          ...(edits.has(f.path) && { content: edits.get(f.path), encoding: 'utf-8' })
+        })),
+        ...linkUpdates
+          .filter(u => !affected.some(f => f.path === u.path))
+          .map(u => ({ action: 'upsert', path: u.path, content: u.content, encoding: 'utf-8', baseSha: treeEntry(u.path).sha, mode: treeEntry(u.path).mode }))
+      ];
+
+    setLoading(true);
+    try {
+      const result = await provider.commitChanges({ branch: currentBranch, message, changes, onProgress: setCommitProgress });
+
+      // Follow open files to their new place (or close them if they were deleted)
+      if (type === 'delete') {
+        removeTabs(touched);
+      } else {
+        setTabs(prev => prev.map(tab => {
+          if (!touched.includes(tab.path)) return tab;
+          const newPath = mapPath(tab.path);
+          if (tab.path === activeFile?.path) return { ...tab, path: newPath };
+          // Other tabs are clean, so they are simply re-read when next shown
+          return { ...tab, path: newPath, sha: result.tree.find(entry => entry.path === newPath)?.sha, loaded: false };
+        }));
+        if (activeFile && touched.includes(activeFile.path)) {
+          const newPath = mapPath(activeFile.path);
+          const newSha = result.tree.find(entry => entry.path === newPath)?.sha ?? activeFile.sha;
+          setActiveFile({ path: newPath, sha: newSha });
+          if (edits.has(activeFile.path)) {
+            setOriginalContent(edits.get(activeFile.path));
+            setFileContent(edits.get(activeFile.path));
+          }
+        }
+      }
+      if (isFolder && expandedFolders.has(path) && type === 'move') {
+        setExpandedFolders(prev => new Set([...prev, target]));
+      }
+
+      const files = await fetchFileTree(currentBranch);
+      setFileTree(files || []);
+      setFileOperation(null);
+      showNotify(`${type === 'delete' ? 'Deleted' : 'Moved'} ${affected.length} file(s) in ${result.sha.substring(0, 7)}`, 'success');
+    } catch (e) {
+      if (e.conflicts) {
+        setFileTree(await fetchFileTree(currentBranch) || []);
+        showNotify(`${e.conflicts.map(c => c.path).join(', ')} changed on ${currentBranch}. The tree was refreshed; try again.`, 'error');
+      } else {
+        showNotify(`Error: ${e.message}`, 'error');
+      }
+    } finally {
+      setCommitProgress('');
+      setLoading(false);
+    }
+  };
+
+  // --- STAGING ---
+  const stageActiveFile = () => {
+    setStagedChanges(prev => ({
+      ...prev,
+      [activeFile.path]: {
+        path: activeFile.path,
+        action: 'upsert',
+        content: fileContent,
+        baseContent: originalContent,
+        baseSha: activeFile.sha,
+        encoding: 'utf-8',
+        isNew: !activeFile.sha
+      }
+    }));
+    showNotify(`Staged ${activeFile.path}`);
+  };
+
+  // Stages the deletion of a file, or of every file in a folder, for the next commit of
+  // the staged changes.
+  const stageDeletion = ({ path, isFolder }) => {
+    const affected = fileTree.filter(f => (isFolder ? f.path.startsWith(`${path}/`) : f.path === path));
+    const dirtyTabs = openTabStates().filter(isTabDirty).map(tab => tab.path);
+    const busy = affected.find(f => (stagedChanges[f.path] && stagedChanges[f.path].action !== 'delete') || dirtyTabs.includes(f.path));
+    if (busy) {
+      showNotify(`${busy.path} has uncommitted changes. Commit or discard them first.`, 'error');
+      return;
+    }
+    setStagedChanges(prev => ({
+      ...prev,
+      ...Object.fromEntries(affected.map(f => [f.path, { path: f.path, action: 'delete', baseSha: f.sha }]))
+    }));
+    showNotify(`Staged the deletion of ${affected.length} file(s)`);
+  };
+
+  // Reverts one hunk of the pending change shown in the commit modal.
+  const discardActiveHunk = (hunkIndex) => {
+    try {
+      setFileContent(discardHunk(originalContent, fileContent, hunkIndex));
+    } catch (e) {
+      showNotify(e.message, 'error');
+    }
+  };
+
+  const discardStagedHunk = (path, hunkIndex) => {
+    const change = stagedChanges[path];
+    try {
+      const content = discardHunk(change.baseContent, change.content, hunkIndex);
+      if (content === change.baseContent) {
+        unstageFile(path);
+        return;
+      }
+      setStagedChanges(prev => ({ ...prev, [path]: { ...change, content } }));
+    } catch (e) {
+      showNotify(e.message, 'error');
+    }
+  };
+
+  const unstageFile = (path) => {
+    setStagedChanges(prev => {
+      const next = { ...prev };
+      delete next[path];
+      return next;
+    });
+  };
+
+  const openStagedFile = (path) => {
+    const existing = fileTree.find(f => f.path === path);
+    if (existing || tabs.some(tab => tab.path === path)) {
+      openTab(path, existing?.sha);
+      return;
+    }
+    // Staged new files only exist locally until committed
+    openTab(path, null, { content: stagedChanges[path].content, originalContent: '' });
+  };
+
+  const handleCommitStaged = async () => {
+    if (!commitMessage) {
+      showNotify('Please enter a commit message', 'error');
       return;
     }
 
+    const changes = Object.values(stagedChanges).map(change => ({
+      ...change,
+      mode: fileTree.find(f => f.path === change.path)?.mode
+    }));
+
     setLoading(true);
     try {
-      const res = await fetch(`https://api.github.com/repos/${config.owner}/${config.repo}/commits?path=${path}&sha=${currentBranch}`, {
-        headers: getHeaders()
+      const result = await provider.commitChanges({
+        branch: currentBranch,
+        message: commitMessage,
+        changes,
+        onProgress: setCommitProgress
       });
-      if (!res.ok) throw new Error('Failed to fetch history');
-      const data = await res.json();
-      setHistory(data);
+
+      // Open files are now clean relative to what was committed for them
+      markTabsCommitted(changes, result.tree);
+      removeTabs(changes.filter(change => change.action === 'delete').map(change => change.path));
+      const committed = stagedChanges[activeFile?.path];
+      if (committed && committed.action !== 'delete') markActiveCommitted(committed, result.tree);
+
+      const files = await fetchFileTree(currentBranch);
+      setFileTree(files || []);
+      await fetchBranches();
+      await Promise.all(changes.map(change => deleteDraft(config, currentBranch, change.path).catch(() => {})));
+      setDrafts(await listDrafts(config).catch(() => []));
+      setStagedChanges({});
+      setShowCommitModal(false);
+      setCommitMessage('');
+      showNotify(`Committed ${changes.length} file(s) in ${result.sha.substring(0, 7)}`, 'success');
     } catch (e) {
-      showNotify(e.message, 'error');
+      if (e.conflicts) await mergeStaleStagedFiles(e.conflicts).catch(err => showNotify(`Error: ${err.message}`, 'error'));
+      else showNotify(`Error: ${e.message}`, 'error');
     } finally {
+      setCommitProgress('');
       setLoading(false);
     }
   };
 
-  const handleCommit = async () => {
+  const openCommitModal = (scope) => {
+    setCommitScope(scope);
+    setProposal({
+      enabled: proposal.enabled,
+      branch: `patch-${Date.now().toString(36)}`,
+      title: '',
+      body: '',
+      base: currentBranch,
+      draft: false
+    });
+    setShowCommitModal(true);
+  };
+
+  const handleProposeChanges = async () => {
     if (!commitMessage) {
       showNotify('Please enter a commit message', 'error');
       return;
     }
-
-    if (config.mode === 'demo') {
-      showNotify('Demo Mode: Change simulated! (Refresh resets)', 'success');
-      setShowCommitModal(false);
-      setOriginalContent(fileContent);
+    if (!proposal.branch || !proposal.base) {
+      showNotify('Please enter a branch name and a base branch', 'error');
       return;
     }
 
+    const title = proposal.title || commitMessage.split('\n')[0];
+    const changes = commitScope === 'staged'
+      ? Object.values(stagedChanges)
+      : [{ path: activeFile.path, action: 'upsert', content: fileContent, encoding: 'utf-8', baseSha: activeFile.sha, isNew: !activeFile.sha }];
+    const withModes = changes.map(change => ({ ...change, mode: fileTree.find(f => f.path === change.path)?.mode }));
+
     setLoading(true);
     try {
-      const payload = {
-        message: commitMessage,
-        content: Base64.encode(fileContent),
-        branch: currentBranch
-      };
-
-      // Only add SHA if we are updating an existing file.
-      // For new files, SHA must be omitted.
-      if (activeFile.sha) {
-        payload.sha = activeFile.sha;
+      setCommitProgress('Creating branch');
+      await provider.createBranch(proposal.branch, currentBranch);
+      let commit;
+      try {
+        commit = await provider.commitChanges({
+          branch: proposal.branch,
+          message: commitMessage,
+          changes: withModes,
+          onProgress: setCommitProgress
+        });
+      } catch (e) {
+        // Don't leave an empty proposal branch behind
+        await provider.deleteBranch(proposal.branch).catch(() => {});
+        throw e;
       }
-
-      const res = await fetch(`https://api.github.com/repos/${config.owner}/${config.repo}/contents/${activeFile.path}`, {
-        method: 'PUT',
-        headers: getHeaders(),
-        body: JSON.stringify(payload)
+      setCommitProgress('Opening pull request');
+      const pr = await provider.createPullRequest({
+        title,
+        body: proposal.body,
+        head: proposal.branch,
+        base: proposal.base,
+        draft: proposal.draft
       });
 
-      if (!res.ok) {
-        const errData = await res.json();
-        throw new Error(errData.message || 'Commit failed');
-      }
-
-      const data = await res.json();
-
-      // Update active file with new SHA so subsequent saves work
-      setActiveFile({ ...activeFile, sha: data.content.sha });
-      setOriginalContent(fileContent);
+      // Keep working on the proposal branch so follow-up commits land in the same PR
+      markTabsCommitted(withModes, commit.tree);
+      const activeChange = withModes.find(change => change.path === activeFile?.path);
+      if (activeChange && activeChange.action !== 'delete') markActiveCommitted(activeChange, commit.tree);
+      await Promise.all(withModes.map(change => deleteDraft(config, currentBranch, change.path).catch(() => {})));
+      setDrafts(await listDrafts(config).catch(() => []));
+      if (commitScope === 'staged') setStagedChanges({});
+      else unstageFile(activeFile.path);
+      await fetchBranches();
+      setCurrentBranch(proposal.branch);
+      setPullRequest(pr);
       setShowCommitModal(false);
       setCommitMessage('');
-
-      // Refresh tree to show new file if it was new
-      if (!activeFile.sha) {
-        const files = await fetchFileTree(currentBranch);
-        setFileTree(files || []);
-      }
-
-      showNotify('Changes committed successfully!', 'success');
+      showNotify(`Opened pull request #${pr.number} from ${proposal.branch}`, 'success');
     } catch (e) {
-      showNotify(`Error: ${e.message}`, 'error');
+      // The proposal branch starts at the current branch's head, so stale files merge against it
+      const onMergeError = err => showNotify(`Error: ${err.message}`, 'error');
+      if (e.conflicts && commitScope === 'staged') await mergeStaleStagedFiles(e.conflicts).catch(onMergeError);
+      else if (e.conflicts || e.code === 'stale') await mergeStaleActiveFile().catch(onMergeError);
+      else showNotify(`Error: ${e.message}`, 'error');
     } finally {
+      setCommitProgress('');
       setLoading(false);
     }
   };
 
-  const handleCreateNewFile = () => {
-    if (!newFilePath) return;
-    // Set active file to new path with null SHA (indicating new file)
-    setActiveFile({ path: newFilePath, sha: null });
-    setFileContent('# New Document\n\nStart writing...');
-    setOriginalContent(''); // Indicates unsaved changes immediately
-    setIsEditing(true);
-    setViewMode('editor');
+  // Document templates on the current branch, plus the author to fill into them
+  const loadDocTemplates = async () => {
+    const paths = fileTree.filter(item => isTemplatePath(item.path)).map(item => item.path).sort();
+    const [files, user] = await Promise.all([
+      Promise.all(paths.map(path => provider.readFile(path, currentBranch).catch(() => null))),
+      provider.getCurrentUser().catch(() => null)
+    ]);
+    const templates = paths.map((path, i) => files[i] && parseTemplate(path, files[i].content));
+    return {
+      templates: templates.filter(Boolean),
+      skipped: paths.filter((path, i) => !templates[i]),
+      author: user?.name || ''
+    };
+  };
+
+  const handleCreateNewFile = (path, content) => {
+    // Open a tab for the new path with null SHA (indicating new file). The empty original
+    // marks it as changed right away.
+    openTab(path, null, { content, originalContent: '' });
     setShowNewFileModal(false);
-    setNewFilePath('');
   };
 
+  // --- UPLOADS ---
+  // Picker uploads default to the open file's folder; drops go to the folder they land on.
   const handleFileUpload = (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
-
-    const reader = new FileReader();
-    reader.onload = (event) => {
-      const content = event.target.result;
-      // Default path is root/filename. User can't change directory in this simple upload flow easily
-      // but they can rename the file in a more advanced version.
-      setActiveFile({ path: file.name, sha: null });
-      setFileContent(content);
-      setOriginalContent(''); // Indicates unsaved changes
-      setIsEditing(true);
-      setViewMode('editor');
-    };
-    reader.readAsText(file);
+    const uploads = filesFromInput(e.target.files);
     // Reset input
     e.target.value = null;
+    if (uploads.length > 0) setUpload({ uploads, folder: activeFile ? dirname(activeFile.path) : '' });
+  };
+
+  // Must run inside the drop event: the dropped entries are only readable synchronously.
+  const handleUploadDrop = (dataTransfer, folder) => {
+    filesFromDrop(dataTransfer)
+      .then(uploads => uploads.length > 0 && setUpload({ uploads, folder }))
+      .catch(e => showNotify(`Error reading dropped files: ${e.message}`, 'error'));
+  };
+
+  // Stages the previewed upload, so it goes up in one commit with the other staged
+  // changes. Contents are kept as base64 so binaries arrive byte for byte.
+  const stageUpload = async ({ targets }) => {
+    const dirtyTabs = openTabStates().filter(isTabDirty).map(tab => tab.path);
+    const busy = targets.find(({ path }) => stagedChanges[path] || dirtyTabs.includes(path));
+    if (busy) {
+      showNotify(`${busy.path} has uncommitted changes. Commit or discard them first.`, 'error');
+      return;
+    }
+
+    const existing = new Map(fileTree.map(f => [f.path, f]));
+    setLoading(true);
+    try {
+      const changes = await Promise.all(targets.map(async ({ file, path }) => ({
+        path,
+        action: 'upsert',
+        content: await readFileAsBase64(file),
+        encoding: 'base64',
+        baseSha: existing.get(path)?.sha ?? null,
+        isNew: !existing.has(path),
+        size: file.size
+      })));
+      setStagedChanges(prev => ({ ...prev, ...Object.fromEntries(changes.map(change => [change.path, change])) }));
+      setUpload(null);
+      showNotify(`Staged ${changes.length} uploaded file(s)`, 'success');
+    } catch (e) {
+      showNotify(`Error reading files: ${e.message}`, 'error');
+    } finally {
+      setLoading(false);
+    }
   };
 
   // --- PROCESSING DATA FOR TREE VIEW ---
@@ -455,21 +1636,230 @@ export default function App() {
     return root.children;
   }, [fileTree]);
 
+  const outlineVisible = Boolean(showOutline && activeFile && viewMode === 'editor' && isMarkdownPath(activeFile.path));
+  const outlineHeadings = useMemo(() => (outlineVisible ? findHeadings(fileContent) : []), [outlineVisible, fileContent]);
+
   // --- EFFECTS ---
+  // A new connection starts with an empty content index; syncs still running for the old
+  // one finish into the map they started with. Editor sessions belong to the old repo too.
+  useEffect(() => {
+    searchIndex.current = new Map();
+    editorSessions.clear();
+  }, [provider, editorSessions]);
+
   useEffect(() => {
     if (!showConfig) {
       fetchBranches();
     }
   }, [showConfig, config]);
 
+  // Latest fetchPullRequest, so the lookup runs only when the branch or connection changes
+  const fetchPullRequestRef = useRef(null);
+  useEffect(() => {
+    fetchPullRequestRef.current = fetchPullRequest;
+  });
+  useEffect(() => {
+    if (currentBranch && !showConfig) {
+      fetchPullRequestRef.current(currentBranch);
+    }
+  }, [currentBranch, showConfig, config]);
+
+  // Latest reloadTabs: it reads the tabs as they are once the tree arrives
+  const reloadTabsRef = useRef(null);
+  useEffect(() => {
+    reloadTabsRef.current = reloadTabs;
+  });
   useEffect(() => {
     if (currentBranch && !showConfig) {
       (async () => {
         const files = await fetchFileTree(currentBranch);
         setFileTree(files || []);
+        // An empty tree usually means the fetch failed; leave the tabs alone then
+        if (files?.length > 0) reloadTabsRef.current(files);
       })();
     }
-  }, [currentBranch, showConfig]);
+  }, [currentBranch, showConfig, config]);
+
+  // Latest draft helpers, so the effects below run only on their own triggers
+  const loadDraftsRef = useRef(null);
+  const saveActiveDraftRef = useRef(null);
+  useEffect(() => {
+    loadDraftsRef.current = loadDrafts;
+    saveActiveDraftRef.current = saveActiveDraft;
+  });
+  useEffect(() => {
+    if (!showConfig) {
+      loadDraftsRef.current({ openIfAny: true });
+    }
+  }, [showConfig, config]);
+
+  // (Re)load the front matter schema whenever the branch's config file changes
+  const frontMatterConfigSha = fileTree.find(item => item.path === FRONT_MATTER_CONFIG)?.sha;
+  useEffect(() => {
+    if (showConfig) return;
+    let cancelled = false;
+    (async () => {
+      let schema = DEFAULT_FRONT_MATTER_SCHEMA;
+      if (frontMatterConfigSha) {
+        try {
+          const file = await provider.readFile(FRONT_MATTER_CONFIG, currentBranch);
+          if (file) schema = parseFrontMatterSchema(file.content);
+        } catch (error) {
+          if (!cancelled) showNotify(`Ignoring ${FRONT_MATTER_CONFIG}: ${error.message}`, 'error');
+        }
+      }
+      if (!cancelled) setFrontMatterSchema(schema);
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [frontMatterConfigSha, provider, currentBranch, showConfig]);
+
+  // Autosave the open file as a draft shortly after each edit; drop the draft once the
+  // file is clean again (committed, or edits undone). Skipped while a file is loading,
+  // when activeFile and the editor contents may belong to different files.
+  useEffect(() => {
+    if (!activeFile || loading || showConfig) return;
+    const timer = setTimeout(async () => {
+      try {
+        const key = draftKey(config, currentBranch, activeFile.path);
+        if (fileContent !== originalContent) {
+          await saveActiveDraftRef.current();
+        } else if (ownedDraftKeys.current.has(key)) {
+          ownedDraftKeys.current.delete(key);
+          await deleteDraft(config, currentBranch, activeFile.path);
+        } else {
+          return;
+        }
+        setDrafts(await listDrafts(config));
+      } catch {
+        // Drafts are best-effort
+      }
+    }, 800);
+    return () => clearTimeout(timer);
+  }, [fileContent, originalContent, activeFile, loading, currentBranch, config, showConfig]);
+
+  // Remember the open tabs so reconnecting to this repo reopens them
+  useEffect(() => {
+    if (showConfig) return;
+    saveOpenTabs(config, {
+      branch: currentBranch,
+      active: activeFile?.path ?? restoredActiveTab.current,
+      tabs: tabs.map(tab => (tab.path === activeFile?.path
+        ? { path: tab.path, editorLayout, viewMode }
+        : { path: tab.path, editorLayout: tab.editorLayout, viewMode: tab.viewMode }))
+    });
+  }, [tabs, activeFile, editorLayout, viewMode, currentBranch, config, showConfig]);
+
+  // Applies a pending jump once its file has loaded into the editor
+  useEffect(() => {
+    if (!editorJump || editorJump.id === lastEditorJump.current) return;
+    if (loading || activeFile?.path !== editorJump.path || !editorRef.current) return;
+    lastEditorJump.current = editorJump.id;
+    selectLine(editorRef.current, editorJump.line);
+  }, [editorJump, loading, activeFile, editorLayout, viewMode]);
+
+  // --- COMMANDS & SHORTCUTS ---
+  // What each SHORTCUT_COMMANDS entry does, and whether it applies right now. The palette
+  // lists the available ones; their keys work anywhere except where noted below.
+  const commandActions = {
+    palette: { run: () => setPalette('commands') },
+    shortcuts: { run: () => setShowShortcuts(true) },
+    quickOpen: { run: () => setShowQuickOpen(true) },
+    search: { run: () => setSidebarView('search') },
+    switchBranch: { available: branches.length > 0 && !loading, run: () => setPalette('branches') },
+    settings: { run: () => confirmDisconnect() && setShowConfig(true) },
+    newFile: { run: () => setShowNewFileModal(true) },
+    upload: { run: () => fileInputRef.current?.click() },
+    commit: { available: isDirty && !loading, run: () => openCommitModal('file') },
+    stage: { available: isDirty && stagedChanges[activeFile.path]?.content !== fileContent && !loading, run: stageActiveFile },
+    commitStaged: { available: Object.keys(stagedChanges).length > 0 && !loading, run: () => openCommitModal('staged') },
+    edit: { available: Boolean(activeFile), run: () => { setViewMode('editor'); setEditorLayout('edit'); } },
+    split: { available: Boolean(activeFile), run: () => { setViewMode('editor'); setEditorLayout('split'); } },
+    preview: { available: Boolean(activeFile), run: () => { setViewMode('editor'); setEditorLayout('preview'); } },
+    togglePreview: {
+      available: Boolean(activeFile),
+      run: () => {
+        setEditorLayout(viewMode === 'editor' && editorLayout === 'preview' ? 'edit' : 'preview');
+        setViewMode('editor');
+      }
+    },
+    history: {
+      available: Boolean(activeFile?.sha),
+      run: () => (viewMode === 'history' ? setViewMode('editor') : fetchHistory(activeFile.path))
+    },
+    blame: {
+      available: Boolean(activeFile?.sha && provider.blameFile),
+      run: () => (viewMode === 'blame' ? setViewMode('editor') : fetchBlame(activeFile.path))
+    }
+  };
+  const commands = SHORTCUT_COMMANDS.map(({ id, label }) => ({
+    id,
+    label,
+    shortcut: shortcuts[id],
+    available: commandActions[id].available !== false,
+    run: commandActions[id].run
+  }));
+
+  const changeShortcuts = (next) => {
+    setShortcuts(next);
+    saveShortcuts(next);
+  };
+
+  const commandsRef = useRef(commands);
+  useEffect(() => {
+    commandsRef.current = commands;
+  });
+  // Keys the editor has already handled stay with it (the shortcuts sheet refuses those),
+  // and keys without a modifier are left to text fields. A bound key whose
+  // command doesn't apply is still swallowed, so Ctrl+S never opens the browser's dialog.
+  useEffect(() => {
+    if (showConfig || palette || showShortcuts) return;
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented) return;
+      const shortcut = eventShortcut(e);
+      const command = shortcut && commandsRef.current.find(c => c.shortcut === shortcut);
+      if (!command) return;
+      if (isTypingKey(shortcut) && e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      e.preventDefault();
+      if (command.available) command.run();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [showConfig, palette, showShortcuts]);
+
+  // Lock the vault after `lockMinutes` without keyboard or pointer input
+  useEffect(() => {
+    lockVaultRef.current = lockTokenVault;
+  });
+  useEffect(() => {
+    if (!vault) return;
+    let lastActivity = Date.now();
+    const touch = () => {
+      lastActivity = Date.now();
+    };
+    const events = ['keydown', 'pointerdown', 'wheel'];
+    events.forEach(type => window.addEventListener(type, touch, { passive: true }));
+    const timer = setInterval(() => {
+      if (Date.now() - lastActivity > lockMinutes * 60 * 1000) lockVaultRef.current({ idle: true });
+    }, 15 * 1000);
+    return () => {
+      events.forEach(type => window.removeEventListener(type, touch));
+      clearInterval(timer);
+    };
+  }, [vault, lockMinutes]);
+
+  // Browser-level guard for refreshes and closed tabs
+  useEffect(() => {
+    const dirtyTab = isDirty || tabs.some(tab => tab.path !== activeFile?.path && isTabDirty(tab));
+    if (!dirtyTab && Object.keys(stagedChanges).length === 0) return;
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [isDirty, tabs, activeFile, stagedChanges]);
 
   // --- RENDER ---
 
@@ -482,6 +1872,7 @@ export default function App() {
   };
 
   if (showConfig) {
+    const providerInfo = PROVIDERS.find(p => p.id === config.provider);
     return (
       <div className="min-h-screen bg-slate-50 flex items-center justify-center p-4 font-sans">
         <div className="bg-white p-8 rounded-xl shadow-xl w-full max-w-md">
@@ -491,6 +1882,34 @@ export default function App() {
           </div>
 
           <div className="space-y-4">
+            {workspaces.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Saved Workspaces</label>
+                <div className="border rounded-lg divide-y max-h-48 overflow-y-auto">
+                  {workspaces.map(workspace => {
+                    const selected = config.mode === 'live' && repoKey(config) === workspace.id;
+                    return (
+                      <div key={workspace.id} className={`flex items-center gap-2 px-3 py-2 ${selected ? 'bg-blue-50' : 'hover:bg-slate-50'}`}>
+                        <button onClick={() => selectWorkspace(workspace)} className="flex-1 min-w-0 text-left">
+                          <span className={`block text-sm truncate ${selected ? 'text-blue-700 font-medium' : 'text-slate-800'}`}>
+                            {workspace.owner}/{workspace.repo}
+                          </span>
+                          <span className="block text-xs text-slate-400 truncate">
+                            {workspace.baseUrl || PROVIDERS.find(p => p.id === workspace.provider)?.label}
+                            {workspace.branch && ` · ${workspace.branch}`}
+                            {vault && workspace.id in vault.tokens && ' · token saved'}
+                          </span>
+                        </button>
+                        <button onClick={() => forgetWorkspace(workspace)} className="text-slate-300 hover:text-red-600" title="Forget workspace">
+                          <Trash2 size={14} />
+                        </button>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+
             <div>
               <label className="block text-sm font-medium text-slate-700 mb-1">Mode</label>
               <div className="flex gap-4">
@@ -504,13 +1923,36 @@ export default function App() {
                   onClick={() => setConfig({ ...config, mode: 'live' })}
                   className={`flex-1 py-2 px-4 rounded-lg border ${config.mode === 'live' ? 'bg-blue-50 border-blue-500 text-blue-700' : 'border-slate-200'}`}
                 >
-                  Live GitHub
+                  Live Repository
                 </button>
               </div>
             </div>
 
             {config.mode === 'live' && (
               <>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Provider</label>
+                  <select
+                    className="w-full p-2 border rounded-lg bg-white"
+                    value={config.provider}
+                    onChange={e => setConfig({ ...config, provider: e.target.value, baseUrl: '' })}
+                  >
+                    {PROVIDERS.map(p => (
+                      <option key={p.id} value={p.id}>{p.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Server URL</label>
+                  <input
+                    type="url"
+                    className="w-full p-2 border rounded-lg"
+                    placeholder={providerInfo.defaultBaseUrl || 'https://git.example.com'}
+                    value={config.baseUrl}
+                    onChange={e => setConfig({ ...config, baseUrl: e.target.value.trim() })}
+                  />
+                  <p className="text-xs text-slate-500 mt-1">{providerInfo.baseUrlHint}{providerInfo.defaultBaseUrl && '. Leave empty for the public service.'}</p>
+                </div>
                 <div>
                   <label className="block text-sm font-medium text-slate-700 mb-1">Repo Owner</label>
                   <input
@@ -531,6 +1973,17 @@ export default function App() {
                     onChange={e => setConfig({ ...config, repo: e.target.value })}
                   />
                 </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Default Branch</label>
+                  <input
+                    type="text"
+                    className="w-full p-2 border rounded-lg"
+                    placeholder="main"
+                    value={config.branch}
+                    onChange={e => setConfig({ ...config, branch: e.target.value.trim() })}
+                  />
+                  <p className="text-xs text-slate-500 mt-1">Opened on connect, unless you left this repo on another branch.</p>
+                </div>
                 <div>
                   <label className="block text-sm font-medium text-slate-700 mb-1 flex items-center gap-2">
                     Personal Access Token
@@ -546,16 +1999,35 @@ export default function App() {
                     onChange={e => setConfig({ ...config, token: e.target.value })}
                   />
                   <p className="text-xs text-slate-500 mt-1">Required for private repos and pushing changes.</p>
+                  <label className={`mt-2 flex items-center gap-2 text-sm ${vault ? 'text-slate-700' : 'text-slate-400'}`}>
+                    <input
+                      type="checkbox"
+                      checked={Boolean(vault) && rememberToken}
+                      disabled={!vault}
+                      onChange={e => setRememberToken(e.target.checked)}
+                    />
+                    Save token in the encrypted vault
+                  </label>
                 </div>
+                <VaultPanel
+                  exists={vaultExists}
+                  unlocked={Boolean(vault)}
+                  lockMinutes={lockMinutes}
+                  onCreate={createTokenVault}
+                  onUnlock={unlockTokenVault}
+                  onLock={() => lockTokenVault()}
+                  onForget={forgetTokenVault}
+                  onLockMinutesChange={changeLockMinutes}
+                />
               </>
             )}
 
             <button
-              onClick={() => setShowConfig(false)}
+              onClick={() => connect()}
               className="w-full bg-blue-600 text-white py-3 rounded-lg font-bold hover:bg-blue-700 transition-colors mt-4"
-              disabled={config.mode === 'live' && (!config.owner || !config.repo)}
+              disabled={config.mode === 'live' && (!config.owner || !config.repo || (!providerInfo.defaultBaseUrl && !config.baseUrl))}
             >
-              {config.mode === 'demo' ? 'Launch Demo' : 'Connect to GitHub'}
+              {config.mode === 'demo' ? 'Launch Demo' : `Connect to ${providerInfo.label}`}
             </button>
           </div>
         </div>
@@ -563,35 +2035,81 @@ export default function App() {
     );
   }
 
+  const codeEditor = activeFile && (
+    <CodeEditor
+      key={activeFile.path}
+      path={activeFile.path}
+      value={fileContent}
+      onChange={setFileContent}
+      onCursorLine={setCursorLine}
+      viewRef={editorRef}
+      keyBindings={isMarkdownPath(activeFile.path) ? formattingKeymap : undefined}
+      sessions={editorSessions}
+    />
+  );
+
+  // Where the commit modal's commit lands: the new branch when proposing changes
+  const commitBranch = proposal.enabled ? proposal.branch || '(not named yet)' : currentBranch;
+  const recentFiles = workspaces.find(w => config.mode === 'live' && w.id === repoKey(config))?.recentFiles || [];
+
   return (
     <div className="flex flex-col h-screen bg-slate-50 font-sans text-slate-900">
       {showTokenHelp && <TokenHelpModal onClose={() => setShowTokenHelp(false)} />}
       {/* HEADER */}
       <header className="bg-white border-b px-4 py-3 flex items-center justify-between shadow-sm">
         <div className="flex items-center gap-4">
-          <div className="flex items-center gap-2 text-blue-700 font-bold text-lg">
-            <Github size={24} />
-            <span>{config.mode === 'demo' ? 'Demo Repo' : `${config.owner}/${config.repo}`}</span>
-          </div>
+          <WorkspaceSwitcher
+            label={config.mode === 'demo' ? 'Demo Repo' : `${config.owner}/${config.repo}`}
+            currentId={config.mode === 'demo' ? null : repoKey(config)}
+            workspaces={workspaces}
+            recentFiles={recentFiles}
+            vaultUnlocked={Boolean(vault)}
+            onSwitch={switchWorkspace}
+            onOpenFile={openRecentFile}
+            onManage={() => confirmDisconnect() && setShowConfig(true)}
+            onLockVault={() => lockTokenVault()}
+          />
 
           <div className="h-6 w-px bg-slate-200 mx-2"></div>
 
           <div className="flex items-center gap-2">
-            <GitBranch size={16} className="text-slate-500" />
-            <select
-              value={currentBranch}
-              onChange={(e) => setCurrentBranch(e.target.value)}
-              className="bg-slate-100 border-none rounded px-2 py-1 text-sm font-medium focus:ring-2 focus:ring-blue-500"
-            >
-              {branches.map(b => (
-                <option key={b.name} value={b.name}>{b.name}</option>
-              ))}
-            </select>
+            <BranchSelector
+              branches={branches}
+              currentBranch={currentBranch}
+              defaultBranch={defaultBranch}
+              comparisons={branchComparisons}
+              onSelect={setCurrentBranch}
+              onOpen={fetchBranchComparisons}
+              onCreate={handleCreateBranch}
+              onDelete={handleDeleteBranch}
+              disabled={loading}
+            />
+            <PullRequestBadge pullRequest={pullRequest} onRefresh={() => fetchPullRequest(currentBranch)} />
           </div>
         </div>
 
         <div className="flex items-center gap-2">
-          <button onClick={() => setShowConfig(true)} className="p-2 text-slate-500 hover:text-slate-800 hover:bg-slate-100 rounded-full">
+          <RateLimitBadge rateLimit={rateLimit} />
+          <button
+            onClick={() => setPalette('commands')}
+            className="p-2 text-slate-500 hover:text-slate-800 hover:bg-slate-100 rounded-full"
+            title={withShortcut('Command palette', shortcuts.palette)}
+          >
+            <Command size={20} />
+          </button>
+          <button
+            onClick={() => setShowDrafts(true)}
+            className="p-2 text-slate-500 hover:text-slate-800 hover:bg-slate-100 rounded-full relative"
+            title="Unsaved drafts"
+          >
+            <Archive size={20} />
+            {drafts.length > 0 && (
+              <span className="absolute -top-0.5 -right-0.5 bg-amber-500 text-white text-[10px] font-bold rounded-full min-w-4 h-4 px-1 flex items-center justify-center">
+                {drafts.length}
+              </span>
+            )}
+          </button>
+          <button onClick={() => confirmDisconnect() && setShowConfig(true)} className="p-2 text-slate-500 hover:text-slate-800 hover:bg-slate-100 rounded-full">
             <Settings size={20} />
           </button>
         </div>
@@ -603,53 +2121,136 @@ export default function App() {
         {/* SIDEBAR: FILE TREE */}
         <aside className="w-64 bg-white border-r flex flex-col">
           <div className="p-3 border-b bg-slate-50 flex items-center justify-between">
-            <span className="text-xs font-bold text-slate-500 uppercase tracking-wider">Files</span>
+            <div className="flex items-center gap-3">
+              {['files', 'search', 'docs'].map(view => (
+                <button
+                  key={view}
+                  onClick={() => setSidebarView(view)}
+                  className={`text-xs font-bold uppercase tracking-wider ${sidebarView === view ? 'text-slate-700' : 'text-slate-400 hover:text-slate-600'}`}
+                  title={{ search: withShortcut('Search file contents', shortcuts.search), docs: 'Check links and headings in the Markdown docs' }[view]}
+                >
+                  {view}
+                </button>
+              ))}
+            </div>
             <div className="flex items-center gap-1">
+              <button
+                onClick={() => setShowQuickOpen(true)}
+                className="p-1 text-slate-400 hover:text-blue-600 hover:bg-blue-50 rounded"
+                title={withShortcut('Go to File', shortcuts.quickOpen)}
+              >
+                <Search size={16} />
+              </button>
               <button
                 onClick={() => setShowNewFileModal(true)}
                 className="p-1 text-slate-400 hover:text-blue-600 hover:bg-blue-50 rounded"
-                title="New File"
+                title={withShortcut('New File', shortcuts.newFile)}
               >
                 <Plus size={16} />
               </button>
               <button
                 onClick={() => fileInputRef.current?.click()}
                 className="p-1 text-slate-400 hover:text-blue-600 hover:bg-blue-50 rounded"
-                title="Upload File"
+                title={withShortcut('Upload Files', shortcuts.upload)}
               >
                 <UploadCloud size={16} />
               </button>
+              <button
+                onClick={() => folderInputRef.current?.click()}
+                className="p-1 text-slate-400 hover:text-blue-600 hover:bg-blue-50 rounded"
+                title="Upload Folder"
+              >
+                <FolderUp size={16} />
+              </button>
+              <button
+                onClick={() => setExportFolder('')}
+                className="p-1 text-slate-400 hover:text-blue-600 hover:bg-blue-50 rounded"
+                title="Export Docs"
+              >
+                <Download size={16} />
+              </button>
               <input
                 type="file"
                 ref={fileInputRef}
                 onChange={handleFileUpload}
                 className="hidden"
-                accept=".md,.txt,.json,.js,.jsx,.ts,.tsx"
+                multiple
+              />
+              <input
+                type="file"
+                ref={folderInputRef}
+                onChange={handleFileUpload}
+                className="hidden"
+                webkitdirectory=""
               />
             </div>
           </div>
-          <div className="flex-1 overflow-y-auto py-2">
+          {/* Kept mounted while hidden so queries and results survive switching back */}
+          <div className={sidebarView === 'search' ? 'flex-1 flex flex-col overflow-hidden' : 'hidden'}>
+            <SearchPanel
+              branch={currentBranch}
+              tree={fileTree}
+              onSearch={searchRepository}
+              progress={indexProgress}
+              onOpenMatch={openFileAtLine}
+            />
+          </div>
+          <div className={sidebarView === 'docs' ? 'flex-1 flex flex-col overflow-hidden' : 'hidden'}>
+            <DocsCheckPanel
+              branch={currentBranch}
+              tree={fileTree}
+              onCheck={runDocsCheck}
+              onOpenIssue={openFileAtLine}
+            />
+          </div>
+          <div
+            className={sidebarView === 'files' ? 'flex-1 overflow-y-auto py-2' : 'hidden'}
+            onDragOver={(e) => isTreeDrop(e.dataTransfer) && e.preventDefault()}
+            onDrop={(e) => {
+              if (!isTreeDrop(e.dataTransfer)) return;
+              e.preventDefault();
+              const data = e.dataTransfer.getData(TREE_DRAG_TYPE);
+              if (data) handleTreeDrop(JSON.parse(data), '');
+              else handleUploadDrop(e.dataTransfer, '');
+            }}
+          >
             {organizedTree.map(item => (
               <FileTreeItem
                 key={item.path}
                 item={item}
                 activePath={activeFile?.path}
-                onSelect={(f) => {
-                  setViewMode('editor');
-                  fetchFileContent(f.path, f.sha);
-                }}
+                onSelect={(f) => openTab(f.path, f.sha)}
                 expandedFolders={expandedFolders}
                 toggleFolder={toggleFolder}
+                onContextMenu={(e, treeItem) => setContextMenu({ x: e.clientX, y: e.clientY, item: treeItem })}
+                onMove={handleTreeDrop}
+                onUpload={handleUploadDrop}
               />
             ))}
             {organizedTree.length === 0 && !loading && (
               <div className="text-slate-400 text-sm p-4 text-center italic">No files found.</div>
             )}
           </div>
+          <StagedChangesPanel
+            changes={Object.values(stagedChanges)}
+            activePath={activeFile?.path}
+            onOpen={openStagedFile}
+            onUnstage={unstageFile}
+            onCommit={() => openCommitModal('staged')}
+            disabled={loading}
+          />
         </aside>
 
         {/* EDITOR AREA */}
         <main className="flex-1 flex flex-col bg-slate-50 relative">
+          {tabs.length > 0 && (
+            <EditorTabs
+              tabs={tabs.map(tab => ({ path: tab.path, dirty: tab.path === activeFile?.path ? isDirty : isTabDirty(tab) }))}
+              activePath={activeFile?.path}
+              onSelect={(path) => openTab(path)}
+              onClose={closeTab}
+            />
+          )}
           {activeFile ? (
             <>
               {/* TOOLBAR */}
@@ -662,35 +2263,81 @@ export default function App() {
                   {activeFile.sha === null && (
                     <span className="text-xs bg-green-100 text-green-700 px-2 py-0.5 rounded-full font-medium">New File</span>
                   )}
+                  {stagedChanges[activeFile.path]?.content === fileContent && (
+                    <span className="text-xs bg-blue-100 text-blue-700 px-2 py-0.5 rounded-full font-medium">Staged</span>
+                  )}
                 </div>
 
                 <div className="flex items-center gap-2">
                   <div className="flex bg-slate-100 rounded p-1 mr-4">
+                    {[
+                      { layout: 'edit', label: 'Edit', icon: Edit3 },
+                      { layout: 'split', label: 'Split', icon: Columns2, title: 'Editor and live preview side by side' },
+                      { layout: 'preview', label: 'Preview', icon: Eye }
+                    ].map(({ layout, label, icon, title }) => {
+                      const Icon = icon;
+                      return (
+                        <button
+                          key={layout}
+                          onClick={() => { setViewMode('editor'); setEditorLayout(layout); }}
+                          className={`px-3 py-1 rounded text-sm font-medium flex items-center gap-2 ${viewMode === 'editor' && editorLayout === layout ? 'bg-white shadow text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}
+                          title={title}
+                        >
+                          <Icon size={14} /> {label}
+                        </button>
+                      );
+                    })}
                     <button
-                      onClick={() => { setViewMode('editor'); setIsEditing(true); }}
-                      className={`px-3 py-1 rounded text-sm font-medium flex items-center gap-2 ${viewMode === 'editor' && isEditing ? 'bg-white shadow text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}
+                      onClick={() => fetchHistory(activeFile.path)}
+                      disabled={!activeFile.sha} // Can't fetch history for a new file
+                      className={`px-3 py-1 rounded text-sm font-medium flex items-center gap-2 ${viewMode === 'history' ? 'bg-white shadow text-blue-600' : 'text-slate-500 hover:text-slate-700 disabled:opacity-50'}`}
                     >
-                      <Edit3 size={14} /> Edit
+                      <History size={14} /> History
                     </button>
                     <button
-                      onClick={() => { setViewMode('editor'); setIsEditing(false); }}
-                      className={`px-3 py-1 rounded text-sm font-medium flex items-center gap-2 ${viewMode === 'editor' && !isEditing ? 'bg-white shadow text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}
+                      onClick={() => fetchBlame(activeFile.path)}
+                      disabled={!activeFile.sha || !provider.blameFile}
+                      className={`px-3 py-1 rounded text-sm font-medium flex items-center gap-2 ${viewMode === 'blame' ? 'bg-white shadow text-blue-600' : 'text-slate-500 hover:text-slate-700 disabled:opacity-50'}`}
+                      title={provider.blameFile ? 'Who last changed each line' : `${provider.label} has no blame API`}
                     >
-                      <Eye size={14} /> Preview
+                      <GitCommitVertical size={14} /> Blame
                     </button>
+                  </div>
+
+                  {viewMode === 'editor' && isMarkdownPath(activeFile.path) && (
                     <button
-                      onClick={() => fetchHistory(activeFile.path)}
-                      disabled={!activeFile.sha} // Can't fetch history for a new file
-                      className={`px-3 py-1 rounded text-sm font-medium flex items-center gap-2 ${viewMode === 'history' ? 'bg-white shadow text-blue-600' : 'text-slate-500 hover:text-slate-700 disabled:opacity-50'}`}
+                      onClick={() => setShowOutline(!showOutline)}
+                      className={`p-1.5 rounded-lg border ${showOutline ? 'bg-blue-50 text-blue-600 border-blue-200' : 'border-slate-200 text-slate-500 hover:bg-slate-100'}`}
+                      title={showOutline ? 'Hide outline' : 'Show outline'}
                     >
-                      <History size={14} /> History
+                      <ListTree size={16} />
                     </button>
-                  </div>
+                  )}
+
+                  {provider.simulateTeammateCommit && activeFile.sha && isMarkdownPath(activeFile.path) && (
+                    <button
+                      onClick={simulateTeammateCommit}
+                      className="p-1.5 rounded-lg border border-slate-200 text-slate-500 hover:bg-slate-100"
+                      title="Simulate a teammate committing to this file (demo)"
+                    >
+                      <Users size={16} />
+                    </button>
+                  )}
 
                   <button
-                    onClick={() => setShowCommitModal(true)}
+                    onClick={stageActiveFile}
+                    disabled={fileContent === originalContent || stagedChanges[activeFile.path]?.content === fileContent || loading}
+                    className="border border-slate-200 hover:bg-slate-100 disabled:opacity-50 disabled:cursor-not-allowed text-slate-700 px-3 py-1.5 rounded-lg text-sm font-medium flex items-center gap-2 transition-colors"
+                    title={withShortcut('Add this file to the staged changeset', shortcuts.stage)}
+                  >
+                    <Layers size={16} />
+                    Stage
+                  </button>
+                  <button
+                    onClick={() => openCommitModal('file')}
                     disabled={fileContent === originalContent || loading}
                     className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-white px-4 py-1.5 rounded-lg text-sm font-bold flex items-center gap-2 shadow-sm transition-colors"
+                    title={withShortcut('Commit this file', shortcuts.commit)}
                   >
                     <Save size={16} />
                     Commit
@@ -698,60 +2345,129 @@ export default function App() {
                 </div>
               </div>
 
+              {viewMode === 'editor' && editorLayout !== 'preview' && isMarkdownPath(activeFile.path) && (
+                <>
+                  <FrontMatterForm key={activeFile.path} content={fileContent} schema={frontMatterSchema} onChange={setFileContent} />
+                  <FormatToolbar viewRef={editorRef} />
+                </>
+              )}
+
               {/* CONTENT */}
-              <div className="flex-1 overflow-auto p-6">
-                {loading && (
-                  <div className="absolute inset-0 bg-white/50 backdrop-blur-sm z-10 flex items-center justify-center">
-                    <RefreshCw className="animate-spin text-blue-600" size={32} />
-                  </div>
-                )}
+              <div className="flex-1 flex overflow-hidden">
+                <div className="flex-1 overflow-auto p-6">
+                  {loading && (
+                    <div className="absolute inset-0 bg-white/50 backdrop-blur-sm z-10 flex items-center justify-center">
+                      <RefreshCw className="animate-spin text-blue-600" size={32} />
+                    </div>
+                  )}
 
-                {viewMode === 'editor' ? (
-                  <div className="bg-white rounded-lg shadow-sm border min-h-full">
-                    {isEditing ? (
-                      <textarea
-                        className="w-full h-full p-6 font-mono text-sm resize-none focus:outline-none rounded-lg"
-                        value={fileContent}
-                        onChange={(e) => setFileContent(e.target.value)}
-                        spellCheck={false}
+                  {viewMode === 'editor' && editorLayout === 'split' ? (
+                    <SplitView
+                      key={activeFile.path}
+                      editorViewRef={editorRef}
+                      editor={codeEditor}
+                      preview={(
+                        <MarkdownPreview
+                          content={fileContent}
+                          path={activeFile.path}
+                          branch={currentBranch}
+                          provider={provider}
+                          onNavigate={openLinkedFile}
+                          sourceLines
+                        />
+                      )}
+                    />
+                  ) : viewMode === 'editor' ? (
+                    <div className="bg-white rounded-lg shadow-sm border min-h-full">
+                      {editorLayout === 'edit' ? codeEditor : (
+                        <MarkdownPreview
+                          content={fileContent}
+                          path={activeFile.path}
+                          branch={currentBranch}
+                          provider={provider}
+                          anchor={previewAnchor}
+                          headingJump={headingJump}
+                          onNavigate={openLinkedFile}
+                        />
+                      )}
+                    </div>
+                  ) : historyView ? (
+                    <HistoryVersionView
+                      view={historyView}
+                      path={activeFile.path}
+                      provider={provider}
+                      backLabel={viewMode === 'blame' ? 'Blame' : 'History'}
+                      onBack={() => setHistoryView(null)}
+                      onRestore={restoreHistoryVersion}
+                      onNavigate={openLinkedFile}
+                    />
+                  ) : viewMode === 'blame' ? (
+                    blame?.path === activeFile.path && (
+                      <BlameView
+                        ranges={blame.ranges}
+                        content={originalContent}
+                        branch={currentBranch}
+                        hasUnsavedChanges={fileContent !== originalContent}
+                        onOpenCommit={openHistoryVersion}
                       />
-                    ) : (
-                      <div className="prose max-w-none p-8">
-                        {/* Simple Markdown Render - In production, use 'react-markdown' or 'marked' */}
-                        {fileContent.split('\n').map((line, i) => (
-                          <div key={i} className={line.startsWith('#') ? 'font-bold text-slate-800 my-2' : 'text-slate-600 my-1'}>
-                            {line.startsWith('# ') ? <h1 className="text-2xl">{line.replace('# ', '')}</h1> :
-                              line.startsWith('## ') ? <h2 className="text-xl">{line.replace('## ', '')}</h2> :
-                                line}
-                          </div>
-                        ))}
+                    )
+                  ) : (
+                    <div className="bg-white rounded-lg shadow-sm border overflow-hidden">
+                      <div className="px-6 py-2 border-b flex items-center justify-between text-xs text-slate-500">
+                        <span>Click a commit to view the file as of that commit, or tick two to compare them.</span>
+                        <button
+                          onClick={compareSelectedCommits}
+                          disabled={selectedCommits.length !== 2}
+                          className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-white px-3 py-1 rounded text-xs font-bold flex items-center gap-1"
+                        >
+                          <GitCompare size={12} /> Compare selected
+                        </button>
                       </div>
-                    )}
-                  </div>
-                ) : (
-                  <div className="bg-white rounded-lg shadow-sm border overflow-hidden">
-                    <table className="w-full text-sm text-left">
-                      <thead className="bg-slate-50 text-slate-500 font-medium border-b">
-                        <tr>
-                          <th className="px-6 py-3">Commit Message</th>
-                          <th className="px-6 py-3">Author</th>
-                          <th className="px-6 py-3">Date</th>
-                          <th className="px-6 py-3 text-right">SHA</th>
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {history.map((commit, idx) => (
-                          <tr key={commit.sha} className="border-b last:border-0 hover:bg-slate-50">
-                            <td className="px-6 py-4 font-medium text-slate-900">{commit.commit.message}</td>
-                            <td className="px-6 py-4 text-slate-600">{commit.commit.author.name}</td>
-                            <td className="px-6 py-4 text-slate-500">{formatDate(commit.commit.author.date)}</td>
-                            <td className="px-6 py-4 text-right font-mono text-xs text-slate-400">{commit.sha.substring(0, 7)}</td>
+                      <table className="w-full text-sm text-left">
+                        <thead className="bg-slate-50 text-slate-500 font-medium border-b">
+                          <tr>
+                            <th className="pl-6 py-3 w-8"></th>
+                            <th className="px-6 py-3">Commit Message</th>
+                            <th className="px-6 py-3">Author</th>
+                            <th className="px-6 py-3">Date</th>
+                            <th className="px-6 py-3 text-right">SHA</th>
                           </tr>
-                        ))}
-                      </tbody>
-                    </table>
-                    {history.length === 0 && <div className="p-8 text-center text-slate-400">No history available for this file.</div>}
-                  </div>
+                        </thead>
+                        <tbody>
+                          {history.map(commit => (
+                            <tr
+                              key={commit.sha}
+                              onClick={() => openHistoryVersion(commit)}
+                              className={`border-b last:border-0 cursor-pointer ${selectedCommits.includes(commit.sha) ? 'bg-blue-50' : 'hover:bg-slate-50'}`}
+                            >
+                              <td className="pl-6 py-4" onClick={e => e.stopPropagation()}>
+                                <input
+                                  type="checkbox"
+                                  checked={selectedCommits.includes(commit.sha)}
+                                  onChange={() => toggleCommitSelection(commit.sha)}
+                                  title="Select to compare"
+                                />
+                              </td>
+                              <td className="px-6 py-4 font-medium text-slate-900">{commit.message}</td>
+                              <td className="px-6 py-4 text-slate-600">{commit.author}</td>
+                              <td className="px-6 py-4 text-slate-500">{formatDate(commit.date)}</td>
+                              <td className="px-6 py-4 text-right font-mono text-xs text-slate-400">{commit.sha.substring(0, 7)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      {history.length === 0 && <div className="p-8 text-center text-slate-400">No history available for this file.</div>}
+                    </div>
+                  )}
+                </div>
+                {outlineVisible && (
+                  <OutlinePanel
+                    headings={outlineHeadings}
+                    activeIndex={editorLayout === 'preview' ? -1 : headingAtLine(outlineHeadings, cursorLine)}
+                    onSelect={jumpToHeading}
+                    onMove={moveOutlineSection}
+                    onClose={() => setShowOutline(false)}
+                  />
                 )}
               </div>
             </>
@@ -767,15 +2483,68 @@ export default function App() {
       {/* COMMIT MODAL */}
       {showCommitModal && (
         <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
-          <div className="bg-white rounded-xl shadow-2xl w-full max-w-md overflow-hidden">
+          <div className="bg-white rounded-xl shadow-2xl w-full max-w-4xl overflow-hidden flex flex-col max-h-full">
             <div className="px-6 py-4 border-b bg-slate-50 flex justify-between items-center">
               <h3 className="font-bold text-slate-800">Commit Changes</h3>
               <button onClick={() => setShowCommitModal(false)} className="text-slate-400 hover:text-slate-700">×</button>
             </div>
-            <div className="p-6">
-              <p className="text-sm text-slate-600 mb-4">
-                You are about to commit changes to <span className="font-mono font-bold bg-slate-100 px-1 rounded">{activeFile?.path}</span> on branch <span className="font-bold text-blue-600">{currentBranch}</span>.
-              </p>
+            <div className="p-6 overflow-y-auto">
+              <div className="flex bg-slate-100 rounded p-1 mb-4">
+                <button
+                  onClick={() => setProposal({ ...proposal, enabled: false })}
+                  className={`flex-1 px-3 py-1 rounded text-sm font-medium flex items-center justify-center gap-2 ${!proposal.enabled ? 'bg-white shadow text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}
+                >
+                  <GitBranch size={14} /> Commit directly
+                </button>
+                <button
+                  onClick={() => setProposal({ ...proposal, enabled: true })}
+                  className={`flex-1 px-3 py-1 rounded text-sm font-medium flex items-center justify-center gap-2 ${proposal.enabled ? 'bg-white shadow text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}
+                >
+                  <GitPullRequest size={14} /> Propose changes
+                </button>
+              </div>
+              {commitScope === 'staged' ? (
+                <div className="text-sm text-slate-600 mb-4">
+                  <p className="mb-2">
+                    You are about to commit <span className="font-bold">{Object.keys(stagedChanges).length} staged file(s)</span> as a single commit on {proposal.enabled ? 'the new branch' : 'branch'} <span className="font-bold text-blue-600">{commitBranch}</span>:
+                  </p>
+                  <div className="space-y-2">
+                    {Object.values(stagedChanges).map(change => (
+                      <details key={change.path} className="group">
+                        <summary className={`cursor-pointer font-mono text-xs bg-slate-50 rounded px-2 py-1 hover:bg-slate-100 ${change.action === 'delete' ? 'line-through text-red-600' : ''}`}>
+                          {change.path}
+                        </summary>
+                        <div className="mt-2">
+                          {change.action === 'delete' ? (
+                            <p className="text-xs text-red-600 px-2">This file will be deleted.</p>
+                          ) : change.encoding === 'base64' ? (
+                            <p className="text-xs text-slate-500 px-2">
+                              Uploaded file ({formatSize(change.size)}), {change.isNew ? 'added' : 'replacing the current version'}.
+                            </p>
+                          ) : (
+                            <DiffView
+                              oldText={change.baseContent || ''}
+                              newText={change.content}
+                              onDiscardHunk={(index) => discardStagedHunk(change.path, index)}
+                            />
+                          )}
+                        </div>
+                      </details>
+                    ))}
+                  </div>
+                </div>
+              ) : (
+                <div className="mb-4">
+                  <p className="text-sm text-slate-600 mb-3">
+                    You are about to commit changes to <span className="font-mono font-bold bg-slate-100 px-1 rounded">{activeFile?.path}</span> on {proposal.enabled ? 'the new branch' : 'branch'} <span className="font-bold text-blue-600">{commitBranch}</span>.
+                  </p>
+                  <DiffView
+                    oldText={originalContent}
+                    newText={fileContent}
+                    onDiscardHunk={discardActiveHunk}
+                  />
+                </div>
+              )}
               <label className="block text-xs font-bold text-slate-500 uppercase mb-2">Commit Message</label>
               <textarea
                 className="w-full border rounded-lg p-3 text-sm focus:ring-2 focus:ring-blue-500 outline-none"
@@ -784,6 +2553,66 @@ export default function App() {
                 value={commitMessage}
                 onChange={e => setCommitMessage(e.target.value)}
               />
+              {proposal.enabled && (
+                <div className="mt-4 space-y-3 border-t pt-4">
+                  <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <label className="block text-xs font-bold text-slate-500 uppercase mb-1">New Branch</label>
+                      <input
+                        type="text"
+                        className="w-full border rounded-lg p-2 text-sm font-mono focus:ring-2 focus:ring-blue-500 outline-none"
+                        value={proposal.branch}
+                        onChange={e => setProposal({ ...proposal, branch: e.target.value })}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs font-bold text-slate-500 uppercase mb-1">Base Branch</label>
+                      <select
+                        className="w-full border rounded-lg p-2 text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+                        value={proposal.base}
+                        onChange={e => setProposal({ ...proposal, base: e.target.value })}
+                      >
+                        {branches.map(b => (
+                          <option key={b.name} value={b.name}>{b.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                  <div>
+                    <label className="block text-xs font-bold text-slate-500 uppercase mb-1">Pull Request Title</label>
+                    <input
+                      type="text"
+                      className="w-full border rounded-lg p-2 text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+                      placeholder={commitMessage.split('\n')[0] || 'Defaults to the commit message'}
+                      value={proposal.title}
+                      onChange={e => setProposal({ ...proposal, title: e.target.value })}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-bold text-slate-500 uppercase mb-1">Description</label>
+                    <textarea
+                      className="w-full border rounded-lg p-2 text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+                      rows="3"
+                      placeholder="Why are these changes needed?"
+                      value={proposal.body}
+                      onChange={e => setProposal({ ...proposal, body: e.target.value })}
+                    />
+                  </div>
+                  <label className="flex items-center gap-2 text-sm text-slate-600">
+                    <input
+                      type="checkbox"
+                      checked={proposal.draft}
+                      onChange={e => setProposal({ ...proposal, draft: e.target.checked })}
+                    />
+                    Open as draft pull request
+                  </label>
+                </div>
+              )}
+              {commitProgress && (
+                <p className="text-xs text-slate-500 mt-2 flex items-center gap-2">
+                  <RefreshCw size={12} className="animate-spin" /> {commitProgress}...
+                </p>
+              )}
             </div>
             <div className="px-6 py-4 bg-slate-50 flex justify-end gap-3">
               <button
@@ -793,53 +2622,125 @@ export default function App() {
                 Cancel
               </button>
               <button
-                onClick={handleCommit}
-                className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 font-bold text-sm shadow-sm"
+                onClick={proposal.enabled ? handleProposeChanges : commitScope === 'staged' ? handleCommitStaged : handleCommit}
+                disabled={loading || (commitScope === 'staged' ? Object.keys(stagedChanges).length === 0 : fileContent === originalContent)}
+                className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 font-bold text-sm shadow-sm disabled:opacity-50"
               >
-                Commit & Push
+                {proposal.enabled ? 'Commit & Open Pull Request' : 'Commit & Push'}
               </button>
             </div>
           </div>
         </div>
       )}
 
+      {/* FILE TREE CONTEXT MENU */}
+      {contextMenu && (
+        <ContextMenu
+          x={contextMenu.x}
+          y={contextMenu.y}
+          items={treeItemMenu(contextMenu.item)}
+          onClose={() => setContextMenu(null)}
+        />
+      )}
+
+      {/* RENAME / MOVE / DELETE MODAL */}
+      {fileOperation && (
+        <FileOperationModal
+          key={`${fileOperation.type}:${fileOperation.path}`}
+          operation={fileOperation}
+          files={fileTree}
+          onFindLinkUpdates={findLinkUpdates}
+          onConfirm={commitFileOperation}
+          onCancel={() => setFileOperation(null)}
+          busy={loading}
+        />
+      )}
+
+      {/* UPLOAD PREVIEW */}
+      {upload && (
+        <UploadModal
+          uploads={upload.uploads}
+          folder={upload.folder}
+          files={fileTree}
+          onConfirm={stageUpload}
+          onCancel={() => setUpload(null)}
+          busy={loading}
+        />
+      )}
+
+      {/* QUICK OPEN */}
+      {showQuickOpen && (
+        <QuickOpen
+          files={fileTree}
+          onOpen={openQuickOpenFile}
+          onClose={() => setShowQuickOpen(false)}
+        />
+      )}
+
+      {/* COMMAND PALETTE */}
+      {palette && (
+        <CommandPalette
+          key={palette}
+          view={palette}
+          commands={commands.filter(c => c.available && c.id !== 'palette')}
+          recentFiles={[...new Set([...recentFiles, ...tabs.map(tab => tab.path)])]}
+          branches={branches}
+          currentBranch={currentBranch}
+          onOpenFile={openRecentFile}
+          onSwitchBranch={setCurrentBranch}
+          onClose={() => setPalette(null)}
+        />
+      )}
+
+      {/* KEYBOARD SHORTCUTS */}
+      {showShortcuts && (
+        <ShortcutsModal
+          shortcuts={shortcuts}
+          onChange={changeShortcuts}
+          onClose={() => setShowShortcuts(false)}
+        />
+      )}
+
+      {/* DRAFT RECOVERY MODAL */}
+      {showDrafts && (
+        <DraftRecoveryModal
+          drafts={drafts}
+          statuses={draftStatuses}
+          onRestore={restoreDraft}
+          onDiscard={discardDraft}
+          onClose={() => setShowDrafts(false)}
+        />
+      )}
+
+      {/* MERGE CONFLICT MODAL */}
+      {mergeQueue.length > 0 && (
+        <MergeConflictModal
+          key={mergeQueue[0].path}
+          conflict={mergeQueue[0]}
+          onResolve={resolveMerge}
+          onCancel={() => setMergeQueue([])}
+        />
+      )}
+
       {/* NEW FILE MODAL */}
       {showNewFileModal && (
-        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
-          <div className="bg-white rounded-xl shadow-2xl w-full max-w-sm overflow-hidden">
-            <div className="px-6 py-4 border-b bg-slate-50 flex justify-between items-center">
-              <h3 className="font-bold text-slate-800">New File</h3>
-              <button onClick={() => setShowNewFileModal(false)} className="text-slate-400 hover:text-slate-700">×</button>
-            </div>
-            <div className="p-6">
-              <label className="block text-xs font-bold text-slate-500 uppercase mb-2">File Path</label>
-              <input
-                type="text"
-                className="w-full border rounded-lg p-2 text-sm focus:ring-2 focus:ring-blue-500 outline-none"
-                placeholder="docs/new-file.md"
-                value={newFilePath}
-                onChange={e => setNewFilePath(e.target.value)}
-                autoFocus
-              />
-              <p className="text-xs text-slate-400 mt-2">Use forward slashes ( / ) to create folders.</p>
-            </div>
-            <div className="px-6 py-4 bg-slate-50 flex justify-end gap-3">
-              <button
-                onClick={() => setShowNewFileModal(false)}
-                className="px-4 py-2 rounded-lg text-slate-600 hover:bg-slate-200 font-medium text-sm"
-              >
-                Cancel
-              </button>
-              <button
-                onClick={handleCreateNewFile}
-                disabled={!newFilePath}
-                className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 font-bold text-sm shadow-sm disabled:opacity-50"
-              >
-                Create
-              </button>
-            </div>
-          </div>
-        </div>
+        <NewFileModal
+          files={fileTree}
+          onLoadTemplates={loadDocTemplates}
+          onCreate={handleCreateNewFile}
+          onCancel={() => setShowNewFileModal(false)}
+        />
+      )}
+
+      {/* EXPORT MODAL */}
+      {exportFolder !== null && (
+        <ExportModal
+          files={fileTree}
+          branch={currentBranch}
+          folder={exportFolder}
+          onExport={exportDocs}
+          onCancel={() => setExportFolder(null)}
+        />
       )}
 
       {/* NOTIFICATIONS */}
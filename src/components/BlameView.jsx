@@ -0,0 +1,70 @@
+import React, { useMemo } from 'react';
+import { blameGroups } from '../lib/blame';
+import { formatDate } from '../lib/format';
+
+// Oldest to newest, like the age bar in GitHub's blame
+const AGE_COLORS = ['bg-orange-100', 'bg-orange-200', 'bg-orange-300', 'bg-orange-400', 'bg-orange-500'];
+
+/**
+ * The active file's lines (`content`, as committed on `branch`) next to the commit that
+ * last changed them, one block per run of lines from the same commit. `ranges` come
+ * from provider.blameFile; clicking a commit calls `onOpenCommit(commit)`.
+ */
+const BlameView = ({ ranges, content, branch, hasUnsavedChanges, onOpenCommit }) => {
+  const groups = useMemo(() => blameGroups(ranges, content), [ranges, content]);
+
+  // Shade each commit by how recent it is among the commits shown
+  const ageColor = useMemo(() => {
+    const times = [...new Set(ranges.map(range => Date.parse(range.commit.date)))].sort((a, b) => a - b);
+    return (commit) => {
+      if (times.length < 2) return AGE_COLORS[AGE_COLORS.length - 1];
+      const rank = times.indexOf(Date.parse(commit.date)) / (times.length - 1);
+      return AGE_COLORS[Math.round(rank * (AGE_COLORS.length - 1))];
+    };
+  }, [ranges]);
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border overflow-hidden">
+      <div className="px-4 py-2 border-b bg-slate-50 text-xs text-slate-500">
+        Last change to each line on <span className="font-medium text-slate-700">{branch}</span>.
+        {hasUnsavedChanges && ' Your unsaved edits are not included.'}
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm border-collapse">
+          <tbody>
+            {groups.map(group => group.lines.map((text, i) => (
+              <tr key={group.start + i} className={i === 0 ? 'border-t first:border-t-0' : ''}>
+                {i === 0 && (
+                  <td rowSpan={group.lines.length} className="relative align-top w-72 max-w-72 pl-4 pr-3 py-1 border-r bg-slate-50/50">
+                    {group.commit ? (
+                      <>
+                        <span className={`absolute left-0 inset-y-0 w-1 ${ageColor(group.commit)}`} />
+                        <button
+                          onClick={() => onOpenCommit(group.commit)}
+                          className="block w-full text-left truncate text-slate-800 hover:text-blue-600 hover:underline"
+                          title={group.commit.message}
+                        >
+                          {group.commit.message.split('\n')[0]}
+                        </button>
+                        <div className="text-xs text-slate-400 truncate">
+                          <span className="font-mono">{group.commit.sha.substring(0, 7)}</span> · {group.commit.author}, {formatDate(group.commit.date)}
+                        </div>
+                      </>
+                    ) : (
+                      <span className="text-xs text-slate-400 italic">Not in the blame (reload the file)</span>
+                    )}
+                  </td>
+                )}
+                <td className="w-12 text-right pr-3 font-mono text-xs text-slate-400 select-none align-top pt-0.5">{group.start + i}</td>
+                <td className="font-mono text-xs whitespace-pre pr-4 align-top pt-0.5 text-slate-800">{text}</td>
+              </tr>
+            )))}
+          </tbody>
+        </table>
+        {groups.length === 0 && <div className="p-8 text-center text-slate-400">This file is empty.</div>}
+      </div>
+    </div>
+  );
+};
+
+export default BlameView;
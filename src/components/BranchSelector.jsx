@@ -0,0 +1,128 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { GitBranch, ChevronDown, Lock, Trash2, Plus, Check, Star } from 'lucide-react';
+
+// Branches App found merged (contained in the default branch, or merged through a pull
+// request at their current head) are safe to delete.
+const isMerged = (comparison) => Boolean(comparison?.merged);
+
+const BranchSelector = ({
+  branches,
+  currentBranch,
+  defaultBranch,
+  comparisons,
+  onSelect,
+  onOpen,
+  onCreate,
+  onDelete,
+  disabled
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [newBranchName, setNewBranchName] = useState('');
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleOutsideClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleOutsideClick);
+    return () => document.removeEventListener('mousedown', handleOutsideClick);
+  }, [isOpen]);
+
+  const toggle = () => {
+    if (!isOpen) onOpen();
+    setIsOpen(!isOpen);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const name = newBranchName.trim();
+    if (!name) return;
+    if (await onCreate(name)) {
+      setNewBranchName('');
+      setIsOpen(false);
+    }
+  };
+
+  const current = branches.find(b => b.name === currentBranch);
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={toggle}
+        disabled={disabled}
+        className="bg-slate-100 rounded px-2 py-1 text-sm font-medium flex items-center gap-2 hover:bg-slate-200 focus:ring-2 focus:ring-blue-500 outline-none"
+      >
+        <GitBranch size={14} className="text-slate-500" />
+        <span className="max-w-48 truncate">{currentBranch}</span>
+        {current?.protected && <Lock size={12} className="text-amber-600" />}
+        <ChevronDown size={14} className="text-slate-400" />
+      </button>
+
+      {isOpen && (
+        <div className="absolute left-0 top-full mt-1 w-80 bg-white border rounded-lg shadow-xl z-40 overflow-hidden">
+          <div className="max-h-80 overflow-y-auto py-1">
+            {branches.map(branch => {
+              const comparison = comparisons[branch.name];
+              const isDefault = branch.name === defaultBranch;
+              const canDelete = !isDefault && !branch.protected && branch.name !== currentBranch && isMerged(comparison);
+              return (
+                <div
+                  key={branch.name}
+                  onClick={() => { onSelect(branch.name); setIsOpen(false); }}
+                  className={`group flex items-center gap-2 px-3 py-1.5 text-sm cursor-pointer ${branch.name === currentBranch ? 'bg-blue-50 text-blue-700' : 'hover:bg-slate-50 text-slate-700'}`}
+                >
+                  <span className="w-4">{branch.name === currentBranch && <Check size={14} />}</span>
+                  <span className="truncate flex-1 font-mono text-xs" title={branch.name}>{branch.name}</span>
+                  {isDefault && (
+                    <span className="flex items-center gap-0.5 text-[10px] font-bold uppercase text-slate-500" title="Default branch">
+                      <Star size={10} /> default
+                    </span>
+                  )}
+                  {branch.protected && (
+                    <span title="Protected branch"><Lock size={12} className="text-amber-600" /></span>
+                  )}
+                  {!isDefault && comparison && (
+                    <span className="text-[10px] font-mono text-slate-500" title={`${comparison.ahead} ahead, ${comparison.behind} behind ${defaultBranch}`}>
+                      ↑{comparison.ahead} ↓{comparison.behind}
+                    </span>
+                  )}
+                  {!isDefault && isMerged(comparison) && (
+                    <span className="text-[10px] bg-purple-100 text-purple-700 px-1 rounded font-medium">merged</span>
+                  )}
+                  {canDelete && (
+                    <button
+                      onClick={(e) => { e.stopPropagation(); onDelete(branch.name); }}
+                      className="opacity-0 group-hover:opacity-100 text-slate-400 hover:text-red-600"
+                      title="Delete merged branch"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+          <form onSubmit={handleCreate} className="border-t bg-slate-50 p-2 flex items-center gap-2">
+            <input
+              type="text"
+              className="flex-1 border rounded p-1.5 text-xs font-mono focus:ring-2 focus:ring-blue-500 outline-none"
+              placeholder={`New branch from ${currentBranch}`}
+              value={newBranchName}
+              onChange={e => setNewBranchName(e.target.value)}
+            />
+            <button
+              type="submit"
+              disabled={!newBranchName.trim()}
+              className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-2 py-1.5 rounded text-xs font-bold flex items-center gap-1"
+            >
+              <Plus size={12} /> Create
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BranchSelector;
@@ -0,0 +1,152 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { basicSetup } from 'codemirror';
+import { Compartment, EditorState, Transaction } from '@codemirror/state';
+import { EditorView, keymap } from '@codemirror/view';
+import { historyField, indentWithTab } from '@codemirror/commands';
+import { gotoLine, openSearchPanel } from '@codemirror/search';
+import { CornerDownRight, Search, WrapText } from 'lucide-react';
+import { languageFor } from '../lib/editor';
+
+const WRAP_KEY = 'repo-manager:editor-wrap';
+
+const readWrapPreference = () => {
+  try {
+    return localStorage.getItem(WRAP_KEY) === 'true';
+  } catch {
+    return false;
+  }
+};
+
+const theme = EditorView.theme({
+  '&': { fontSize: '14px', minHeight: '100%' },
+  '&.cm-focused': { outline: 'none' },
+  '.cm-scroller': { fontFamily: 'ui-monospace, SFMono-Regular, Menlo, Consolas, monospace' },
+  '.cm-content': { padding: '16px 0' },
+  '.cm-gutters': { backgroundColor: '#f8fafc', color: '#94a3b8', borderRight: '1px solid #e2e8f0' }
+});
+
+/**
+ * CodeMirror editor for the file at `path`: highlighting picked from its extension, line
+ * numbers, bracket matching, find/replace with regex (Ctrl+F) and go-to-line (Ctrl+Alt+G).
+ * `viewRef` receives the EditorView; `keyBindings` are extra CodeMirror key bindings that
+ * take precedence over the defaults. `onCursorLine(line)` follows the cursor's 1-based
+ * line. Mount one per file (`key={path}`) so undo history never crosses files; changes to
+ * `value` from outside are applied in place. `sessions` (a Map, path -> saved state) keeps
+ * the selection and undo history when the editor unmounts, e.g. on a layout or tab switch,
+ * and brings them back on the next mount if the text is still the same.
+ */
+const CodeEditor = ({ path, value, onChange, onCursorLine, viewRef, keyBindings = [], sessions }) => {
+  const containerRef = useRef(null);
+  const view = useRef(null);
+  const wrapping = useRef(null);
+  const onChangeRef = useRef(onChange);
+  const onCursorLineRef = useRef(onCursorLine);
+  const [wrap, setWrap] = useState(readWrapPreference);
+  const [cursor, setCursor] = useState({ line: 1, column: 1 });
+  const language = languageFor(path);
+  // What the editor is created with; later changes arrive through the effects below
+  const initial = useRef({ path, value, wrap, keyBindings, language, viewRef, sessions });
+
+  useEffect(() => {
+    onChangeRef.current = onChange;
+    onCursorLineRef.current = onCursorLine;
+  });
+
+  useEffect(() => {
+    const { path, value, wrap, keyBindings, language, viewRef, sessions } = initial.current;
+    const languageSupport = new Compartment();
+    wrapping.current = new Compartment();
+    const extensions = [
+      keymap.of(keyBindings),
+      basicSetup,
+      keymap.of([indentWithTab]),
+      theme,
+      languageSupport.of([]),
+      wrapping.current.of(wrap ? EditorView.lineWrapping : []),
+      EditorView.updateListener.of(update => {
+        if (update.docChanged) onChangeRef.current(update.state.doc.toString());
+        if (update.docChanged || update.selectionSet) {
+          const head = update.state.selection.main.head;
+          const line = update.state.doc.lineAt(head);
+          setCursor({ line: line.number, column: head - line.from + 1 });
+          onCursorLineRef.current?.(line.number);
+        }
+      })
+    ];
+    const saved = sessions?.get(path);
+    const editor = new EditorView({
+      parent: containerRef.current,
+      state: saved?.doc === value
+        ? EditorState.fromJSON(saved, { extensions }, { history: historyField })
+        : EditorState.create({ doc: value, extensions })
+    });
+    view.current = editor;
+    if (viewRef) viewRef.current = editor;
+    // Reports where the cursor starts: line 1, or where it was in the saved session
+    editor.dispatch({ selection: editor.state.selection, scrollIntoView: true });
+
+    let cancelled = false;
+    language.load()
+      .then(support => !cancelled && support && editor.dispatch({ effects: languageSupport.reconfigure(support) }))
+      .catch(() => {}); // The grammar chunk failed to load; stay plain text
+    return () => {
+      cancelled = true;
+      sessions?.set(path, editor.state.toJSON({ history: historyField }));
+      editor.destroy();
+      if (viewRef?.current === editor) viewRef.current = null;
+    };
+  }, []);
+
+  // Content set from outside (file loaded, old version restored, hunk discarded, merge).
+  // Kept out of undo history so Ctrl+Z can't step back into an empty or stale document.
+  useEffect(() => {
+    const editor = view.current;
+    if (!editor || editor.state.doc.toString() === value) return;
+    editor.dispatch({
+      changes: { from: 0, to: editor.state.doc.length, insert: value },
+      annotations: Transaction.addToHistory.of(false)
+    });
+  }, [value]);
+
+  useEffect(() => {
+    view.current?.dispatch({ effects: wrapping.current.reconfigure(wrap ? EditorView.lineWrapping : []) });
+  }, [wrap]);
+
+  const toggleWrap = () => {
+    setWrap(!wrap);
+    try {
+      localStorage.setItem(WRAP_KEY, String(!wrap));
+    } catch {
+      // Preference just isn't remembered
+    }
+  };
+
+  const toolButton = 'flex items-center gap-1 px-1.5 py-0.5 rounded hover:bg-slate-200 hover:text-slate-700';
+
+  return (
+    <div className="flex flex-col min-h-full">
+      <div ref={containerRef} className="flex-1" />
+      <div className="sticky bottom-0 border-t bg-slate-50 px-3 py-1 flex items-center gap-4 text-xs text-slate-500 rounded-b-lg">
+        <span>Ln {cursor.line}, Col {cursor.column}</span>
+        <span>{language.label}</span>
+        <div className="ml-auto flex items-center gap-1">
+          <button onClick={() => openSearchPanel(view.current)} className={toolButton} title="Find / Replace (Ctrl+F)">
+            <Search size={12} /> Find
+          </button>
+          <button onClick={() => gotoLine(view.current)} className={toolButton} title="Go to Line (Ctrl+Alt+G)">
+            <CornerDownRight size={12} /> Go to Line
+          </button>
+          <button
+            onClick={toggleWrap}
+            className={`${toolButton} ${wrap ? 'text-blue-600 bg-blue-50' : ''}`}
+            title="Soft-wrap long lines"
+          >
+            <WrapText size={12} /> Wrap
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CodeEditor;
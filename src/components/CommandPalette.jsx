@@ -0,0 +1,108 @@
+import React, { useMemo, useState } from 'react';
+import { Check, Clock, Command, GitBranch, Search } from 'lucide-react';
+import { fuzzyFilter } from '../lib/search';
+import { shortcutLabel } from '../lib/formatting';
+
+const ICONS = { command: Command, file: Clock, branch: GitBranch };
+
+// `labels` matching `query`, best first; all of them in their given order without a query.
+const matching = (labels, query) => (query.trim() ? fuzzyFilter(labels, query, 100).map(m => m.path) : labels);
+
+/**
+ * Keyboard launcher for app commands (Ctrl/Cmd+K). `view` 'commands' lists the available
+ * `commands` ({ id, label, shortcut, run }) and `recentFiles`; 'branches' lists
+ * `branches` to switch to. Arrow keys move the selection, Enter runs it, Escape closes.
+ */
+const CommandPalette = ({ view, commands, recentFiles, branches, currentBranch, onOpenFile, onSwitchBranch, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [selected, setSelected] = useState(0);
+
+  const items = useMemo(() => {
+    if (view === 'branches') {
+      return matching(branches.map(b => b.name), query).map(name => ({
+        key: `branch:${name}`,
+        kind: 'branch',
+        label: name,
+        current: name === currentBranch,
+        run: () => onSwitchBranch(name)
+      }));
+    }
+    const commandItems = matching(commands.map(c => c.label), query).map(label => {
+      const command = commands.find(c => c.label === label);
+      return { key: `command:${command.id}`, kind: 'command', label, shortcut: command.shortcut, run: command.run };
+    });
+    const fileItems = matching(recentFiles, query).map(path => ({ key: `file:${path}`, kind: 'file', label: path, run: () => onOpenFile(path) }));
+    return [...commandItems, ...fileItems];
+  }, [view, commands, recentFiles, branches, currentBranch, query, onOpenFile, onSwitchBranch]);
+
+  const run = (item) => {
+    onClose();
+    item.run();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setSelected(i => Math.min(i + 1, items.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setSelected(i => Math.max(i - 1, 0));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (items[selected]) run(items[selected]);
+    } else if (e.key === 'Escape') {
+      onClose();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-start justify-center p-4 pt-24" onClick={onClose}>
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-xl overflow-hidden" onClick={e => e.stopPropagation()}>
+        <div className="px-4 py-3 border-b flex items-center gap-2">
+          <Search size={16} className="text-slate-400" />
+          <input
+            type="text"
+            className="flex-1 text-sm outline-none"
+            placeholder={view === 'branches' ? 'Switch to branch...' : 'Type a command or file name...'}
+            value={query}
+            onChange={e => { setQuery(e.target.value); setSelected(0); }}
+            onKeyDown={handleKeyDown}
+            autoFocus
+          />
+        </div>
+        <div className="max-h-96 overflow-y-auto py-1">
+          {items.map((item, i) => {
+            const Icon = ICONS[item.kind];
+            const heading = view === 'commands' && item.kind === 'file' && items[i - 1]?.kind !== 'file';
+            return (
+              <React.Fragment key={item.key}>
+                {heading && (
+                  <div className="px-4 pt-2 pb-1 text-[11px] font-bold uppercase tracking-wider text-slate-400">Recent files</div>
+                )}
+                <div
+                  onClick={() => run(item)}
+                  onMouseEnter={() => setSelected(i)}
+                  className={`flex items-center gap-2 px-4 py-1.5 text-sm cursor-pointer ${i === selected ? 'bg-blue-50' : ''}`}
+                >
+                  <Icon size={14} className="text-slate-400 shrink-0" />
+                  <span className={`flex-1 truncate ${item.kind === 'file' ? 'text-slate-600' : 'text-slate-800'}`}>{item.label}</span>
+                  {item.current && <Check size={14} className="text-blue-600" />}
+                  {item.shortcut && (
+                    <kbd className="text-[11px] text-slate-500 bg-slate-100 border rounded px-1.5 font-sans">{shortcutLabel(item.shortcut)}</kbd>
+                  )}
+                </div>
+              </React.Fragment>
+            );
+          })}
+          {items.length === 0 && (
+            <div className="px-4 py-6 text-center text-sm text-slate-400 italic">
+              {view === 'branches' ? 'No matching branches.' : 'No matching commands or files.'}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
@@ -0,0 +1,49 @@
+import React, { useEffect, useRef } from 'react';
+
+/**
+ * Right-click menu at viewport position (`x`, `y`).
+ * `items`: [{ label, icon: LucideIcon, onClick, danger? }]. Closes on outside click,
+ * scroll, Escape or after an item is chosen.
+ */
+const ContextMenu = ({ x, y, items, onClose }) => {
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    const handlePointer = (e) => {
+      if (!menuRef.current?.contains(e.target)) onClose();
+    };
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('mousedown', handlePointer);
+    window.addEventListener('keydown', handleKey);
+    window.addEventListener('scroll', onClose, true);
+    return () => {
+      window.removeEventListener('mousedown', handlePointer);
+      window.removeEventListener('keydown', handleKey);
+      window.removeEventListener('scroll', onClose, true);
+    };
+  }, [onClose]);
+
+  return (
+    <div
+      ref={menuRef}
+      className="fixed z-50 bg-white border rounded-lg shadow-lg py-1 min-w-40 text-sm"
+      style={{ left: x, top: y }}
+      onContextMenu={e => e.preventDefault()}
+    >
+      {items.map(({ label, icon: Icon, onClick, danger }) => (
+        <button
+          key={label}
+          onClick={() => { onClose(); onClick(); }}
+          className={`w-full flex items-center gap-2 px-3 py-1.5 text-left ${danger ? 'text-red-600 hover:bg-red-50' : 'text-slate-700 hover:bg-slate-100'}`}
+        >
+          {Icon && <Icon size={14} />}
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ContextMenu;
@@ -0,0 +1,114 @@
+import React, { useMemo, useState } from 'react';
+import { Undo2 } from 'lucide-react';
+import { computePatch, diffStats, hunkRows, sideBySideRows } from '../lib/diff';
+
+const ROW_STYLES = {
+  add: 'bg-green-50',
+  remove: 'bg-red-50',
+  context: ''
+};
+
+const SEGMENT_STYLES = {
+  add: 'bg-green-200',
+  remove: 'bg-red-200'
+};
+
+const LineText = ({ row }) => {
+  if (!row.segments) return row.text || ' ';
+  return row.segments.map((seg, i) => (
+    <span key={i} className={seg.changed ? SEGMENT_STYLES[row.type] : ''}>{seg.text}</span>
+  ));
+};
+
+const Gutter = ({ value }) => (
+  <td className="w-10 px-2 text-right text-slate-400 select-none align-top border-r border-slate-100">{value ?? ''}</td>
+);
+
+const UnifiedHunk = ({ rows }) => rows.map((row, i) => (
+  <tr key={i} className={ROW_STYLES[row.type]}>
+    <Gutter value={row.oldNo} />
+    <Gutter value={row.newNo} />
+    <td className="w-4 text-center text-slate-400 select-none align-top">
+      {row.type === 'add' ? '+' : row.type === 'remove' ? '-' : ''}
+    </td>
+    <td className="px-2 whitespace-pre-wrap break-all"><LineText row={row} /></td>
+  </tr>
+));
+
+const SplitHunk = ({ rows }) => sideBySideRows(rows).map((pair, i) => (
+  <tr key={i}>
+    <Gutter value={pair.left?.oldNo} />
+    <td className={`w-1/2 px-2 whitespace-pre-wrap break-all align-top border-r border-slate-100 ${pair.left ? ROW_STYLES[pair.left.type] : 'bg-slate-50'}`}>
+      {pair.left && <LineText row={pair.left} />}
+    </td>
+    <Gutter value={pair.right?.newNo} />
+    <td className={`w-1/2 px-2 whitespace-pre-wrap break-all align-top ${pair.right ? ROW_STYLES[pair.right.type] : 'bg-slate-50'}`}>
+      {pair.right && <LineText row={pair.right} />}
+    </td>
+  </tr>
+));
+
+/**
+ * Line diff between `oldText` and `newText`. Pass `onDiscardHunk(index)` to offer a
+ * per-hunk "Discard" button; indexes match discardHunk() in lib/diff.
+ */
+const DiffView = ({ oldText, newText, onDiscardHunk, oldLabel = 'Original', newLabel = 'Modified' }) => {
+  const [layout, setLayout] = useState('unified'); // 'unified' or 'split'
+  const patch = useMemo(() => computePatch(oldText, newText), [oldText, newText]);
+  const stats = diffStats(patch);
+
+  return (
+    <div className="border rounded-lg overflow-hidden text-xs">
+      <div className="flex items-center justify-between bg-slate-50 border-b px-3 py-2">
+        <div className="flex items-center gap-3 font-medium">
+          <span className="text-green-700">+{stats.added}</span>
+          <span className="text-red-700">-{stats.removed}</span>
+          <span className="text-slate-400">{oldLabel} → {newLabel}</span>
+        </div>
+        <div className="flex bg-slate-200 rounded p-0.5">
+          {['unified', 'split'].map(option => (
+            <button
+              key={option}
+              onClick={() => setLayout(option)}
+              className={`px-2 py-0.5 rounded capitalize ${layout === option ? 'bg-white shadow text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+      </div>
+      {patch.hunks.length === 0 ? (
+        <div className="p-4 text-center text-slate-400">No changes.</div>
+      ) : (
+        <div className="font-mono overflow-auto max-h-96">
+          {patch.hunks.map((hunk, index) => {
+            const rows = hunkRows(hunk);
+            return (
+              <div key={index} className="border-b last:border-0">
+                <div className="flex items-center justify-between bg-blue-50 text-blue-700 px-3 py-1">
+                  <span>@@ -{hunk.oldStart},{hunk.oldLines} +{hunk.newStart},{hunk.newLines} @@</span>
+                  {onDiscardHunk && (
+                    <button
+                      onClick={() => onDiscardHunk(index)}
+                      className="flex items-center gap-1 text-slate-500 hover:text-red-600 font-sans"
+                      title="Revert this hunk to the original content"
+                    >
+                      <Undo2 size={12} /> Discard
+                    </button>
+                  )}
+                </div>
+                <table className="w-full border-collapse">
+                  <tbody>
+                    {layout === 'unified' ? <UnifiedHunk rows={rows} /> : <SplitHunk rows={rows} />}
+                  </tbody>
+                </table>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DiffView;
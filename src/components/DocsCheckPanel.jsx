@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { CircleCheck, FileQuestion, FileText, Hash, Heading, ImageOff, ListChecks, RefreshCw, Unlink } from 'lucide-react';
+import { DOCS_ISSUE_TYPES } from '../lib/docsCheck';
+
+const ICONS = {
+  'broken-link': Unlink,
+  'missing-anchor': Hash,
+  'missing-image': ImageOff,
+  heading: Heading,
+  orphan: FileQuestion
+};
+
+/**
+ * Link and heading report for the Markdown files of `branch`. `onCheck({ onProgress })`
+ * downloads the docs and resolves to checkDocs()' result for `tree`; clicking an issue
+ * calls `onOpenIssue(path, line)`. Results are kept until the next check, with a note
+ * once `tree` has moved on.
+ */
+const DocsCheckPanel = ({ branch, tree, onCheck, onOpenIssue }) => {
+  const [report, setReport] = useState(null); // { issues, checked, skipped, tree, branch }
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [hiddenTypes, setHiddenTypes] = useState(new Set());
+
+  const runCheck = async () => {
+    setRunning(true);
+    try {
+      const checkedTree = tree;
+      const result = await onCheck({ onProgress: (done, total) => setProgress(done < total ? { done, total } : null) });
+      setReport({ ...result, tree: checkedTree, branch });
+    } finally {
+      setRunning(false);
+      setProgress(null);
+    }
+  };
+
+  const toggleType = (type) => {
+    const next = new Set(hiddenTypes);
+    if (next.has(type)) next.delete(type);
+    else next.add(type);
+    setHiddenTypes(next);
+  };
+
+  const counts = {};
+  report?.issues.forEach(issue => {
+    counts[issue.type] = (counts[issue.type] || 0) + 1;
+  });
+  const byFile = [];
+  report?.issues.filter(issue => !hiddenTypes.has(issue.type)).forEach(issue => {
+    const last = byFile[byFile.length - 1];
+    if (last?.path === issue.path) last.issues.push(issue);
+    else byFile.push({ path: issue.path, issues: [issue] });
+  });
+
+  return (
+    <div className="flex-1 flex flex-col overflow-hidden">
+      <div className="p-2 border-b space-y-1.5">
+        <button
+          onClick={runCheck}
+          disabled={running || tree.length === 0}
+          className="w-full bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded p-1.5 text-sm font-medium flex items-center justify-center gap-2"
+        >
+          {running ? <RefreshCw size={14} className="animate-spin" /> : <ListChecks size={14} />}
+          Check docs
+        </button>
+        {progress ? (
+          <p className="text-xs text-slate-500">Loading {progress.done}/{progress.total} docs...</p>
+        ) : report && (
+          <>
+            <p className="text-xs text-slate-500">
+              {report.issues.length} issue(s) in {report.checked} doc(s) on {report.branch}
+              {report.skipped.length > 0 && `, ${report.skipped.length} couldn't be loaded`}
+            </p>
+            {report.tree !== tree && (
+              <p className="text-xs text-amber-600">The branch has changed since this check.</p>
+            )}
+            <div className="flex flex-wrap gap-1">
+              {Object.entries(DOCS_ISSUE_TYPES).filter(([type]) => counts[type]).map(([type, label]) => {
+                const Icon = ICONS[type];
+                return (
+                  <button
+                    key={type}
+                    onClick={() => toggleType(type)}
+                    className={`flex items-center gap-1 px-1.5 py-0.5 rounded text-[11px] border ${hiddenTypes.has(type) ? 'text-slate-400 border-slate-200 line-through' : 'text-slate-700 border-slate-300 bg-slate-50'}`}
+                    title={hiddenTypes.has(type) ? `Show ${label.toLowerCase()} issues` : `Hide ${label.toLowerCase()} issues`}
+                  >
+                    <Icon size={10} /> {label} {counts[type]}
+                  </button>
+                );
+              })}
+            </div>
+          </>
+        )}
+      </div>
+      <div className="flex-1 overflow-y-auto py-1">
+        {!report && !running && (
+          <div className="text-slate-400 text-sm p-4 text-center italic">
+            Scan every Markdown file on {branch} for broken links, missing anchors and images, heading problems and orphaned docs.
+          </div>
+        )}
+        {report && report.issues.length === 0 && (
+          <div className="text-green-600 text-sm p-4 flex items-center justify-center gap-2">
+            <CircleCheck size={16} /> No problems found.
+          </div>
+        )}
+        {byFile.map(file => (
+          <div key={file.path} className="mb-1">
+            <div className="flex items-center gap-1 px-2 py-1 text-xs font-medium text-slate-700 truncate" title={file.path}>
+              <FileText size={12} className="text-slate-400 shrink-0" />
+              {file.path}
+            </div>
+            {file.issues.map((issue, i) => {
+              const Icon = ICONS[issue.type];
+              return (
+                <div
+                  key={i}
+                  onClick={() => onOpenIssue(issue.path, issue.line)}
+                  className="flex items-start gap-2 pl-5 pr-2 py-0.5 cursor-pointer hover:bg-slate-100 text-slate-600"
+                  title={DOCS_ISSUE_TYPES[issue.type]}
+                >
+                  <span className="text-[10px] text-slate-400 w-6 text-right shrink-0 mt-0.5">{issue.line}</span>
+                  <Icon size={12} className="text-amber-500 shrink-0 mt-0.5" />
+                  <span className="text-xs">{issue.message}</span>
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default DocsCheckPanel;
@@ -0,0 +1,67 @@
+import React from 'react';
+import { AlertTriangle, RotateCcw, Trash2 } from 'lucide-react';
+import { formatDate } from '../lib/format';
+
+const DraftRecoveryModal = ({ drafts, statuses, onRestore, onDiscard, onClose }) => (
+  <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+    <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl overflow-hidden flex flex-col max-h-full">
+      <div className="px-6 py-4 border-b bg-slate-50 flex justify-between items-center">
+        <h3 className="font-bold text-slate-800">Unsaved Drafts</h3>
+        <button onClick={onClose} className="text-slate-400 hover:text-slate-700">×</button>
+      </div>
+      <div className="px-6 py-3 text-sm text-slate-600 border-b">
+        These edits were never committed. Restore one to keep working on it, or discard it.
+      </div>
+      <div className="overflow-y-auto divide-y">
+        {drafts.map(draft => (
+          <div key={draft.key} className="px-6 py-3 flex items-center gap-4">
+            <div className="flex-1 min-w-0">
+              <div className="font-mono text-sm text-slate-800 truncate" title={draft.path}>{draft.path}</div>
+              <div className="text-xs text-slate-500 flex items-center gap-2 mt-0.5">
+                <span className="font-medium text-blue-600">{draft.branch}</span>
+                <span>saved {formatDate(draft.updatedAt)}</span>
+                {statuses[draft.key] === 'stale' && (
+                  <span
+                    className="flex items-center gap-1 text-amber-700 bg-amber-100 px-1.5 rounded-full font-medium"
+                    title="The file changed on the branch after this draft was started. Committing will ask you to merge."
+                  >
+                    <AlertTriangle size={10} /> Out of date
+                  </span>
+                )}
+                {!draft.baseSha && (
+                  <span className="text-green-700 bg-green-100 px-1.5 rounded-full font-medium">New file</span>
+                )}
+              </div>
+            </div>
+            <button
+              onClick={() => onRestore(draft)}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded-lg text-sm font-bold flex items-center gap-1"
+            >
+              <RotateCcw size={14} /> Restore
+            </button>
+            <button
+              onClick={() => onDiscard(draft)}
+              className="p-1.5 text-slate-400 hover:text-red-600 hover:bg-red-50 rounded"
+              title="Discard draft"
+            >
+              <Trash2 size={16} />
+            </button>
+          </div>
+        ))}
+        {drafts.length === 0 && (
+          <div className="p-8 text-center text-slate-400 text-sm">No drafts for this repository.</div>
+        )}
+      </div>
+      <div className="px-6 py-4 bg-slate-50 flex justify-end">
+        <button
+          onClick={onClose}
+          className="px-4 py-2 rounded-lg text-slate-600 hover:bg-slate-200 font-medium text-sm"
+        >
+          Later
+        </button>
+      </div>
+    </div>
+  </div>
+);
+
+export default DraftRecoveryModal;
@@ -0,0 +1,50 @@
+import React from 'react';
+import { FileText, X } from 'lucide-react';
+import { basename, dirname } from '../lib/paths';
+
+/**
+ * Strip of open files above the editor. `tabs`: [{ path, dirty }]. Files that share a
+ * name also show their folder. Middle-click closes a tab.
+ */
+const EditorTabs = ({ tabs, activePath, onSelect, onClose }) => {
+  const names = tabs.map(tab => basename(tab.path));
+
+  return (
+    <div className="bg-slate-100 border-b flex overflow-x-auto shrink-0">
+      {tabs.map(({ path, dirty }, i) => {
+        const active = path === activePath;
+        const ambiguous = names.filter(name => name === names[i]).length > 1;
+        return (
+          <div
+            key={path}
+            onClick={() => onSelect(path)}
+            onAuxClick={(e) => {
+              if (e.button !== 1) return;
+              e.preventDefault();
+              onClose(path);
+            }}
+            className={`group flex items-center gap-2 pl-3 pr-2 py-2 text-sm border-r cursor-pointer shrink-0 ${active ? 'bg-white text-slate-800' : 'text-slate-500 hover:bg-slate-50'}`}
+            title={path}
+          >
+            <FileText size={14} className="text-slate-400" />
+            <span className="truncate max-w-48">{names[i]}</span>
+            {ambiguous && <span className="text-xs text-slate-400 truncate max-w-32">{dirname(path) || '/'}</span>}
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onClose(path);
+              }}
+              className="w-4 h-4 flex items-center justify-center rounded text-slate-400 hover:text-slate-700 hover:bg-slate-200"
+              title={dirty ? 'Close (unsaved changes)' : 'Close'}
+            >
+              {dirty && <span className="w-2 h-2 rounded-full bg-amber-500 group-hover:hidden" />}
+              <X size={12} className={dirty ? 'hidden group-hover:block' : active ? '' : 'invisible group-hover:visible'} />
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default EditorTabs;
@@ -0,0 +1,115 @@
+import React, { useMemo, useState } from 'react';
+import { FileArchive, FileCode, Folder, RefreshCw } from 'lucide-react';
+import { exportableDocs } from '../lib/exportDocs';
+import { dirname, isMarkdownPath, normalizePath } from '../lib/paths';
+
+const FORMATS = [
+  { id: 'zip', label: 'Zip archive', icon: FileArchive, hint: 'The raw Markdown files and the images they use, in their repo folders.' },
+  { id: 'html', label: 'Single HTML page', icon: FileCode, hint: 'Rendered docs with a table of contents and embedded images, styled for printing.' }
+];
+
+/**
+ * Picks what to export from `branch`: a folder of `files` ('' for everything) and a
+ * format. `onExport({ folder, format, onProgress })` builds and downloads the export;
+ * `onProgress(message)` reports each step until it resolves.
+ */
+const ExportModal = ({ files, branch, folder: initialFolder, onExport, onCancel }) => {
+  const [folder, setFolder] = useState(initialFolder);
+  const [format, setFormat] = useState('html');
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const folders = useMemo(() => [...new Set(files.filter(f => isMarkdownPath(f.path)).map(f => dirname(f.path)).filter(Boolean))].sort(), [files]);
+  const target = normalizePath(folder.trim());
+  const docs = exportableDocs(files, target);
+
+  const runExport = async () => {
+    setError(null);
+    setProgress('Starting');
+    try {
+      await onExport({ folder: target, format, onProgress: setProgress });
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg overflow-hidden flex flex-col max-h-full">
+        <div className="px-6 py-4 border-b bg-slate-50 flex justify-between items-center">
+          <h3 className="font-bold text-slate-800">Export Docs</h3>
+          <button onClick={onCancel} className="text-slate-400 hover:text-slate-700">×</button>
+        </div>
+        <div className="p-6 overflow-y-auto space-y-4">
+          <div>
+            <label className="block text-xs font-bold text-slate-500 uppercase mb-2">Folder</label>
+            <div className="flex items-center gap-2">
+              <Folder size={16} className="text-blue-400" />
+              <input
+                type="text"
+                list="export-folders"
+                className="flex-1 border rounded-lg p-2 text-sm font-mono focus:ring-2 focus:ring-blue-500 outline-none"
+                placeholder="(whole branch)"
+                value={folder}
+                onChange={e => setFolder(e.target.value)}
+              />
+              <datalist id="export-folders">
+                {folders.map(f => <option key={f} value={f} />)}
+              </datalist>
+            </div>
+            <p className="text-xs text-slate-400 mt-1">
+              {docs.length} Markdown file(s) on <span className="font-medium">{branch}</span>
+              {!target.startsWith('.github') && ', not counting .github/'}.
+            </p>
+          </div>
+          <div>
+            <label className="block text-xs font-bold text-slate-500 uppercase mb-2">Format</label>
+            <div className="space-y-2">
+              {FORMATS.map(option => {
+                const Icon = option.icon;
+                return (
+                  <label
+                    key={option.id}
+                    className={`flex items-start gap-3 p-3 border rounded-lg cursor-pointer ${format === option.id ? 'border-blue-500 bg-blue-50' : 'hover:bg-slate-50'}`}
+                  >
+                    <input type="radio" name="export-format" className="mt-1" checked={format === option.id} onChange={() => setFormat(option.id)} />
+                    <Icon size={18} className={format === option.id ? 'text-blue-600' : 'text-slate-400'} />
+                    <span>
+                      <span className="block text-sm font-medium text-slate-800">{option.label}</span>
+                      <span className="block text-xs text-slate-500">{option.hint}</span>
+                    </span>
+                  </label>
+                );
+              })}
+            </div>
+          </div>
+          {progress && (
+            <p className="text-xs text-slate-500 flex items-center gap-2">
+              <RefreshCw size={12} className="animate-spin" /> {progress}...
+            </p>
+          )}
+          {error && <p className="text-xs text-red-600">{error}</p>}
+        </div>
+        <div className="px-6 py-4 bg-slate-50 flex justify-end gap-3">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 rounded-lg text-slate-600 hover:bg-slate-200 font-medium text-sm"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={runExport}
+            disabled={Boolean(progress) || docs.length === 0}
+            className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 font-bold text-sm shadow-sm disabled:opacity-50"
+          >
+            Export
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportModal;
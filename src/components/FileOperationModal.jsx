@@ -0,0 +1,153 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { FileText, Link2, RefreshCw } from 'lucide-react';
+import { normalizePath } from '../lib/paths';
+
+// Why moving `from` to `to` can't be done, or null if it can.
+const moveError = (files, from, to, isFolder) => {
+  if (!to) return 'Enter a destination path.';
+  if (to === from) return null;
+  if (isFolder && to.startsWith(`${from}/`)) return 'A folder cannot be moved into itself.';
+  if (files.some(f => f.path === to || f.path.startsWith(`${to}/`))) return `${to} already exists.`;
+  return null;
+};
+
+/**
+ * Confirms a rename/move or delete from the file tree and collects the commit message.
+ * `operation`: { type: 'move' | 'delete', path, isFolder, target? }.
+ * For moves, `onFindLinkUpdates(from, to)` resolves to the Markdown files whose relative
+ * links would change: [{ path, content, count }]. The user can opt out of rewriting them.
+ */
+const FileOperationModal = ({ operation, files, onFindLinkUpdates, onConfirm, onCancel, busy }) => {
+  const { type, path, isFolder } = operation;
+  const affected = isFolder ? files.filter(f => f.path.startsWith(`${path}/`)) : files.filter(f => f.path === path);
+  const [target, setTarget] = useState(operation.target || path);
+  const [message, setMessage] = useState('');
+  const [linkUpdates, setLinkUpdates] = useState(null);
+  const [rewriteLinks, setRewriteLinks] = useState(true);
+
+  const destination = normalizePath(target.trim());
+  const error = type === 'move' ? moveError(files, path, destination, isFolder) : null;
+  const defaultMessage = type === 'delete' ? `Delete ${path}` : `Move ${path} to ${destination}`;
+
+  // Latest lookup from the parent, so a re-render there doesn't restart a pending one
+  const findLinkUpdatesRef = useRef(onFindLinkUpdates);
+  useEffect(() => {
+    findLinkUpdatesRef.current = onFindLinkUpdates;
+  });
+
+  // Look for links to update once the destination settles
+  useEffect(() => {
+    if (type !== 'move' || error || destination === path) return;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const updates = await findLinkUpdatesRef.current(path, destination).catch(() => []);
+      if (!cancelled) setLinkUpdates({ destination, updates });
+    }, 400);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [type, path, destination, error]);
+
+  const currentUpdates = linkUpdates?.destination === destination ? linkUpdates.updates : null;
+  const linkCount = currentUpdates ? currentUpdates.reduce((sum, u) => sum + u.count, 0) : 0;
+  const ready = type === 'delete' || (!error && destination !== path && currentUpdates !== null);
+
+  const confirm = () => onConfirm({
+    target: destination,
+    message: message || defaultMessage,
+    linkUpdates: rewriteLinks && currentUpdates ? currentUpdates : []
+  });
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg overflow-hidden flex flex-col max-h-full">
+        <div className="px-6 py-4 border-b bg-slate-50 flex justify-between items-center">
+          <h3 className="font-bold text-slate-800">
+            {type === 'delete' ? `Delete ${isFolder ? 'Folder' : 'File'}` : `Rename / Move ${isFolder ? 'Folder' : 'File'}`}
+          </h3>
+          <button onClick={onCancel} className="text-slate-400 hover:text-slate-700">×</button>
+        </div>
+        <div className="p-6 overflow-y-auto space-y-4">
+          {type === 'move' ? (
+            <div>
+              <label className="block text-xs font-bold text-slate-500 uppercase mb-2">New Path</label>
+              <input
+                type="text"
+                className="w-full border rounded-lg p-2 text-sm font-mono focus:ring-2 focus:ring-blue-500 outline-none"
+                value={target}
+                onChange={e => setTarget(e.target.value)}
+                autoFocus
+              />
+              {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+              {isFolder && <p className="text-xs text-slate-400 mt-1">Moves {affected.length} file(s).</p>}
+            </div>
+          ) : (
+            <div className="text-sm text-slate-600">
+              <p className="mb-2">These files will be deleted in one commit:</p>
+              <ul className="max-h-40 overflow-y-auto space-y-1">
+                {affected.map(f => (
+                  <li key={f.path} className="flex items-center gap-2 font-mono text-xs text-red-600">
+                    <FileText size={12} /> {f.path}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {type === 'move' && !error && destination !== path && (
+            <div className="border rounded-lg p-3 text-sm">
+              {currentUpdates === null ? (
+                <p className="text-xs text-slate-500 flex items-center gap-2">
+                  <RefreshCw size={12} className="animate-spin" /> Looking for links to update...
+                </p>
+              ) : currentUpdates.length === 0 ? (
+                <p className="text-xs text-slate-500">No Markdown links need updating.</p>
+              ) : (
+                <>
+                  <label className="flex items-center gap-2 text-slate-700">
+                    <input type="checkbox" checked={rewriteLinks} onChange={e => setRewriteLinks(e.target.checked)} />
+                    <Link2 size={14} /> Update {linkCount} relative link(s) in {currentUpdates.length} file(s)
+                  </label>
+                  <ul className="mt-2 pl-6 max-h-32 overflow-y-auto space-y-0.5">
+                    {currentUpdates.map(u => (
+                      <li key={u.path} className="font-mono text-xs text-slate-500">{u.path} ({u.count})</li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </div>
+          )}
+
+          <div>
+            <label className="block text-xs font-bold text-slate-500 uppercase mb-2">Commit Message</label>
+            <input
+              type="text"
+              className="w-full border rounded-lg p-2 text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+              placeholder={defaultMessage}
+              value={message}
+              onChange={e => setMessage(e.target.value)}
+            />
+          </div>
+        </div>
+        <div className="px-6 py-4 bg-slate-50 flex justify-end gap-3">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 rounded-lg text-slate-600 hover:bg-slate-200 font-medium text-sm"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={confirm}
+            disabled={!ready || busy}
+            className={`px-4 py-2 rounded-lg text-white font-bold text-sm shadow-sm disabled:opacity-50 ${type === 'delete' ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'}`}
+          >
+            {type === 'delete' ? 'Delete & Commit' : 'Move & Commit'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FileOperationModal;
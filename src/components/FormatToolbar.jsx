@@ -0,0 +1,54 @@
+import React from 'react';
+import { Bold, Code, Heading1, Heading2, Heading3, Italic, Link, List, ListOrdered, Quote, SquareCode, Table } from 'lucide-react';
+import { FORMATTING_ACTIONS, shortcutLabel } from '../lib/formatting';
+
+const ICONS = {
+  h1: Heading1,
+  h2: Heading2,
+  h3: Heading3,
+  bold: Bold,
+  italic: Italic,
+  code: Code,
+  link: Link,
+  quote: Quote,
+  bullets: List,
+  numbers: ListOrdered,
+  codeBlock: SquareCode,
+  table: Table
+};
+
+// Visual groups: headings | inline | blocks
+const GROUP_STARTS = new Set(['bold', 'quote']);
+
+/**
+ * Markdown formatting buttons for the editor in `viewRef`. The same actions are bound
+ * to keyboard shortcuts inside the editor; tooltips show them.
+ */
+const FormatToolbar = ({ viewRef }) => (
+  <div className="bg-white border-b px-4 py-1 flex items-center gap-0.5">
+    {FORMATTING_ACTIONS.map(({ id, label, shortcut, run }) => {
+      const Icon = ICONS[id];
+      return (
+        <React.Fragment key={id}>
+          {GROUP_STARTS.has(id) && <div className="h-4 w-px bg-slate-200 mx-1.5" />}
+          <button
+            // Keep the editor's selection: act on mouse down, before focus moves
+            onMouseDown={(e) => {
+              e.preventDefault();
+              const view = viewRef.current;
+              if (!view) return;
+              run(view);
+              view.focus();
+            }}
+            className="p-1.5 rounded text-slate-500 hover:text-slate-800 hover:bg-slate-100"
+            title={`${label} (${shortcutLabel(shortcut)})`}
+          >
+            <Icon size={16} />
+          </button>
+        </React.Fragment>
+      );
+    })}
+  </div>
+);
+
+export default FormatToolbar;
@@ -0,0 +1,159 @@
+import React, { useMemo, useState } from 'react';
+import { AlertTriangle, ChevronDown, ChevronRight, FileCode, Plus, X } from 'lucide-react';
+import { addFrontMatter, inferFields, parseFrontMatter, setFrontMatterField, validateFrontMatter } from '../lib/frontMatter';
+
+const inputClass = (error) => `w-full border rounded p-1.5 text-sm outline-none focus:ring-2 ${error ? 'border-red-300 focus:ring-red-400' : 'focus:ring-blue-500'}`;
+
+// Tags as chips; Enter or a comma adds what's typed, Backspace in an empty box drops the last one
+const ListInput = ({ value, onChange, error }) => {
+  const [draft, setDraft] = useState('');
+  const items = Array.isArray(value) ? value.map(String) : [];
+
+  const add = () => {
+    const item = draft.trim();
+    setDraft('');
+    if (item && !items.includes(item)) onChange([...items, item]);
+  };
+
+  return (
+    <div className={`${inputClass(error)} flex flex-wrap items-center gap-1 focus-within:ring-2`}>
+      {items.map((item, i) => (
+        <span key={`${i}:${item}`} className="flex items-center gap-0.5 bg-slate-100 text-slate-700 rounded px-1.5 py-0.5 text-xs">
+          {item}
+          <button onClick={() => onChange(items.filter((_, j) => j !== i))} className="text-slate-400 hover:text-slate-700" title={`Remove ${item}`}>
+            <X size={10} />
+          </button>
+        </span>
+      ))}
+      <input
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            add();
+          } else if (e.key === 'Backspace' && !draft && items.length > 0) {
+            onChange(items.slice(0, -1));
+          }
+        }}
+        onBlur={add}
+        className="flex-1 min-w-[6rem] outline-none text-sm"
+        placeholder={items.length === 0 ? 'Add…' : ''}
+      />
+    </div>
+  );
+};
+
+const FieldInput = ({ field, value, onChange, error }) => {
+  switch (field.type) {
+    case 'boolean':
+      return (
+        <input type="checkbox" checked={value === true} onChange={(e) => onChange(e.target.checked)} className="h-4 w-4 mt-2" />
+      );
+    case 'number':
+      return (
+        <input
+          value={value ?? ''}
+          inputMode="decimal"
+          // Anything that isn't a number is kept as typed and flagged
+          onChange={(e) => {
+            const text = e.target.value.trim();
+            onChange(/^-?\d+(\.\d+)?$/.test(text) ? Number(text) : text);
+          }}
+          className={inputClass(error)}
+        />
+      );
+    case 'date':
+      return <input type="date" value={value ?? ''} onChange={(e) => onChange(e.target.value)} className={inputClass(error)} />;
+    case 'select': {
+      // Keep an unexpected value selectable so it's visible (and flagged), not silently blank
+      const current = value === undefined || value === null ? '' : String(value);
+      const options = current && !field.options.includes(current) ? [...field.options, current] : field.options;
+      return (
+        <select value={current} onChange={(e) => onChange(e.target.value)} className={`${inputClass(error)} bg-white`}>
+          <option value="">—</option>
+          {options.map(option => <option key={option} value={option}>{option}</option>)}
+        </select>
+      );
+    }
+    case 'list':
+      return <ListInput value={value} onChange={onChange} error={error} />;
+    case 'text':
+      return <textarea value={value ?? ''} onChange={(e) => onChange(e.target.value)} rows={3} className={inputClass(error)} />;
+    case 'other':
+      return <div className="text-xs text-slate-400 italic mt-2">Nested value; edit it in the source</div>;
+    default:
+      return <input value={value ?? ''} onChange={(e) => onChange(e.target.value)} className={inputClass(error)} />;
+  }
+};
+
+/**
+ * Form for the YAML front matter of the Markdown in `content`, with a field per `schema`
+ * entry plus any other keys the file already has. Each edit calls `onChange` with the
+ * whole new file text. YAML errors are shown with their line instead of the fields.
+ */
+const FrontMatterForm = ({ content, schema, onChange }) => {
+  const [collapsed, setCollapsed] = useState(false);
+  const frontMatter = useMemo(() => parseFrontMatter(content), [content]);
+  const { present, data, error } = frontMatter;
+  const fields = useMemo(() => [...schema, ...inferFields(data, schema)], [schema, data]);
+  const errors = useMemo(() => validateFrontMatter(data, fields), [data, fields]);
+  const problems = Object.keys(errors).length;
+
+  if (!present) {
+    return (
+      <div className="bg-white border-b px-4 py-1.5 flex items-center gap-2 text-xs text-slate-500">
+        <FileCode size={14} /> No front matter
+        <button onClick={() => onChange(addFrontMatter(content))} className="flex items-center gap-1 text-blue-600 hover:underline">
+          <Plus size={12} /> Add
+        </button>
+      </div>
+    );
+  }
+
+  const Chevron = collapsed ? ChevronRight : ChevronDown;
+
+  return (
+    <div className="bg-white border-b">
+      <button onClick={() => setCollapsed(!collapsed)} className="w-full px-4 py-1.5 flex items-center gap-2 text-xs font-semibold text-slate-600 hover:bg-slate-50">
+        <Chevron size={14} />
+        <FileCode size={14} /> Front Matter
+        {error ? (
+          <span className="text-red-600 font-normal">YAML error on line {error.line}</span>
+        ) : problems > 0 && (
+          <span className="text-amber-600 font-normal">{problems} {problems === 1 ? 'field needs' : 'fields need'} attention</span>
+        )}
+      </button>
+      {!collapsed && (error ? (
+        <div className="mx-4 mb-3 p-2 bg-red-50 border border-red-200 rounded text-sm text-red-700 flex items-start gap-2">
+          <AlertTriangle size={16} className="flex-shrink-0 mt-0.5" />
+          <div>
+            <div className="font-medium">Line {error.line}: {error.message}</div>
+            <div className="text-xs text-red-600">Fix it in the editor below to edit the fields here.</div>
+          </div>
+        </div>
+      ) : (
+        <div className="px-4 pb-3 grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-x-4 gap-y-2 max-h-64 overflow-auto">
+          {fields.map(field => (
+            <div key={field.key} className={`text-xs ${field.type === 'text' ? 'md:col-span-2 xl:col-span-3' : ''}`}>
+              <span className="block font-medium text-slate-600">
+                {field.label}
+                {field.required && <span className="text-red-500"> *</span>}
+                {field.label !== field.key && <span className="font-mono font-normal text-slate-400 ml-1">{field.key}</span>}
+              </span>
+              <FieldInput
+                field={field}
+                value={data[field.key]}
+                error={errors[field.key]}
+                onChange={(value) => onChange(setFrontMatterField(content, field.key, value))}
+              />
+              {errors[field.key] && <span className="block text-red-600">{errors[field.key]}</span>}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default FrontMatterForm;
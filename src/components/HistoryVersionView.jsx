@@ -0,0 +1,77 @@
+import React from 'react';
+import { ArrowLeft, RotateCcw } from 'lucide-react';
+import MarkdownPreview from './MarkdownPreview';
+import DiffView from './DiffView';
+import { formatDate } from '../lib/format';
+
+const CommitLabel = ({ commit }) => (
+  <span>
+    <span className="font-mono text-xs bg-slate-100 px-1 rounded mr-2">{commit.sha.substring(0, 7)}</span>
+    <span className="font-medium text-slate-800">{commit.message.split('\n')[0]}</span>
+    <span className="text-slate-400 ml-2">{commit.author}, {formatDate(commit.date)}</span>
+  </span>
+);
+
+/**
+ * Past version of the active file (`view.type === 'version'`) or a diff between two
+ * past versions (`view.type === 'compare'`), opened from the History table or from
+ * Blame (`backLabel` names where the back button returns to).
+ */
+const HistoryVersionView = ({ view, path, provider, backLabel = 'History', onBack, onRestore, onNavigate }) => (
+  <div className="bg-white rounded-lg shadow-sm border overflow-hidden">
+    <div className="px-4 py-3 border-b bg-slate-50 flex items-center justify-between gap-4 text-sm">
+      <div className="flex items-center gap-3 min-w-0">
+        <button onClick={onBack} className="text-slate-500 hover:text-slate-800 flex items-center gap-1 shrink-0">
+          <ArrowLeft size={14} /> {backLabel}
+        </button>
+        <div className="truncate">
+          {view.type === 'version' ? (
+            <CommitLabel commit={view.commit} />
+          ) : (
+            <span className="text-slate-600">
+              Comparing <span className="font-mono text-xs">{view.from.sha.substring(0, 7)}</span> → <span className="font-mono text-xs">{view.to.sha.substring(0, 7)}</span>
+            </span>
+          )}
+        </div>
+      </div>
+      {view.type === 'version' && view.content !== null && (
+        <button
+          onClick={() => onRestore(view.content)}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded-lg text-sm font-bold flex items-center gap-2 shrink-0"
+          title="Load this version into the editor as a pending change"
+        >
+          <RotateCcw size={14} /> Restore this version
+        </button>
+      )}
+    </div>
+
+    {view.type === 'version' ? (
+      view.content === null ? (
+        <div className="p-8 text-center text-slate-400">This file did not exist at this commit.</div>
+      ) : (
+        <MarkdownPreview
+          content={view.content}
+          path={path}
+          branch={view.commit.sha}
+          provider={provider}
+          onNavigate={onNavigate}
+        />
+      )
+    ) : (
+      <div className="p-4 space-y-3">
+        <div className="text-xs text-slate-500 space-y-1">
+          <div><CommitLabel commit={view.from} /></div>
+          <div><CommitLabel commit={view.to} /></div>
+        </div>
+        <DiffView
+          oldText={view.oldText ?? ''}
+          newText={view.newText ?? ''}
+          oldLabel={view.from.sha.substring(0, 7)}
+          newLabel={view.to.sha.substring(0, 7)}
+        />
+      </div>
+    )}
+  </div>
+);
+
+export default HistoryVersionView;
@@ -0,0 +1,54 @@
+import React, { useDeferredValue, useEffect, useMemo, useRef } from 'react';
+import { renderPreview } from '../lib/markdown';
+import { lineFromHash } from '../lib/paths';
+
+// `sourceLines` tags blocks with their source line for the split view's scroll sync.
+// `headingJump` ({ index, id }) scrolls to the index-th top-level heading, once per id.
+const MarkdownPreview = ({ content, path, branch, provider, anchor, headingJump, onNavigate, sourceLines = false }) => {
+  const containerRef = useRef(null);
+  // Live previews re-render on every keystroke; let typing take priority
+  const deferredContent = useDeferredValue(content);
+  const html = useMemo(
+    () => renderPreview(deferredContent, { provider, branch, path, sourceLines }),
+    [deferredContent, provider, branch, path, sourceLines]
+  );
+
+  // Jump to `#anchor` once the target file has rendered (e.g. after following `other.md#usage`).
+  useEffect(() => {
+    if (!anchor || !containerRef.current) return;
+    containerRef.current.querySelector(`[id="${CSS.escape(anchor)}"]`)?.scrollIntoView();
+  }, [html, anchor]);
+
+  // By position rather than id: ids can be missing (DOMPurify drops ones like `head`)
+  useEffect(() => {
+    if (!headingJump || !containerRef.current) return;
+    const headings = containerRef.current.querySelectorAll(':scope > h1, :scope > h2, :scope > h3, :scope > h4, :scope > h5, :scope > h6');
+    headings[headingJump.index]?.scrollIntoView({ behavior: 'smooth' });
+  }, [headingJump]);
+
+  // Links into the repo open in the editor (at the line for `#L42`); everything else
+  // behaves like a normal link.
+  const handleClick = (e) => {
+    const link = e.target.closest('a[data-repo-path]');
+    if (!link || e.metaKey || e.ctrlKey) return;
+    e.preventDefault();
+    const targetPath = link.getAttribute('data-repo-path');
+    const hash = link.getAttribute('data-repo-hash');
+    if (targetPath === path && !lineFromHash(hash)) {
+      if (hash) containerRef.current.querySelector(`[id="${CSS.escape(hash)}"]`)?.scrollIntoView({ behavior: 'smooth' });
+      return;
+    }
+    onNavigate(targetPath, hash);
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      className="prose prose-slate max-w-none p-8 prose-pre:bg-slate-50 prose-pre:text-slate-800 prose-img:inline"
+      onClick={handleClick}
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+};
+
+export default MarkdownPreview;
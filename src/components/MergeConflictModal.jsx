@@ -0,0 +1,144 @@
+import React, { useMemo, useState } from 'react';
+import { GitMerge } from 'lucide-react';
+import { applyResolutions, countConflicts, resolutionLines } from '../lib/merge';
+
+const CHOICES = [
+  { value: 'mine', label: 'Keep mine' },
+  { value: 'theirs', label: 'Keep theirs' },
+  { value: 'both', label: 'Keep both' }
+];
+
+const UnchangedLines = ({ lines }) => {
+  const [expanded, setExpanded] = useState(false);
+  if (lines.length <= 8 || expanded) {
+    return <pre className="px-3 py-1 text-slate-400 whitespace-pre-wrap">{lines.join('\n')}</pre>;
+  }
+  return (
+    <div className="text-slate-400">
+      <pre className="px-3 pt-1 whitespace-pre-wrap">{lines.slice(0, 3).join('\n')}</pre>
+      <button onClick={() => setExpanded(true)} className="w-full text-center bg-slate-50 hover:bg-slate-100 py-0.5 font-sans">
+        … {lines.length - 6} unchanged lines …
+      </button>
+      <pre className="px-3 pb-1 whitespace-pre-wrap">{lines.slice(-3).join('\n')}</pre>
+    </div>
+  );
+};
+
+const ConflictSide = ({ title, lines, className }) => (
+  <div className="flex-1 min-w-0">
+    <div className="text-[10px] font-bold uppercase text-slate-500 px-2 py-1 font-sans">{title}</div>
+    <pre className={`px-2 py-1 whitespace-pre-wrap break-all min-h-6 ${className}`}>{lines.join('\n') || ' '}</pre>
+  </div>
+);
+
+/**
+ * Resolution editor for a rejected commit. `conflict` carries the merge regions of
+ * base/mine/theirs; `onResolve(text)` receives the fully merged content.
+ */
+const MergeConflictModal = ({ conflict, onResolve, onCancel }) => {
+  const total = countConflicts(conflict.regions);
+  const [resolutions, setResolutions] = useState(() => Array(total).fill(null));
+  const [editing, setEditing] = useState(null); // conflict index being edited by hand
+
+  const merged = useMemo(() => applyResolutions(conflict.regions, resolutions), [conflict.regions, resolutions]);
+  const resolvedCount = resolutions.filter(Boolean).length;
+
+  const setResolution = (index, value) => {
+    setResolutions(prev => prev.map((r, i) => (i === index ? value : r)));
+  };
+
+  const startEditing = (index, region) => {
+    const current = resolutions[index];
+    const seed = current ? resolutionLines(region, current) : [...region.mine, ...region.theirs];
+    setResolution(index, { custom: seed.join('\n') });
+    setEditing(index);
+  };
+
+  let conflictIndex = 0;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-5xl overflow-hidden flex flex-col max-h-full">
+        <div className="px-6 py-4 border-b bg-slate-50 flex justify-between items-center">
+          <h3 className="font-bold text-slate-800 flex items-center gap-2">
+            <GitMerge size={18} className="text-amber-600" /> Resolve Conflicts
+          </h3>
+          <button onClick={onCancel} className="text-slate-400 hover:text-slate-700">×</button>
+        </div>
+        <div className="px-6 py-3 text-sm text-slate-600 border-b">
+          <span className="font-mono font-bold bg-slate-100 px-1 rounded">{conflict.path}</span> was changed on the
+          branch while you were editing. Non-overlapping changes were merged automatically;
+          choose how to resolve the {total} remaining conflict{total === 1 ? '' : 's'}.
+        </div>
+        <div className="overflow-y-auto p-6 font-mono text-xs space-y-2">
+          {conflict.regions.map((region, i) => {
+            if (region.type === 'ok') return <UnchangedLines key={i} lines={region.lines} />;
+
+            const index = conflictIndex++;
+            const resolution = resolutions[index];
+            const isCustom = resolution && typeof resolution === 'object';
+            return (
+              <div key={i} className={`border rounded-lg overflow-hidden ${resolution ? 'border-green-300' : 'border-amber-400'}`}>
+                <div className="flex items-center justify-between bg-amber-50 px-3 py-1.5 font-sans">
+                  <span className="font-bold text-amber-800">Conflict {index + 1}</span>
+                  <div className="flex gap-1">
+                    {CHOICES.map(choice => (
+                      <button
+                        key={choice.value}
+                        onClick={() => { setResolution(index, choice.value); setEditing(null); }}
+                        className={`px-2 py-0.5 rounded border ${resolution === choice.value ? 'bg-blue-600 text-white border-blue-600' : 'bg-white hover:bg-slate-50'}`}
+                      >
+                        {choice.label}
+                      </button>
+                    ))}
+                    <button
+                      onClick={() => startEditing(index, region)}
+                      className={`px-2 py-0.5 rounded border ${isCustom ? 'bg-blue-600 text-white border-blue-600' : 'bg-white hover:bg-slate-50'}`}
+                    >
+                      Edit
+                    </button>
+                  </div>
+                </div>
+                {editing === index && isCustom ? (
+                  <textarea
+                    className="w-full p-2 border-t focus:outline-none bg-white"
+                    rows={Math.max(3, resolution.custom.split('\n').length + 1)}
+                    value={resolution.custom}
+                    onChange={e => setResolution(index, { custom: e.target.value })}
+                    autoFocus
+                  />
+                ) : (
+                  <div className="flex divide-x border-t">
+                    <ConflictSide title="Mine" lines={region.mine} className="bg-blue-50" />
+                    <ConflictSide title="Base" lines={region.base} className="bg-slate-50 text-slate-500" />
+                    <ConflictSide title="Theirs" lines={region.theirs} className="bg-purple-50" />
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+        <div className="px-6 py-4 bg-slate-50 flex justify-between items-center">
+          <span className="text-sm text-slate-500">{resolvedCount} of {total} resolved</span>
+          <div className="flex gap-3">
+            <button
+              onClick={onCancel}
+              className="px-4 py-2 rounded-lg text-slate-600 hover:bg-slate-200 font-medium text-sm"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => onResolve(merged)}
+              disabled={merged === null}
+              className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 font-bold text-sm shadow-sm disabled:opacity-50"
+            >
+              Apply Merge
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MergeConflictModal;
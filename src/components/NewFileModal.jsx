@@ -0,0 +1,135 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { FileText, RefreshCw } from 'lucide-react';
+import { BLANK_TEMPLATE, TEMPLATES_DIR, renderTemplate, templatePath } from '../lib/templates';
+import { normalizePath } from '../lib/paths';
+
+/**
+ * Creates a file from a document template. `onLoadTemplates()` resolves to
+ * { templates, skipped, author } for the branch (see lib/templates); the path follows the
+ * title and the template's folder until the user edits it. `onCreate(path, content)`.
+ */
+const NewFileModal = ({ files, onLoadTemplates, onCreate, onCancel }) => {
+  const [loaded, setLoaded] = useState(null); // { templates, skipped, author }
+  const [template, setTemplate] = useState(BLANK_TEMPLATE);
+  const [title, setTitle] = useState('');
+  const [customPath, setCustomPath] = useState(null); // null while the path follows the title
+
+  // Templates are read once per opening, whatever the parent passes on later renders
+  const loadTemplatesRef = useRef(onLoadTemplates);
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      const result = await loadTemplatesRef.current().catch(() => ({ templates: [], skipped: [], author: '' }));
+      if (!cancelled) setLoaded(result);
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const path = customPath !== null ? normalizePath(customPath.trim()) : templatePath(template, { title });
+  const error = !path ? 'Enter a file path.'
+    : files.some(f => f.path === path) ? `${path} already exists.`
+      : files.some(f => f.path.startsWith(`${path}/`)) ? `${path} is a folder.`
+        : null;
+  const content = renderTemplate(template, { title, author: loaded?.author, path });
+
+  const pickTemplate = (next) => {
+    setTemplate(next);
+    // A new template brings its own folder
+    setCustomPath(null);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg overflow-hidden flex flex-col max-h-full">
+        <div className="px-6 py-4 border-b bg-slate-50 flex justify-between items-center">
+          <h3 className="font-bold text-slate-800">New File</h3>
+          <button onClick={onCancel} className="text-slate-400 hover:text-slate-700">×</button>
+        </div>
+        <div className="p-6 overflow-y-auto space-y-4">
+          <div>
+            <label className="block text-xs font-bold text-slate-500 uppercase mb-2">Template</label>
+            <div className="border rounded-lg divide-y max-h-48 overflow-y-auto">
+              {[BLANK_TEMPLATE, ...(loaded?.templates || [])].map(option => (
+                <button
+                  key={option.path || 'blank'}
+                  onClick={() => pickTemplate(option)}
+                  className={`w-full text-left px-3 py-2 flex items-start gap-2 ${option === template ? 'bg-blue-50' : 'hover:bg-slate-50'}`}
+                >
+                  <FileText size={14} className={`mt-0.5 shrink-0 ${option === template ? 'text-blue-600' : 'text-slate-400'}`} />
+                  <span className="min-w-0">
+                    <span className={`block text-sm ${option === template ? 'text-blue-700 font-medium' : 'text-slate-700'}`}>{option.name}</span>
+                    {(option.description || option.folder) && (
+                      <span className="block text-xs text-slate-400 truncate">
+                        {option.description}
+                        {option.description && option.folder && ' · '}
+                        {option.folder && <span className="font-mono">{option.folder}/</span>}
+                      </span>
+                    )}
+                  </span>
+                </button>
+              ))}
+              {!loaded && (
+                <div className="px-3 py-2 text-xs text-slate-400 flex items-center gap-2">
+                  <RefreshCw size={12} className="animate-spin" /> Loading templates from {TEMPLATES_DIR}...
+                </div>
+              )}
+            </div>
+            {loaded?.templates.length === 0 && (
+              <p className="text-xs text-slate-400 mt-1">Add Markdown files to {TEMPLATES_DIR}/ to offer templates here.</p>
+            )}
+            {loaded?.skipped.length > 0 && (
+              <p className="text-xs text-amber-600 mt-1">Couldn't load {loaded.skipped.join(', ')}.</p>
+            )}
+          </div>
+          <div>
+            <label className="block text-xs font-bold text-slate-500 uppercase mb-2">Title</label>
+            <input
+              type="text"
+              className="w-full border rounded-lg p-2 text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+              placeholder="New Document"
+              value={title}
+              onChange={e => setTitle(e.target.value)}
+              autoFocus
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-bold text-slate-500 uppercase mb-2">File Path</label>
+            <input
+              type="text"
+              className="w-full border rounded-lg p-2 text-sm font-mono focus:ring-2 focus:ring-blue-500 outline-none"
+              value={customPath ?? path}
+              onChange={e => setCustomPath(e.target.value)}
+            />
+            {error ? (
+              <p className="text-xs text-red-600 mt-1">{error}</p>
+            ) : (
+              <p className="text-xs text-slate-400 mt-1">Use forward slashes ( / ) to create folders.</p>
+            )}
+          </div>
+          {template !== BLANK_TEMPLATE && (
+            <pre className="bg-slate-50 border rounded-lg p-2 text-xs text-slate-600 max-h-40 overflow-auto whitespace-pre-wrap">{content}</pre>
+          )}
+        </div>
+        <div className="px-6 py-4 bg-slate-50 flex justify-end gap-3">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 rounded-lg text-slate-600 hover:bg-slate-200 font-medium text-sm"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onCreate(path, content)}
+            disabled={Boolean(error)}
+            className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 font-bold text-sm shadow-sm disabled:opacity-50"
+          >
+            Create
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NewFileModal;
@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { GripVertical, ListTree, X } from 'lucide-react';
+import { isWithinSection } from '../lib/outline';
+
+// Drag payload for moving sections: the heading's index
+const OUTLINE_DRAG_TYPE = 'application/x-outline-section';
+
+/**
+ * Headings of the active document, indented by level. `activeIndex` is highlighted as
+ * the section under the cursor. Clicking a heading calls `onSelect(index)`; dropping one
+ * heading on another calls `onMove(from, to, 'before' | 'after')` to move its section.
+ */
+const OutlinePanel = ({ headings, activeIndex, onSelect, onMove, onClose }) => {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null); // { index, position }
+  const minDepth = Math.min(...headings.map(h => h.depth));
+
+  const canDrop = (index) => dragIndex !== null && !isWithinSection(headings, dragIndex, index);
+
+  const endDrag = () => {
+    setDragIndex(null);
+    setDropTarget(null);
+  };
+
+  return (
+    <aside className="w-60 bg-white border-l flex flex-col">
+      <div className="px-3 py-2 border-b bg-slate-50 flex items-center justify-between">
+        <span className="text-xs font-bold uppercase tracking-wider text-slate-700 flex items-center gap-1">
+          <ListTree size={14} /> Outline
+        </span>
+        <button onClick={onClose} className="text-slate-400 hover:text-slate-700" title="Hide outline">
+          <X size={14} />
+        </button>
+      </div>
+      <div className="flex-1 overflow-y-auto py-1">
+        {headings.length === 0 && (
+          <div className="text-slate-400 text-sm p-4 text-center italic">No headings in this document.</div>
+        )}
+        {headings.map((heading, index) => (
+          <div
+            key={`${index}:${heading.line}`}
+            draggable
+            onDragStart={(e) => {
+              e.dataTransfer.setData(OUTLINE_DRAG_TYPE, String(index));
+              e.dataTransfer.effectAllowed = 'move';
+              setDragIndex(index);
+            }}
+            onDragOver={(e) => {
+              if (!canDrop(index)) return;
+              e.preventDefault();
+              const rect = e.currentTarget.getBoundingClientRect();
+              const position = e.clientY < rect.top + rect.height / 2 ? 'before' : 'after';
+              if (dropTarget?.index !== index || dropTarget.position !== position) setDropTarget({ index, position });
+            }}
+            onDragLeave={() => setDropTarget(null)}
+            onDrop={(e) => {
+              e.preventDefault();
+              if (canDrop(index) && dropTarget) onMove(dragIndex, index, dropTarget.position);
+              endDrag();
+            }}
+            onDragEnd={endDrag}
+            onClick={() => onSelect(index)}
+            style={{ paddingLeft: `${(heading.depth - minDepth) * 12 + 8}px` }}
+            className={`group flex items-center gap-1 pr-2 py-1 text-sm cursor-pointer border-y-2 border-transparent ${
+              index === activeIndex ? 'bg-blue-50 text-blue-700 font-medium' : 'text-slate-600 hover:bg-slate-100'
+            } ${dragIndex === index ? 'opacity-40' : ''} ${
+              dropTarget?.index === index ? (dropTarget.position === 'before' ? '!border-t-blue-500' : '!border-b-blue-500') : ''
+            }`}
+            title={`Line ${heading.line} · drag to move this section`}
+          >
+            <GripVertical size={12} className="shrink-0 text-slate-300 opacity-0 group-hover:opacity-100" />
+            <span className="truncate">{heading.text || '(empty heading)'}</span>
+          </div>
+        ))}
+      </div>
+    </aside>
+  );
+};
+
+export default OutlinePanel;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { GitPullRequest, GitMerge, RefreshCw } from 'lucide-react';
+
+const STATUS_STYLES = {
+  open: 'bg-green-100 text-green-700',
+  draft: 'bg-slate-200 text-slate-600',
+  merged: 'bg-purple-100 text-purple-700',
+  closed: 'bg-red-100 text-red-700'
+};
+
+const PullRequestBadge = ({ pullRequest, onRefresh }) => {
+  if (!pullRequest) return null;
+  const { status } = pullRequest;
+  const Icon = status === 'merged' ? GitMerge : GitPullRequest;
+
+  return (
+    <div className="flex items-center gap-1">
+      <a
+        href={pullRequest.url || undefined}
+        target="_blank"
+        rel="noopener noreferrer"
+        className={`flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium hover:opacity-80 ${STATUS_STYLES[status]}`}
+        title={pullRequest.title}
+      >
+        <Icon size={12} />
+        #{pullRequest.number} <span className="capitalize">{status}</span>
+      </a>
+      {onRefresh && (
+        <button onClick={onRefresh} className="p-1 text-slate-400 hover:text-slate-700" title="Refresh pull request status">
+          <RefreshCw size={12} />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default PullRequestBadge;
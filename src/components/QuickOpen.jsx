@@ -0,0 +1,93 @@
+import React, { useMemo, useState } from 'react';
+import { FileText, Search } from 'lucide-react';
+import { fuzzyFilter } from '../lib/search';
+import { basename, dirname } from '../lib/paths';
+
+// Renders `text` with the characters at `indices` (offsets into `text`) emphasised.
+const Highlighted = ({ text, indices, offset = 0 }) => {
+  const hits = new Set(indices.map(i => i - offset));
+  return (
+    <>
+      {[...text].map((ch, i) => (hits.has(i) ? <mark key={i} className="bg-transparent text-blue-700 font-bold">{ch}</mark> : ch))}
+    </>
+  );
+};
+
+/**
+ * Fuzzy file finder over every path in the current tree (Ctrl/Cmd+P).
+ * Arrow keys move the selection, Enter opens, Escape closes.
+ */
+const QuickOpen = ({ files, onOpen, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [selected, setSelected] = useState(0);
+  const results = useMemo(() => fuzzyFilter(files.map(f => f.path), query), [files, query]);
+
+  const open = (path) => {
+    const file = files.find(f => f.path === path);
+    if (file) onOpen(file);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setSelected(i => Math.min(i + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setSelected(i => Math.max(i - 1, 0));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (results[selected]) open(results[selected].path);
+    } else if (e.key === 'Escape') {
+      onClose();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-start justify-center p-4 pt-24" onClick={onClose}>
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-xl overflow-hidden" onClick={e => e.stopPropagation()}>
+        <div className="px-4 py-3 border-b flex items-center gap-2">
+          <Search size={16} className="text-slate-400" />
+          <input
+            type="text"
+            className="flex-1 text-sm outline-none"
+            placeholder="Go to file..."
+            value={query}
+            onChange={e => { setQuery(e.target.value); setSelected(0); }}
+            onKeyDown={handleKeyDown}
+            autoFocus
+          />
+        </div>
+        <div className="max-h-96 overflow-y-auto py-1">
+          {results.map(({ path, match }, i) => {
+            const name = basename(path);
+            const dir = dirname(path);
+            const nameStart = path.length - name.length;
+            return (
+              <div
+                key={path}
+                onClick={() => open(path)}
+                onMouseEnter={() => setSelected(i)}
+                className={`flex items-center gap-2 px-4 py-1.5 text-sm cursor-pointer ${i === selected ? 'bg-blue-50' : ''}`}
+              >
+                <FileText size={14} className="text-slate-400 shrink-0" />
+                <span className="text-slate-800 shrink-0">
+                  <Highlighted text={name} indices={match.indices} offset={nameStart} />
+                </span>
+                {dir && (
+                  <span className="text-xs text-slate-400 truncate">
+                    <Highlighted text={dir} indices={match.indices.filter(idx => idx < dir.length)} />
+                  </span>
+                )}
+              </div>
+            );
+          })}
+          {results.length === 0 && (
+            <div className="px-4 py-6 text-center text-sm text-slate-400 italic">No matching files.</div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QuickOpen;
@@ -0,0 +1,24 @@
+import React from 'react';
+import { Gauge } from 'lucide-react';
+
+/**
+ * Remaining API budget as last reported by the provider: { limit, remaining, resetAt }.
+ * Turns amber below 10% and red when exhausted. Hidden for backends that don't report it.
+ */
+const RateLimitBadge = ({ rateLimit }) => {
+  if (!rateLimit) return null;
+  const { limit, remaining, resetAt } = rateLimit;
+  const resetText = resetAt ? `Resets at ${new Date(resetAt).toLocaleTimeString()}` : '';
+  let style = 'text-slate-400';
+  if (remaining === 0) style = 'text-red-600 font-medium';
+  else if (limit && remaining / limit < 0.1) style = 'text-amber-600 font-medium';
+
+  return (
+    <span className={`flex items-center gap-1 text-xs ${style}`} title={`API requests left this window. ${resetText}`}>
+      <Gauge size={14} />
+      {remaining.toLocaleString()}{limit ? ` / ${limit.toLocaleString()}` : ''}
+    </span>
+  );
+};
+
+export default RateLimitBadge;
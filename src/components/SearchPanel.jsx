@@ -0,0 +1,106 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { CaseSensitive, FileText, RefreshCw } from 'lucide-react';
+
+// One result line, with the matched ranges emphasised.
+const MatchLine = ({ text, ranges }) => {
+  const parts = [];
+  let pos = 0;
+  ranges.forEach(([start, end], i) => {
+    if (start > pos) parts.push(text.slice(pos, start));
+    parts.push(<mark key={i} className="bg-amber-200 text-slate-900 rounded-sm">{text.slice(start, end)}</mark>);
+    pos = end;
+  });
+  parts.push(text.slice(pos));
+  return <span className="font-mono text-xs whitespace-pre truncate">{parts}</span>;
+};
+
+/**
+ * Full-text search over the current branch, re-run when `tree` changes.
+ * `onSearch(query, { caseSensitive })` resolves to grouped results from `searchContents`;
+ * `progress` is `{ done, total }` while the index is still downloading files. Clicking a
+ * line calls `onOpenMatch(path, line)`.
+ */
+const SearchPanel = ({ branch, tree, onSearch, progress, onOpenMatch }) => {
+  const [query, setQuery] = useState('');
+  const [caseSensitive, setCaseSensitive] = useState(false);
+  const [results, setResults] = useState(null);
+
+  // Latest onSearch; a new one from the parent alone doesn't start a search
+  const searchRef = useRef(onSearch);
+  useEffect(() => {
+    searchRef.current = onSearch;
+  });
+
+  // Debounced so typing doesn't start a search per keystroke
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const found = query ? await searchRef.current(query, { caseSensitive }) : null;
+      if (!cancelled) setResults(found);
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, caseSensitive, tree]);
+
+  const lineCount = results ? results.reduce((sum, file) => sum + file.matches.length, 0) : 0;
+
+  return (
+    <div className="flex-1 flex flex-col overflow-hidden">
+      <div className="p-2 border-b space-y-1">
+        <div className="flex items-center gap-1">
+          <input
+            type="text"
+            className="flex-1 min-w-0 border rounded p-1.5 text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+            placeholder={`Search ${branch}...`}
+            value={query}
+            onChange={e => setQuery(e.target.value)}
+            autoFocus
+          />
+          <button
+            onClick={() => setCaseSensitive(!caseSensitive)}
+            className={`p-1 rounded ${caseSensitive ? 'bg-blue-100 text-blue-700' : 'text-slate-400 hover:text-slate-700'}`}
+            title="Match case"
+          >
+            <CaseSensitive size={16} />
+          </button>
+        </div>
+        {progress ? (
+          <p className="text-xs text-slate-500 flex items-center gap-1">
+            <RefreshCw size={10} className="animate-spin" /> Indexing {progress.done}/{progress.total} files...
+          </p>
+        ) : results && (
+          <p className="text-xs text-slate-500">
+            {lineCount} matching line(s) in {results.length} file(s)
+          </p>
+        )}
+      </div>
+      <div className="flex-1 overflow-y-auto py-1">
+        {results?.map(file => (
+          <div key={file.path} className="mb-1">
+            <div className="flex items-center gap-1 px-2 py-1 text-xs font-medium text-slate-700 truncate" title={file.path}>
+              <FileText size={12} className="text-slate-400 shrink-0" />
+              {file.path}
+            </div>
+            {file.matches.map(match => (
+              <div
+                key={match.line}
+                onClick={() => onOpenMatch(file.path, match.line)}
+                className="flex items-center gap-2 pl-5 pr-2 py-0.5 cursor-pointer hover:bg-slate-100 text-slate-600"
+              >
+                <span className="text-[10px] text-slate-400 w-6 text-right shrink-0">{match.line}</span>
+                <MatchLine text={match.text.trimEnd()} ranges={match.ranges} />
+              </div>
+            ))}
+          </div>
+        ))}
+        {results && results.length === 0 && !progress && (
+          <div className="text-slate-400 text-sm p-4 text-center italic">No matches.</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SearchPanel;
@@ -0,0 +1,134 @@
+import React, { useEffect, useState } from 'react';
+import { Keyboard, RotateCcw } from 'lucide-react';
+import { FORMATTING_ACTIONS, shortcutLabel } from '../lib/formatting';
+import { SHORTCUT_COMMANDS, defaultShortcuts, editorShortcutLabel, eventShortcut } from '../lib/shortcuts';
+
+const GROUPS = [...new Set(SHORTCUT_COMMANDS.map(c => c.group))];
+
+const Key = ({ shortcut }) => (shortcut
+  ? <kbd className="text-xs text-slate-600 bg-slate-100 border rounded px-1.5 py-0.5 font-sans">{shortcutLabel(shortcut)}</kbd>
+  : <span className="text-xs text-slate-300">none</span>);
+
+/**
+ * Shortcuts help sheet. Each command's key can be changed by pressing the new one;
+ * a key already in use moves to the new command, and keys the editor uses are refused.
+ * `onChange(shortcuts)` receives the full set of bindings after every change.
+ */
+const ShortcutsModal = ({ shortcuts, onChange, onClose }) => {
+  const [recording, setRecording] = useState(null); // command id waiting for a key
+  const [notice, setNotice] = useState(null);
+
+  // While recording, the next key press is the binding; nothing else sees it
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!recording) {
+        if (e.key === 'Escape') onClose();
+        return;
+      }
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      if (e.key === 'Escape') {
+        setRecording(null);
+        return;
+      }
+      const shortcut = eventShortcut(e);
+      if (!shortcut) return;
+      const editorUse = editorShortcutLabel(shortcut);
+      if (editorUse) {
+        setNotice(`The editor uses ${shortcutLabel(shortcut)} for ${editorUse}. Pick another key.`);
+        setRecording(null);
+        return;
+      }
+      const previous = SHORTCUT_COMMANDS.find(c => c.id !== recording && shortcuts[c.id] === shortcut);
+      setNotice(previous ? `${shortcutLabel(shortcut)} was moved from "${previous.label}".` : null);
+      onChange({ ...shortcuts, ...(previous && { [previous.id]: '' }), [recording]: shortcut });
+      setRecording(null);
+    };
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [recording, shortcuts, onChange, onClose]);
+
+  const defaults = defaultShortcuts();
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl overflow-hidden flex flex-col max-h-full">
+        <div className="px-6 py-4 border-b bg-slate-50 flex justify-between items-center">
+          <h3 className="font-bold text-slate-800 flex items-center gap-2">
+            <Keyboard size={18} /> Keyboard Shortcuts
+          </h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-700">×</button>
+        </div>
+        <div className="p-6 overflow-y-auto space-y-5">
+          {notice && <p className="text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded-lg px-3 py-2">{notice}</p>}
+          {GROUPS.map(group => (
+            <div key={group}>
+              <h4 className="text-xs font-bold text-slate-500 uppercase mb-2">{group}</h4>
+              <div className="divide-y border rounded-lg">
+                {SHORTCUT_COMMANDS.filter(c => c.group === group).map(command => {
+                  const shortcut = shortcuts[command.id];
+                  const shadowedBy = shortcut && editorShortcutLabel(shortcut);
+                  return (
+                    <div key={command.id} className="px-3 py-2 flex items-center gap-3">
+                      <span className="flex-1 text-sm text-slate-700">
+                        {command.label}
+                        {shadowedBy && (
+                          <span className="block text-xs text-amber-700">
+                            Doesn't work in the editor, which uses this key for {shadowedBy}.
+                          </span>
+                        )}
+                      </span>
+                      {recording === command.id
+                        ? <span className="text-xs text-blue-600 animate-pulse">Press a key... (Esc to cancel)</span>
+                        : <Key shortcut={shortcut} />}
+                      <button
+                        onClick={() => { setNotice(null); setRecording(command.id); }}
+                        className="text-xs text-blue-600 hover:text-blue-800 w-12 text-right"
+                      >
+                        Change
+                      </button>
+                      <button
+                        onClick={() => onChange({ ...shortcuts, [command.id]: '' })}
+                        disabled={!shortcut}
+                        className="text-xs text-slate-500 hover:text-red-600 disabled:opacity-30 w-10 text-right"
+                      >
+                        Clear
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+          <div>
+            <h4 className="text-xs font-bold text-slate-500 uppercase mb-2">Markdown editor</h4>
+            <div className="grid grid-cols-2 gap-x-6 gap-y-1.5 border rounded-lg px-3 py-2">
+              {FORMATTING_ACTIONS.map(action => (
+                <div key={action.id} className="flex items-center justify-between text-sm text-slate-600">
+                  {action.label} <Key shortcut={action.shortcut} />
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+        <div className="px-6 py-4 bg-slate-50 flex justify-between gap-3">
+          <button
+            onClick={() => { setNotice(null); onChange(defaults); }}
+            disabled={SHORTCUT_COMMANDS.every(c => shortcuts[c.id] === defaults[c.id])}
+            className="px-3 py-2 rounded-lg text-slate-600 hover:bg-slate-200 font-medium text-sm flex items-center gap-2 disabled:opacity-50"
+          >
+            <RotateCcw size={14} /> Reset to defaults
+          </button>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 font-bold text-sm shadow-sm"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShortcutsModal;
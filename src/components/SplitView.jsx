@@ -0,0 +1,80 @@
+import React, { useEffect, useRef } from 'react';
+import { editorScrollTopFor, editorTopLine, interpolate, previewAnchors } from '../lib/scrollSync';
+
+const atBottom = (el) => el.scrollTop > 0 && el.scrollTop + el.clientHeight >= el.scrollHeight - 2;
+
+/**
+ * Editor and live preview side by side, scrolling together. `editorViewRef` holds the
+ * CodeMirror view rendered by `editor`; `preview` should tag its blocks with
+ * `data-source-line` (see renderMarkdown's `sourceLines`).
+ */
+const SplitView = ({ editor, preview, editorViewRef }) => {
+  const editorPane = useRef(null);
+  const previewPane = useRef(null);
+  // Pane whose next scroll event was caused by syncing it, not by the user
+  const syncedPane = useRef(null);
+
+  const sync = (source) => {
+    const view = editorViewRef.current;
+    if (!view || !editorPane.current || !previewPane.current) return;
+    const from = source === 'editor' ? editorPane.current : previewPane.current;
+    const to = source === 'editor' ? previewPane.current : editorPane.current;
+
+    let target;
+    if (atBottom(from)) {
+      target = to.scrollHeight - to.clientHeight;
+    } else {
+      const anchors = previewAnchors(previewPane.current, view.state.doc.lines);
+      target = source === 'editor'
+        ? interpolate(anchors, 'line', 'top', editorTopLine(view, from))
+        : editorScrollTopFor(view, to, interpolate(anchors, 'top', 'line', from.scrollTop));
+    }
+
+    const before = to.scrollTop;
+    to.scrollTop = Math.round(target);
+    if (to.scrollTop !== before) syncedPane.current = source === 'editor' ? 'preview' : 'editor';
+  };
+
+  const handleScroll = (pane) => {
+    if (syncedPane.current === pane) {
+      syncedPane.current = null;
+      return;
+    }
+    sync(pane);
+  };
+
+  const syncRef = useRef(sync);
+  useEffect(() => {
+    syncRef.current = sync;
+  });
+
+  // The preview re-renders as you type; keep it lined up with the editor
+  useEffect(() => {
+    const content = previewPane.current?.firstElementChild;
+    if (!content) return;
+    const observer = new ResizeObserver(() => syncRef.current('editor'));
+    observer.observe(content);
+    return () => observer.disconnect();
+  }, []);
+
+  return (
+    <div className="flex h-full gap-4">
+      <div
+        ref={editorPane}
+        onScroll={() => handleScroll('editor')}
+        className="flex-1 min-w-0 overflow-auto bg-white rounded-lg shadow-sm border"
+      >
+        {editor}
+      </div>
+      <div
+        ref={previewPane}
+        onScroll={() => handleScroll('preview')}
+        className="flex-1 min-w-0 overflow-auto bg-white rounded-lg shadow-sm border"
+      >
+        {preview}
+      </div>
+    </div>
+  );
+};
+
+export default SplitView;
@@ -0,0 +1,64 @@
+import React from 'react';
+import { GitCommit, X } from 'lucide-react';
+
+const ACTION_BADGES = {
+  add: { label: 'A', className: 'bg-green-100 text-green-700' },
+  modify: { label: 'M', className: 'bg-amber-100 text-amber-700' },
+  delete: { label: 'D', className: 'bg-red-100 text-red-700' }
+};
+
+const changeKind = (change) => {
+  if (change.action === 'delete') return 'delete';
+  return change.isNew ? 'add' : 'modify';
+};
+
+// Deletions and uploads have no text to open in the editor
+const isTextChange = (change) => change.action !== 'delete' && change.encoding !== 'base64';
+
+const StagedChangesPanel = ({ changes, activePath, onOpen, onUnstage, onCommit, disabled }) => {
+  if (changes.length === 0) return null;
+
+  return (
+    <div className="border-t bg-slate-50 flex flex-col max-h-64">
+      <div className="p-3 flex items-center justify-between">
+        <span className="text-xs font-bold text-slate-500 uppercase tracking-wider">
+          Staged Changes ({changes.length})
+        </span>
+        <button
+          onClick={onCommit}
+          disabled={disabled}
+          className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-2 py-1 rounded text-xs font-bold flex items-center gap-1"
+          title="Commit all staged changes as one commit"
+        >
+          <GitCommit size={12} /> Commit All
+        </button>
+      </div>
+      <div className="overflow-y-auto pb-2">
+        {changes.map(change => {
+          const badge = ACTION_BADGES[changeKind(change)];
+          return (
+            <div
+              key={change.path}
+              onClick={() => isTextChange(change) && onOpen(change.path)}
+              className={`group flex items-center gap-2 px-3 py-1 text-sm cursor-pointer ${activePath === change.path ? 'bg-blue-100 text-blue-700' : 'hover:bg-slate-100 text-slate-700'}`}
+            >
+              <span className={`text-[10px] font-bold w-4 text-center rounded ${badge.className}`}>{badge.label}</span>
+              <span className={`truncate flex-1 font-mono text-xs ${change.action === 'delete' ? 'line-through text-slate-400' : ''}`} title={change.path}>
+                {change.path}
+              </span>
+              <button
+                onClick={(e) => { e.stopPropagation(); onUnstage(change.path); }}
+                className="opacity-0 group-hover:opacity-100 text-slate-400 hover:text-red-600"
+                title="Unstage"
+              >
+                <X size={14} />
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default StagedChangesPanel;
@@ -0,0 +1,109 @@
+import React, { useMemo, useState } from 'react';
+import { Folder } from 'lucide-react';
+import { MAX_UPLOAD_SIZE, uploadPath } from '../lib/upload';
+import { dirname } from '../lib/paths';
+import { formatSize } from '../lib/format';
+
+/**
+ * Preview of an upload before it is staged: every file with the repo path it will be
+ * written to, whether it adds or overwrites a file, and which are too large. `uploads`
+ * is [{ file, relativePath }]; `onConfirm({ targets: [{ file, path }] })`.
+ */
+const UploadModal = ({ uploads, folder: initialFolder, files, onConfirm, onCancel, busy }) => {
+  const [folder, setFolder] = useState(initialFolder);
+  const [excluded, setExcluded] = useState(() => new Set());
+
+  const folders = useMemo(() => [...new Set(files.map(f => dirname(f.path)).filter(Boolean))].sort(), [files]);
+  const existing = useMemo(() => new Set(files.map(f => f.path)), [files]);
+  const rows = uploads.map(upload => ({
+    ...upload,
+    path: uploadPath(folder.trim(), upload.relativePath),
+    tooLarge: upload.file.size > MAX_UPLOAD_SIZE
+  }));
+  const selected = rows.filter(row => !row.tooLarge && !excluded.has(row.relativePath));
+
+  const toggle = (relativePath) => {
+    setExcluded(prev => {
+      const next = new Set(prev);
+      if (next.has(relativePath)) next.delete(relativePath);
+      else next.add(relativePath);
+      return next;
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl overflow-hidden flex flex-col max-h-full">
+        <div className="px-6 py-4 border-b bg-slate-50 flex justify-between items-center">
+          <h3 className="font-bold text-slate-800">Upload {uploads.length} File(s)</h3>
+          <button onClick={onCancel} className="text-slate-400 hover:text-slate-700">×</button>
+        </div>
+        <div className="p-6 overflow-y-auto space-y-4">
+          <div>
+            <label className="block text-xs font-bold text-slate-500 uppercase mb-2">Target Folder</label>
+            <div className="flex items-center gap-2">
+              <Folder size={16} className="text-blue-400" />
+              <input
+                type="text"
+                list="upload-folders"
+                className="flex-1 border rounded-lg p-2 text-sm font-mono focus:ring-2 focus:ring-blue-500 outline-none"
+                placeholder="(repository root)"
+                value={folder}
+                onChange={e => setFolder(e.target.value)}
+              />
+              <datalist id="upload-folders">
+                {folders.map(f => <option key={f} value={f} />)}
+              </datalist>
+            </div>
+          </div>
+
+          <div className="border rounded-lg divide-y max-h-72 overflow-y-auto">
+            {rows.map(row => (
+              <label
+                key={row.relativePath}
+                className={`flex items-center gap-2 px-3 py-1.5 text-sm ${row.tooLarge ? 'opacity-50' : 'cursor-pointer hover:bg-slate-50'}`}
+              >
+                <input
+                  type="checkbox"
+                  checked={!row.tooLarge && !excluded.has(row.relativePath)}
+                  disabled={row.tooLarge}
+                  onChange={() => toggle(row.relativePath)}
+                />
+                <span className="font-mono text-xs text-slate-700 truncate flex-1" title={row.path}>{row.path}</span>
+                {row.tooLarge ? (
+                  <span className="text-xs text-red-600">Too large</span>
+                ) : existing.has(row.path) ? (
+                  <span className="text-xs bg-amber-100 text-amber-700 px-1.5 rounded font-medium">Overwrite</span>
+                ) : (
+                  <span className="text-xs bg-green-100 text-green-700 px-1.5 rounded font-medium">New</span>
+                )}
+                <span className="text-xs text-slate-400 w-16 text-right">{formatSize(row.file.size)}</span>
+              </label>
+            ))}
+          </div>
+
+          <p className="text-xs text-slate-500">
+            The files are added to the staged changes and committed with them.
+          </p>
+        </div>
+        <div className="px-6 py-4 bg-slate-50 flex justify-end gap-3">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 rounded-lg text-slate-600 hover:bg-slate-200 font-medium text-sm"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onConfirm({ targets: selected.map(({ file, path }) => ({ file, path })) })}
+            disabled={busy || selected.length === 0}
+            className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 font-bold text-sm shadow-sm disabled:opacity-50"
+          >
+            Stage {selected.length} File(s)
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UploadModal;
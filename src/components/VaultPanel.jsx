@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { KeyRound, Lock, LockOpen, RefreshCw } from 'lucide-react';
+import { LOCK_MINUTES } from '../lib/vault';
+
+const MIN_PASSPHRASE = 8;
+
+/**
+ * Token vault controls on the connection screen: create the vault (`exists` false),
+ * unlock it, or lock and configure it once `unlocked`. `onCreate(passphrase)` and
+ * `onUnlock(passphrase)` reject with a message to show.
+ */
+const VaultPanel = ({ exists, unlocked, lockMinutes, onCreate, onUnlock, onLock, onForget, onLockMinutesChange }) => {
+  const [creating, setCreating] = useState(false);
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const createError = passphrase.length < MIN_PASSPHRASE ? `Use at least ${MIN_PASSPHRASE} characters.`
+    : passphrase !== confirmation ? 'The passphrases don\'t match.'
+      : null;
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      await (exists ? onUnlock(passphrase) : onCreate(passphrase));
+      setPassphrase('');
+      setConfirmation('');
+      setCreating(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (unlocked) {
+    return (
+      <div className="bg-green-50 border border-green-200 rounded-lg p-3 text-xs text-green-800 flex items-center gap-2">
+        <LockOpen size={14} className="shrink-0" />
+        <span className="flex-1">
+          Token vault unlocked. Locks after
+          <select
+            className="mx-1 bg-white border rounded px-1"
+            value={lockMinutes}
+            onChange={e => onLockMinutesChange(Number(e.target.value))}
+          >
+            {LOCK_MINUTES.map(minutes => <option key={minutes} value={minutes}>{minutes} min</option>)}
+          </select>
+          of inactivity.
+        </span>
+        <button onClick={onLock} className="px-2 py-1 rounded bg-white border border-green-300 hover:bg-green-100 flex items-center gap-1">
+          <Lock size={12} /> Lock
+        </button>
+      </div>
+    );
+  }
+
+  if (!exists && !creating) {
+    return (
+      <button onClick={() => setCreating(true)} className="text-xs text-blue-600 hover:text-blue-800 flex items-center gap-1">
+        <KeyRound size={12} /> Remember tokens in an encrypted vault...
+      </button>
+    );
+  }
+
+  return (
+    <form onSubmit={submit} className="bg-slate-50 border rounded-lg p-3 space-y-2">
+      <p className="text-xs text-slate-600 flex items-center gap-1">
+        <Lock size={12} />
+        {exists ? 'Unlock the token vault to use saved tokens.' : 'Tokens are encrypted with this passphrase. It can\'t be recovered.'}
+      </p>
+      <input
+        type="password"
+        className="w-full p-2 border rounded-lg text-sm"
+        placeholder="Vault passphrase"
+        value={passphrase}
+        onChange={e => setPassphrase(e.target.value)}
+        autoComplete={exists ? 'current-password' : 'new-password'}
+      />
+      {!exists && (
+        <input
+          type="password"
+          className="w-full p-2 border rounded-lg text-sm"
+          placeholder="Repeat passphrase"
+          value={confirmation}
+          onChange={e => setConfirmation(e.target.value)}
+          autoComplete="new-password"
+        />
+      )}
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      {!exists && passphrase && createError && <p className="text-xs text-slate-500">{createError}</p>}
+      <div className="flex items-center justify-between">
+        {exists ? (
+          <button type="button" onClick={onForget} className="text-xs text-slate-500 hover:text-red-600">
+            Forgot passphrase? Delete vault
+          </button>
+        ) : (
+          <button type="button" onClick={() => setCreating(false)} className="text-xs text-slate-500 hover:text-slate-700">
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={busy || (exists ? !passphrase : Boolean(createError))}
+          className="px-3 py-1.5 rounded-lg bg-blue-600 text-white hover:bg-blue-700 text-xs font-bold disabled:opacity-50 flex items-center gap-1"
+        >
+          {busy && <RefreshCw size={12} className="animate-spin" />}
+          {exists ? 'Unlock' : 'Create vault'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default VaultPanel;
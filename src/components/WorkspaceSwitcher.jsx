@@ -0,0 +1,117 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Check, ChevronDown, Clock, FileText, Github, Lock, Settings } from 'lucide-react';
+import { PROVIDERS } from '../providers';
+
+// Host a workspace lives on, for telling apart repos of the same name
+const hostLabel = (workspace) => {
+  const info = PROVIDERS.find(p => p.id === workspace.provider);
+  return workspace.baseUrl ? workspace.baseUrl.replace(/^https?:\/\//, '') : info?.label || workspace.provider;
+};
+
+/**
+ * Repo name in the header, opening a list of saved workspaces to switch to and the
+ * recent files of the current one. `currentId` is the connected workspace's id (null in
+ * demo mode); `onSwitch(workspace | null)` opens a workspace, null meaning the demo.
+ */
+const WorkspaceSwitcher = ({ label, currentId, workspaces, recentFiles, vaultUnlocked, onSwitch, onOpenFile, onManage, onLockVault }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleOutsideClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleOutsideClick);
+    return () => document.removeEventListener('mousedown', handleOutsideClick);
+  }, [isOpen]);
+
+  const choose = (action) => {
+    setIsOpen(false);
+    action();
+  };
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center gap-2 text-blue-700 font-bold text-lg rounded px-1 hover:bg-blue-50"
+        title="Switch workspace"
+      >
+        <Github size={24} />
+        <span>{label}</span>
+        <ChevronDown size={16} className="text-blue-400" />
+      </button>
+
+      {isOpen && (
+        <div className="absolute top-full left-0 mt-1 w-80 bg-white border rounded-lg shadow-xl z-50 overflow-hidden">
+          <div className="px-3 py-2 text-[11px] font-bold uppercase tracking-wider text-slate-400 bg-slate-50 border-b">Workspaces</div>
+          <div className="max-h-64 overflow-y-auto">
+            {workspaces.map(workspace => (
+              <button
+                key={workspace.id}
+                onClick={() => choose(() => onSwitch(workspace))}
+                className="w-full text-left px-3 py-2 flex items-center gap-2 hover:bg-slate-50"
+              >
+                <span className="w-4 shrink-0">{workspace.id === currentId && <Check size={14} className="text-blue-600" />}</span>
+                <span className="min-w-0">
+                  <span className="block text-sm text-slate-800 truncate">{workspace.owner}/{workspace.repo}</span>
+                  <span className="block text-xs text-slate-400 truncate">
+                    {hostLabel(workspace)}{workspace.branch && ` · ${workspace.branch}`}
+                  </span>
+                </span>
+              </button>
+            ))}
+            <button
+              onClick={() => choose(() => onSwitch(null))}
+              className="w-full text-left px-3 py-2 flex items-center gap-2 hover:bg-slate-50"
+            >
+              <span className="w-4 shrink-0">{currentId === null && <Check size={14} className="text-blue-600" />}</span>
+              <span className="text-sm text-slate-800">Demo Repo</span>
+            </button>
+          </div>
+
+          {recentFiles.length > 0 && (
+            <>
+              <div className="px-3 py-2 text-[11px] font-bold uppercase tracking-wider text-slate-400 bg-slate-50 border-y flex items-center gap-1">
+                <Clock size={11} /> Recent files
+              </div>
+              <div className="max-h-48 overflow-y-auto">
+                {recentFiles.map(path => (
+                  <button
+                    key={path}
+                    onClick={() => choose(() => onOpenFile(path))}
+                    className="w-full text-left px-3 py-1.5 flex items-center gap-2 text-sm text-slate-600 hover:bg-slate-50"
+                    title={path}
+                  >
+                    <FileText size={14} className="text-slate-400 shrink-0" />
+                    <span className="truncate">{path}</span>
+                  </button>
+                ))}
+              </div>
+            </>
+          )}
+
+          <div className="border-t bg-slate-50 p-1 flex">
+            <button
+              onClick={() => choose(onManage)}
+              className="flex-1 px-2 py-1.5 text-xs text-slate-600 hover:bg-slate-200 rounded flex items-center gap-1"
+            >
+              <Settings size={12} /> Manage workspaces
+            </button>
+            {vaultUnlocked && (
+              <button
+                onClick={() => choose(onLockVault)}
+                className="flex-1 px-2 py-1.5 text-xs text-slate-600 hover:bg-slate-200 rounded flex items-center gap-1 justify-end"
+              >
+                <Lock size={12} /> Lock token vault
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WorkspaceSwitcher;
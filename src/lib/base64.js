@@ -0,0 +1,18 @@
+// UTF-8 safe base64, as used by the contents APIs of GitHub, GitLab and Gitea.
+export const Base64 = {
+  encode: (str) => {
+    return btoa(unescape(encodeURIComponent(str)));
+  },
+  decode: (str) => {
+    return decodeURIComponent(escape(atob(str)));
+  },
+  // Raw bytes (images, PDFs, ...) -> base64, without any text decoding.
+  fromBytes: (bytes) => {
+    let binary = '';
+    // Chunked so large files don't overflow the argument limit of fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+};
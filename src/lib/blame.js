@@ -0,0 +1,67 @@
+import { diffArrays } from 'diff';
+
+// --- BLAME ---
+// Providers report blame as ranges of 1-based, inclusive line numbers:
+// [{ start, end, commit: { sha, message, author, date } }]
+
+// Lines as git counts them: a trailing newline doesn't start another line.
+export const splitLines = (text) => {
+  const lines = text.split('\n');
+  if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+  return lines;
+};
+
+/**
+ * Blame computed from successive versions of one file, oldest first:
+ * [{ commit, content }], `content` null where the file was deleted. Each line keeps the
+ * commit that introduced it, as long as later versions leave it untouched.
+ */
+export const blameFromVersions = (versions) => {
+  let lines = []; // [{ text, commit }]
+  versions.forEach(({ commit, content }) => {
+    const next = [];
+    let old = 0;
+    diffArrays(lines.map(line => line.text), content === null ? [] : splitLines(content)).forEach(part => {
+      if (part.removed) {
+        old += part.count;
+      } else if (part.added) {
+        part.value.forEach(text => next.push({ text, commit }));
+      } else {
+        next.push(...lines.slice(old, old + part.count));
+        old += part.count;
+      }
+    });
+    lines = next;
+  });
+
+  const ranges = [];
+  lines.forEach(({ commit }, i) => {
+    const last = ranges[ranges.length - 1];
+    if (last && last.commit.sha === commit.sha) last.end = i + 1;
+    else ranges.push({ start: i + 1, end: i + 1, commit });
+  });
+  return ranges;
+};
+
+/**
+ * Lines of `content` grouped into runs from the same commit:
+ * [{ start, lines: [text], commit | null }]. Adjacent ranges of one commit merge; lines
+ * the ranges don't cover (the file changed since the blame was read) get `commit: null`.
+ */
+export const blameGroups = (ranges, content) => {
+  if (!content) return [];
+  const lines = splitLines(content);
+  const commitAt = new Array(lines.length).fill(null);
+  ranges.forEach(({ start, end, commit }) => {
+    for (let line = start; line <= Math.min(end, lines.length); line++) commitAt[line - 1] = commit;
+  });
+
+  const groups = [];
+  lines.forEach((text, i) => {
+    const commit = commitAt[i];
+    const last = groups[groups.length - 1];
+    if (last && (last.commit?.sha ?? null) === (commit?.sha ?? null)) last.lines.push(text);
+    else groups.push({ start: i + 1, lines: [text], commit });
+  });
+  return groups;
+};
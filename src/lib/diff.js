@@ -0,0 +1,92 @@
+import { applyPatch, diffWordsWithSpace, structuredPatch } from 'diff';
+
+// --- LINE DIFFS ---
+// Thin layer over jsdiff that turns a patch into rows the DiffView can render
+// directly, with word-level segments for changed line pairs.
+
+export const computePatch = (oldText, newText, context = 3) =>
+  structuredPatch('a', 'b', oldText, newText, '', '', { context });
+
+export const diffStats = (patch) => {
+  let added = 0;
+  let removed = 0;
+  patch.hunks.forEach(hunk => hunk.lines.forEach(line => {
+    if (line[0] === '+') added++;
+    else if (line[0] === '-') removed++;
+  }));
+  return { added, removed };
+};
+
+// Word-level segments for a removed/added pair: [{ text, changed }]
+const wordSegments = (oldLine, newLine) => {
+  const parts = diffWordsWithSpace(oldLine, newLine);
+  return {
+    old: parts.filter(p => !p.added).map(p => ({ text: p.value, changed: !!p.removed })),
+    new: parts.filter(p => !p.removed).map(p => ({ text: p.value, changed: !!p.added }))
+  };
+};
+
+/**
+ * Converts one hunk into display rows. Runs of removed lines followed by added lines are
+ * paired up index-by-index so each pair gets word-level highlighting.
+ * Row: { type: 'context' | 'add' | 'remove', text, oldNo, newNo, segments? }
+ */
+export const hunkRows = (hunk) => {
+  const rows = [];
+  let oldNo = hunk.oldStart;
+  let newNo = hunk.newStart;
+  const lines = hunk.lines.filter(line => line[0] !== '\\');
+
+  for (let i = 0; i < lines.length;) {
+    if (lines[i][0] === ' ') {
+      rows.push({ type: 'context', text: lines[i].slice(1), oldNo: oldNo++, newNo: newNo++ });
+      i++;
+      continue;
+    }
+
+    const removed = [];
+    const added = [];
+    while (i < lines.length && lines[i][0] === '-') removed.push(lines[i++].slice(1));
+    while (i < lines.length && lines[i][0] === '+') added.push(lines[i++].slice(1));
+
+    const removedRows = removed.map(text => ({ type: 'remove', text, oldNo: oldNo++, newNo: null }));
+    const addedRows = added.map(text => ({ type: 'add', text, oldNo: null, newNo: newNo++ }));
+    for (let p = 0; p < Math.min(removedRows.length, addedRows.length); p++) {
+      const segments = wordSegments(removedRows[p].text, addedRows[p].text);
+      removedRows[p].segments = segments.old;
+      addedRows[p].segments = segments.new;
+    }
+    rows.push(...removedRows, ...addedRows);
+  }
+  return rows;
+};
+
+// Pairs unified rows into [left, right] for the side-by-side view.
+export const sideBySideRows = (rows) => {
+  const out = [];
+  for (let i = 0; i < rows.length;) {
+    if (rows[i].type === 'context') {
+      out.push({ left: rows[i], right: rows[i] });
+      i++;
+      continue;
+    }
+    const removed = [];
+    const added = [];
+    while (i < rows.length && rows[i].type === 'remove') removed.push(rows[i++]);
+    while (i < rows.length && rows[i].type === 'add') added.push(rows[i++]);
+    for (let p = 0; p < Math.max(removed.length, added.length); p++) {
+      out.push({ left: removed[p] || null, right: added[p] || null });
+    }
+  }
+  return out;
+};
+
+// Returns `newText` with hunk `hunkIndex` reverted, i.e. `oldText` with every other hunk
+// applied. Indexes refer to the hunks of computePatch() with the same context size.
+export const discardHunk = (oldText, newText, hunkIndex, context = 3) => {
+  const patch = computePatch(oldText, newText, context);
+  const kept = { ...patch, hunks: patch.hunks.filter((_, i) => i !== hunkIndex) };
+  const result = applyPatch(oldText, kept);
+  if (result === false) throw new Error('Could not discard this change');
+  return result;
+};
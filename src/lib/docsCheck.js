@@ -0,0 +1,126 @@
+import { findMarkdownLinks } from './links';
+import { findHeadings } from './markdown';
+import { basename, isExternalUrl, isMarkdownPath, lineFromHash, resolveRelativePath, splitHref } from './paths';
+
+// --- DOCS CHECK ---
+// Lints every Markdown file of a branch for links and headings that would look broken
+// on GitHub.
+
+export const DOCS_ISSUE_TYPES = {
+  'broken-link': 'Broken link',
+  'missing-anchor': 'Missing anchor',
+  'missing-image': 'Missing image',
+  heading: 'Heading structure',
+  orphan: 'Orphaned doc'
+};
+
+// Docs GitHub surfaces on its own, so nothing has to link to them: READMEs (shown for
+// their folder), the community files at the root and anything under .github/
+const ROOT_ENTRY_POINTS = /^(contributing|code_of_conduct|security|support|changelog|license)\.md$/i;
+const isEntryPoint = (path) => /^readme\.md$/i.test(basename(path)) || ROOT_ENTRY_POINTS.test(path) || path.startsWith('.github/');
+
+// Folder links land on the folder's README, as on GitHub
+const INDEX_NAMES = ['README.md', 'readme.md', 'index.md'];
+
+// The heading slug a link's hash points at, or '' for no hash and line links (`#L42`).
+const headingAnchor = (hash) => {
+  let anchor = hash;
+  try {
+    anchor = decodeURIComponent(hash);
+  } catch {
+    // Malformed escapes are compared as written
+  }
+  anchor = anchor.replace(/^user-content-/, '');
+  return lineFromHash(anchor) ? '' : anchor.toLowerCase();
+};
+
+const headingIssues = (headings) => {
+  const issues = [];
+  let previous = 0;
+  let titles = 0;
+  const seen = new Map();
+  headings.forEach(({ depth, text, line }) => {
+    if (depth === 1 && ++titles > 1) {
+      issues.push({ line, message: `More than one level-1 heading ("${text}")` });
+    } else if (previous && depth > previous + 1) {
+      issues.push({ line, message: `Heading level jumps from h${previous} to h${depth} ("${text}")` });
+    }
+    const key = `${depth}:${text.trim().toLowerCase()}`;
+    if (seen.has(key)) issues.push({ line, message: `Duplicate heading "${text}" (also on line ${seen.get(key)})` });
+    else seen.set(key, line);
+    previous = depth;
+  });
+  return issues;
+};
+
+/**
+ * Checks every Markdown file in `tree`. `contentOf(item)` returns a file's text, or
+ * undefined if it couldn't be loaded (those files are skipped, and listed in `skipped`).
+ * Returns { issues: [{ path, line, type, message }], checked, skipped }, issues sorted
+ * by path and line. `type` is a key of DOCS_ISSUE_TYPES.
+ */
+export const checkDocs = (tree, contentOf) => {
+  const files = new Set(tree.map(item => item.path));
+  const isFolder = (path) => tree.some(item => item.path.startsWith(`${path}/`));
+  const docs = tree.filter(item => isMarkdownPath(item.path));
+  const issues = [];
+  const skipped = [];
+
+  const contents = new Map();
+  docs.forEach(item => {
+    const content = contentOf(item);
+    if (content === undefined) skipped.push(item.path);
+    else contents.set(item.path, content);
+  });
+
+  const headingCache = new Map();
+  const anchorsOf = (path) => {
+    if (!headingCache.has(path)) headingCache.set(path, new Set(findHeadings(contents.get(path)).map(h => h.slug)));
+    return headingCache.get(path);
+  };
+
+  const linked = new Set();
+  contents.forEach((content, path) => {
+    const report = (type, line, message) => issues.push({ path, line, type, message });
+
+    headingIssues(findHeadings(content)).forEach(({ line, message }) => report('heading', line, message));
+
+    findMarkdownLinks(content).forEach(({ href, line, image }) => {
+      if (href.startsWith('#')) {
+        const anchor = headingAnchor(href.slice(1));
+        if (anchor && !anchorsOf(path).has(anchor)) {
+          report('missing-anchor', line, `No heading for #${anchor} in this file`);
+        }
+        return;
+      }
+      if (isExternalUrl(href)) return;
+
+      const parts = splitHref(href);
+      if (!parts.path) return;
+      const target = resolveRelativePath(path, parts.path);
+      if (!files.has(target)) {
+        if (!target || isFolder(target)) {
+          const index = INDEX_NAMES.map(name => (target ? `${target}/${name}` : name)).find(name => files.has(name));
+          if (index) linked.add(index);
+          return;
+        }
+        report(image ? 'missing-image' : 'broken-link', line, `${image ? 'Image' : 'Link'} target ${target} does not exist on this branch`);
+        return;
+      }
+      if (target !== path) linked.add(target);
+
+      const anchor = headingAnchor(parts.hash);
+      if (anchor && contents.has(target) && !anchorsOf(target).has(anchor)) {
+        report('missing-anchor', line, `No heading for #${anchor} in ${target}`);
+      }
+    });
+  });
+
+  [...contents.keys()].forEach(path => {
+    if (linked.has(path) || isEntryPoint(path)) return;
+    issues.push({ path, line: 1, type: 'orphan', message: 'No other doc links to this file' });
+  });
+
+  issues.sort((a, b) => a.path.localeCompare(b.path) || a.line - b.line);
+  return { issues, checked: contents.size, skipped };
+};
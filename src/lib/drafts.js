@@ -0,0 +1,72 @@
+// --- LOCAL DRAFTS (IndexedDB) ---
+// Uncommitted edits are autosaved per repo/branch/path so a refresh or crash doesn't
+// lose work. Each draft remembers the blob SHA it was based on, so we can tell when
+// the branch copy has moved on since.
+//
+// Draft: { key, mode, owner, repo, branch, path, baseSha, baseContent, content, updatedAt }
+
+const DB_NAME = 'repo-manager';
+const DB_VERSION = 1;
+const STORE = 'drafts';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(STORE, { keyPath: 'key' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        dbPromise = null;
+        reject(req.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+// Identifies the configured repository across sessions; other per-repo state reuses it.
+// Live repos are scoped to the backend too, as the same owner/repo can exist on several
+// hosts. The demo is a single repo, whatever owner and repo the form still holds.
+export const repoKey = (config) => (config.mode === 'demo' ? 'demo' : `${config.provider}+${config.baseUrl}:${config.owner}/${config.repo}`);
+
+const repoPrefix = (config) => `${repoKey(config)}@`;
+
+export const draftKey = (config, branch, path) => `${repoPrefix(config)}${branch}:${path}`;
+
+export const saveDraft = (config, { branch, path, baseSha, baseContent, content }) => withStore('readwrite', store => store.put({
+  key: draftKey(config, branch, path),
+  mode: config.mode,
+  owner: config.owner,
+  repo: config.repo,
+  branch,
+  path,
+  baseSha,
+  baseContent,
+  content,
+  updatedAt: new Date().toISOString()
+}));
+
+export const deleteDraft = (config, branch, path) =>
+  withStore('readwrite', store => store.delete(draftKey(config, branch, path)));
+
+// All drafts for the configured repo (every branch), newest first.
+export const listDrafts = async (config) => {
+  const prefix = repoPrefix(config);
+  const range = IDBKeyRange.bound(prefix, `${prefix}\uffff`);
+  const drafts = await withStore('readonly', store => store.getAll(range));
+  return drafts.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
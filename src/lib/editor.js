@@ -0,0 +1,69 @@
+import { EditorSelection } from '@codemirror/state';
+import { EditorView } from '@codemirror/view';
+import { extname } from './paths';
+
+// --- CODE EDITOR HELPERS ---
+
+// Extension -> { label, load }. Grammars are split into their own chunks and only
+// downloaded when a file that needs them is opened.
+const LANGUAGES = {
+  js: { label: 'JavaScript', load: () => import('@codemirror/lang-javascript').then(m => m.javascript()) },
+  mjs: { label: 'JavaScript', load: () => import('@codemirror/lang-javascript').then(m => m.javascript()) },
+  cjs: { label: 'JavaScript', load: () => import('@codemirror/lang-javascript').then(m => m.javascript()) },
+  jsx: { label: 'JSX', load: () => import('@codemirror/lang-javascript').then(m => m.javascript({ jsx: true })) },
+  ts: { label: 'TypeScript', load: () => import('@codemirror/lang-javascript').then(m => m.javascript({ typescript: true })) },
+  tsx: { label: 'TSX', load: () => import('@codemirror/lang-javascript').then(m => m.javascript({ jsx: true, typescript: true })) },
+  json: { label: 'JSON', load: () => import('@codemirror/lang-json').then(m => m.json()) },
+  md: { label: 'Markdown', load: () => import('@codemirror/lang-markdown').then(m => m.markdown()) },
+  markdown: { label: 'Markdown', load: () => import('@codemirror/lang-markdown').then(m => m.markdown()) },
+  mdx: { label: 'Markdown', load: () => import('@codemirror/lang-markdown').then(m => m.markdown()) },
+  css: { label: 'CSS', load: () => import('@codemirror/lang-css').then(m => m.css()) },
+  html: { label: 'HTML', load: () => import('@codemirror/lang-html').then(m => m.html()) },
+  htm: { label: 'HTML', load: () => import('@codemirror/lang-html').then(m => m.html()) },
+  py: { label: 'Python', load: () => import('@codemirror/lang-python').then(m => m.python()) },
+  yml: { label: 'YAML', load: () => import('@codemirror/lang-yaml').then(m => m.yaml()) },
+  yaml: { label: 'YAML', load: () => import('@codemirror/lang-yaml').then(m => m.yaml()) }
+};
+
+const PLAIN_TEXT = { label: 'Plain Text', load: () => Promise.resolve(null) };
+
+// Language for the file at `path`: { label, load() -> Promise<LanguageSupport | null> }
+export const languageFor = (path) => LANGUAGES[extname(path || '')] || PLAIN_TEXT;
+
+// Selects 1-based `line` and scrolls it to the middle of the view.
+export const selectLine = (view, line) => {
+  const { doc } = view.state;
+  const { from, to } = doc.line(Math.min(Math.max(line, 1), doc.lines));
+  view.dispatch({
+    selection: EditorSelection.range(from, to),
+    effects: EditorView.scrollIntoView(from, { y: 'center' })
+  });
+  view.focus();
+};
+
+// Puts the cursor at the start of 1-based `line` and scrolls it to the top of the view.
+export const scrollToLine = (view, line) => {
+  const { doc } = view.state;
+  const { from } = doc.line(Math.min(Math.max(line, 1), doc.lines));
+  view.dispatch({
+    selection: EditorSelection.cursor(from),
+    effects: EditorView.scrollIntoView(from, { y: 'start', yMargin: 16 })
+  });
+  view.focus();
+};
+
+// Replaces the document with `text` as one undoable edit that only touches the part
+// that differs, so the cursor and scroll position elsewhere stay put.
+export const replaceDocument = (view, text) => {
+  const current = view.state.doc.toString();
+  if (current === text) return;
+  let from = 0;
+  while (from < current.length && from < text.length && current[from] === text[from]) from++;
+  let end = 0;
+  while (end < current.length - from && end < text.length - from
+    && current[current.length - 1 - end] === text[text.length - 1 - end]) end++;
+  view.dispatch({
+    changes: { from, to: current.length - end, insert: text.slice(from, text.length - end) },
+    userEvent: 'input'
+  });
+};
@@ -0,0 +1,179 @@
+import { strToU8, zipSync } from 'fflate';
+import { findMarkdownLinks } from './links';
+import { isImagePath } from './images';
+import { findHeadings, renderMarkdown } from './markdown';
+import { basename, dirname, isExternalUrl, isMarkdownPath, resolveRelativePath, splitHref } from './paths';
+
+// --- DOCS EXPORT ---
+// A branch's Markdown, or one folder of it, as a zip of the raw files or as a single
+// HTML page that needs nothing else to open or print.
+
+const isReadme = (path) => /^(readme|index)\.md$/i.test(basename(path));
+
+/**
+ * Markdown files of `tree` under `folder` ('' for the whole branch), in reading order:
+ * by folder, each folder's README first. Repo plumbing under .github/ (templates, issue
+ * forms) is left out unless `folder` is inside it.
+ */
+export const exportableDocs = (tree, folder) => tree
+  .filter(item => isMarkdownPath(item.path))
+  .filter(item => (folder ? item.path.startsWith(`${folder}/`) : true))
+  .filter(item => folder.startsWith('.github') || !item.path.startsWith('.github/'))
+  .sort((a, b) => {
+    const dirA = dirname(a.path);
+    const dirB = dirname(b.path);
+    if (dirA !== dirB) return dirA.localeCompare(dirB);
+    return (isReadme(b.path) - isReadme(a.path)) || a.path.localeCompare(b.path);
+  });
+
+// Repo paths of the images `docs` ([{ path, content }]) show, limited to files in `tree`.
+export const referencedImages = (docs, tree) => {
+  const inTree = new Set(tree.map(item => item.path));
+  const images = new Set();
+  docs.forEach(doc => {
+    findMarkdownLinks(doc.content)
+      .filter(link => link.image && !isExternalUrl(link.href))
+      .map(link => resolveRelativePath(doc.path, splitHref(link.href).path))
+      .filter(path => inTree.has(path) && isImagePath(path))
+      .forEach(path => images.add(path));
+  });
+  return [...images];
+};
+
+/**
+ * Zip archive of `files` ([{ path, content }], `content` text) and `binaries`
+ * ([{ path, base64 }]) under their repo paths, as a Uint8Array.
+ */
+export const buildDocsZip = (files, binaries = []) => {
+  const entries = {};
+  files.forEach(file => {
+    entries[file.path] = strToU8(file.content);
+  });
+  binaries.forEach(file => {
+    entries[file.path] = Uint8Array.from(atob(file.base64), c => c.charCodeAt(0));
+  });
+  return zipSync(entries, { level: 6 });
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const PRINT_STYLES = `
+  body { font: 15px/1.6 -apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif; color: #1f2328; max-width: 860px; margin: 0 auto; padding: 2rem; }
+  header.cover { border-bottom: 2px solid #d0d7de; margin-bottom: 2rem; }
+  header.cover p { color: #59636e; }
+  nav.toc ol { list-style: none; padding-left: 1.25rem; }
+  nav.toc > ol { padding-left: 0; }
+  nav.toc a { color: #0969da; text-decoration: none; }
+  nav.toc .path { color: #59636e; font-size: 12px; margin-left: .5rem; }
+  section.doc { border-top: 1px solid #d0d7de; margin-top: 3rem; padding-top: 1rem; }
+  .doc-path { font: 12px ui-monospace, SFMono-Regular, Menlo, monospace; color: #59636e; }
+  a { color: #0969da; }
+  img { max-width: 100%; }
+  pre { background: #f6f8fa; padding: 1rem; overflow: auto; border-radius: 6px; }
+  code { font: 13px ui-monospace, SFMono-Regular, Menlo, monospace; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #d0d7de; padding: 4px 10px; }
+  blockquote { margin: 0; padding-left: 1rem; border-left: 4px solid #d0d7de; color: #59636e; }
+  @media print {
+    body { max-width: none; padding: 0; font-size: 11pt; }
+    nav.toc { break-after: page; }
+    section.doc { break-before: page; border-top: none; margin-top: 0; }
+    pre, table, img, blockquote { break-inside: avoid; }
+    h1, h2, h3, h4 { break-after: avoid; }
+    a[href^="http"]::after { content: " (" attr(href) ")"; font-size: 9pt; color: #59636e; }
+  }
+`;
+
+// Ids in the bundle: `doc-3` for a document, `doc-3--usage` for a heading in it.
+const docId = (index) => `doc-${index + 1}`;
+const headingId = (index, slug) => `${docId(index)}--${slug}`;
+
+/**
+ * One HTML document holding every doc in `docs` ([{ path, content }]) with a table of
+ * contents. `images` maps repo paths to data: URLs. Links between exported docs become
+ * in-page links; other repo links point at `provider.webUrl` (plain text without one).
+ */
+export const buildHtmlBundle = ({ title, subtitle, docs, images, provider, branch }) => {
+  const indexOf = new Map(docs.map((doc, i) => [doc.path, i]));
+  // Folder links land on the folder's README, as on GitHub
+  const docIndex = (path) => indexOf.get(path) ?? indexOf.get(`${path}/README.md`) ?? indexOf.get(`${path}/readme.md`) ?? indexOf.get(`${path}/index.md`);
+  // Repo paths stay bare while rendering, so they can be mapped below
+  const bareProvider = { webUrl: () => null, rawUrl: () => null };
+  const parser = new DOMParser();
+
+  const toc = [];
+  const sections = docs.map((doc, i) => {
+    const body = parser.parseFromString(renderMarkdown(doc.content, { provider: bareProvider, branch, path: doc.path }), 'text/html').body;
+
+    body.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]').forEach(heading => {
+      heading.id = headingId(i, heading.id);
+    });
+    body.querySelectorAll('a[href]').forEach(link => {
+      const repoPath = link.getAttribute('data-repo-path');
+      const hash = link.getAttribute('data-repo-hash');
+      link.removeAttribute('data-repo-path');
+      link.removeAttribute('data-repo-hash');
+      if (repoPath === null) {
+        if (link.getAttribute('href').startsWith('#')) link.setAttribute('href', `#${headingId(i, link.getAttribute('href').slice(1))}`);
+        return;
+      }
+      const target = docIndex(repoPath);
+      if (target !== undefined) {
+        link.setAttribute('href', hash && !/^L\d/.test(hash) ? `#${headingId(target, hash)}` : `#${docId(target)}`);
+      } else if (provider.webUrl(branch, repoPath)) {
+        link.setAttribute('href', `${provider.webUrl(branch, repoPath)}${hash ? `#${hash}` : ''}`);
+      } else {
+        link.removeAttribute('href');
+      }
+    });
+    body.querySelectorAll('img').forEach(img => {
+      const src = img.getAttribute('src') || '';
+      if (images.has(src)) img.setAttribute('src', images.get(src));
+      else if (!isExternalUrl(src)) img.setAttribute('src', provider.rawUrl(branch, src) || src);
+    });
+
+    const headings = findHeadings(doc.content).filter(h => h.depth <= 2);
+    const docTitle = headings.find(h => h.depth === 1)?.text || basename(doc.path);
+    toc.push(`<li><a href="#${docId(i)}">${escapeHtml(docTitle)}</a><span class="path">${escapeHtml(doc.path)}</span>${
+      headings.some(h => h.depth === 2)
+        ? `<ol>${headings.filter(h => h.depth === 2).map(h => `<li><a href="#${headingId(i, h.slug)}">${escapeHtml(h.text)}</a></li>`).join('')}</ol>`
+        : ''
+    }</li>`);
+    return `<section class="doc" id="${docId(i)}">\n<div class="doc-path">${escapeHtml(doc.path)}</div>\n${body.innerHTML}\n</section>`;
+  });
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${PRINT_STYLES}</style>
+</head>
+<body>
+<header class="cover">
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(subtitle)}</p>
+</header>
+<nav class="toc">
+<h2>Contents</h2>
+<ol>${toc.join('\n')}</ol>
+</nav>
+${sections.join('\n')}
+</body>
+</html>
+`;
+};
+
+// Saves `data` (string or bytes) as `filename` through a temporary link.
+export const downloadFile = (data, filename, type) => {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
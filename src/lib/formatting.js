@@ -0,0 +1,156 @@
+import { EditorSelection } from '@codemirror/state';
+
+// --- MARKDOWN FORMATTING COMMANDS ---
+// CodeMirror commands for the formatting toolbar and its shortcuts. Each takes the
+// EditorView, applies to every selection range, and returns true when it handled the key.
+
+// Lines touched by a range; a selection ending at column 0 doesn't include that line.
+const selectedLines = (state, range) => {
+  const first = state.doc.lineAt(range.from);
+  let last = state.doc.lineAt(range.to);
+  if (last.number > first.number && range.to === last.from) last = state.doc.line(last.number - 1);
+  const lines = [];
+  for (let n = first.number; n <= last.number; n++) lines.push(state.doc.line(n));
+  return lines;
+};
+
+// Every line touched by any selection range, once each and in document order.
+const allSelectedLines = (state) => {
+  const lines = new Map();
+  state.selection.ranges.forEach(range => selectedLines(state, range).forEach(line => lines.set(line.number, line)));
+  return [...lines.values()].sort((a, b) => a.number - b.number);
+};
+
+// Wraps each selection in `marker` (e.g. `**`), or unwraps it if it already is. An empty
+// selection gets `placeholder` text, selected so typing replaces it.
+const toggleInline = (marker, placeholder) => (view) => {
+  const { state } = view;
+  const size = marker.length;
+  view.dispatch(state.changeByRange(range => {
+    const before = state.sliceDoc(range.from - size, range.from);
+    const after = state.sliceDoc(range.to, range.to + size);
+    if (before === marker && after === marker) {
+      return {
+        changes: [{ from: range.from - size, to: range.from }, { from: range.to, to: range.to + size }],
+        range: EditorSelection.range(range.from - size, range.to - size)
+      };
+    }
+    const text = range.empty ? placeholder : state.sliceDoc(range.from, range.to);
+    return {
+      changes: { from: range.from, to: range.to, insert: `${marker}${text}${marker}` },
+      range: EditorSelection.range(range.from + size, range.from + size + text.length)
+    };
+  }));
+  return true;
+};
+
+// Adds `prefix(index)` to every selected line, or strips it if all lines already have it.
+// `pattern` matches an existing prefix at the start of a line; `replaces` matches prefixes
+// of a sibling style that get swapped out (a bullet turning into a number).
+const toggleLinePrefix = (pattern, prefix, replaces = pattern) => (view) => {
+  const { state } = view;
+  const lines = allSelectedLines(state);
+  const remove = lines.every(line => pattern.test(line.text));
+  const changes = lines.map((line, i) => {
+    const existing = line.text.match(remove ? pattern : replaces);
+    if (remove) return { from: line.from, to: line.from + existing[0].length };
+    return { from: line.from, to: line.from + (existing ? existing[0].length : 0), insert: prefix(i) };
+  });
+  view.dispatch({ changes });
+  return true;
+};
+
+const HEADING = /^#{1,6}\s+/;
+const BULLET = /^\s*[-*+]\s+/;
+const NUMBER = /^\s*\d+[.)]\s+/;
+const LIST_ITEM = /^\s*(?:[-*+]|\d+[.)])\s+/;
+
+// Makes the selected lines level-`level` headings; running it again turns them back into text.
+const setHeading = (level) => (view) => {
+  const { state } = view;
+  const marker = `${'#'.repeat(level)} `;
+  const changes = allSelectedLines(state).map(line => {
+    const existing = line.text.match(HEADING);
+    const same = existing && existing[0].trim() === marker.trim();
+    return { from: line.from, to: line.from + (existing ? existing[0].length : 0), insert: same ? '' : marker };
+  });
+  view.dispatch({ changes });
+  return true;
+};
+
+// `[text](url)` around the selection, with `url` selected for typing or pasting.
+const insertLink = (view) => {
+  const { state } = view;
+  view.dispatch(state.changeByRange(range => {
+    const text = range.empty ? 'link text' : state.sliceDoc(range.from, range.to);
+    const urlStart = range.from + text.length + 3;
+    return {
+      changes: { from: range.from, to: range.to, insert: `[${text}](url)` },
+      range: EditorSelection.range(urlStart, urlStart + 3)
+    };
+  }));
+  return true;
+};
+
+// Fences the selected lines; an empty selection gets an empty block with the cursor inside.
+const insertCodeBlock = (view) => {
+  const { state } = view;
+  view.dispatch(state.changeByRange(range => {
+    const lines = selectedLines(state, range);
+    const from = lines[0].from;
+    const to = lines[lines.length - 1].to;
+    const body = state.sliceDoc(from, to);
+    const insert = `\`\`\`\n${body}\n\`\`\``;
+    const cursor = from + 4 + body.length;
+    return { changes: { from, to, insert }, range: EditorSelection.cursor(cursor) };
+  }));
+  return true;
+};
+
+const TABLE = '| Column 1 | Column 2 |\n| -------- | -------- |\n| Cell     | Cell     |';
+
+// A two-column table skeleton on its own paragraph below the cursor's line.
+const insertTable = (view) => {
+  const { state } = view;
+  const line = state.doc.lineAt(state.selection.main.head);
+  const before = line.text.trim() ? '\n\n' : '';
+  const insert = `${before}${TABLE}\n`;
+  const start = line.to + before.length + 2;
+  view.dispatch({
+    changes: { from: line.to, insert },
+    selection: EditorSelection.range(start, start + 'Column 1'.length)
+  });
+  return true;
+};
+
+/**
+ * Toolbar actions in display order: { id, label, shortcut, run(view) }. `shortcut` uses
+ * CodeMirror key names (`Mod` = Ctrl, or Cmd on macOS) and mirrors GitHub's editor,
+ * except Link, which leaves `Mod-k` to the command palette.
+ */
+export const FORMATTING_ACTIONS = [
+  { id: 'h1', label: 'Heading 1', shortcut: 'Mod-Alt-1', run: setHeading(1) },
+  { id: 'h2', label: 'Heading 2', shortcut: 'Mod-Alt-2', run: setHeading(2) },
+  { id: 'h3', label: 'Heading 3', shortcut: 'Mod-Alt-3', run: setHeading(3) },
+  { id: 'bold', label: 'Bold', shortcut: 'Mod-b', run: toggleInline('**', 'bold text') },
+  { id: 'italic', label: 'Italic', shortcut: 'Mod-i', run: toggleInline('_', 'italic text') },
+  { id: 'code', label: 'Inline code', shortcut: 'Mod-e', run: toggleInline('`', 'code') },
+  { id: 'link', label: 'Link', shortcut: 'Mod-Alt-k', run: insertLink },
+  { id: 'quote', label: 'Quote', shortcut: 'Mod-Shift-.', run: toggleLinePrefix(/^>\s?/, () => '> ') },
+  { id: 'bullets', label: 'Bulleted list', shortcut: 'Mod-Shift-8', run: toggleLinePrefix(BULLET, () => '- ', LIST_ITEM) },
+  { id: 'numbers', label: 'Numbered list', shortcut: 'Mod-Shift-7', run: toggleLinePrefix(NUMBER, (i) => `${i + 1}. `, LIST_ITEM) },
+  { id: 'codeBlock', label: 'Code block', shortcut: 'Mod-Alt-c', run: insertCodeBlock },
+  { id: 'table', label: 'Table', shortcut: 'Mod-Alt-t', run: insertTable }
+];
+
+// Key bindings for FORMATTING_ACTIONS, for `keymap.of()`.
+export const formattingKeymap = FORMATTING_ACTIONS.map(({ shortcut, run }) => ({ key: shortcut, run, preventDefault: true }));
+
+// `Mod-Shift-8` -> `Ctrl+Shift+8` (or `⌘+Shift+8` on macOS) for tooltips.
+export const shortcutLabel = (shortcut) => {
+  const mac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+  return shortcut
+    .split('-')
+    .map(part => (part === 'Mod' ? (mac ? '⌘' : 'Ctrl') : part.length === 1 ? part.toUpperCase() : part))
+    .join('+');
+};
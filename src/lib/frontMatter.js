@@ -0,0 +1,189 @@
+import { isMap, isScalar, isSeq, parse, parseDocument } from 'yaml';
+
+// --- FRONT MATTER ---
+// YAML between `---` lines at the very top of a Markdown file. Edits go through yaml's
+// Document model, so key order, comments and quoting survive a change to one field.
+
+// Optional repo file describing the fields; DEFAULT_FRONT_MATTER_SCHEMA applies without it.
+//
+//   fields:
+//     - key: title
+//       label: Title              (defaults to the key)
+//       type: string              string | text | number | boolean | date | list | select
+//       required: true
+//     - key: status
+//       type: select
+//       options: [draft, review, published]
+export const FRONT_MATTER_CONFIG = '.github/front-matter.yml';
+
+const FIELD_TYPES = ['string', 'text', 'number', 'boolean', 'date', 'list', 'select'];
+
+export const DEFAULT_FRONT_MATTER_SCHEMA = [
+  { key: 'title', label: 'Title', type: 'string', required: false },
+  { key: 'tags', label: 'Tags', type: 'list', required: false },
+  { key: 'owner', label: 'Owner', type: 'string', required: false },
+  { key: 'status', label: 'Status', type: 'select', options: ['draft', 'review', 'published'], required: false },
+  { key: 'sidebar_position', label: 'Sidebar position', type: 'number', required: false }
+];
+
+// Fields from the config file's text. Throws with a readable message when it's invalid.
+export const parseFrontMatterSchema = (text) => {
+  const config = parse(text, { prettyErrors: false });
+  if (!Array.isArray(config?.fields)) throw new Error('expected a `fields` list');
+  return config.fields.map((field, i) => {
+    if (!field || typeof field.key !== 'string' || !field.key) throw new Error(`field ${i + 1} has no \`key\``);
+    const type = field.type || 'string';
+    if (!FIELD_TYPES.includes(type)) throw new Error(`\`${field.key}\` has unknown type \`${type}\``);
+    if (type === 'select' && (!Array.isArray(field.options) || field.options.length === 0)) {
+      throw new Error(`\`${field.key}\` is a select without \`options\``);
+    }
+    return {
+      key: field.key,
+      label: field.label || field.key,
+      type,
+      required: Boolean(field.required),
+      ...(type === 'select' && { options: field.options.map(String) })
+    };
+  });
+};
+
+const OPEN = /^---[ \t]*\r?\n/;
+const CLOSE = /^(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/m;
+
+// { open, yaml, close, body } for a file starting with front matter, else null. `close`
+// is '' when the block is never closed.
+const split = (content) => {
+  const open = content.match(OPEN);
+  if (!open) return null;
+  const rest = content.slice(open[0].length);
+  const close = rest.match(CLOSE);
+  if (!close) return { open: open[0], yaml: rest, close: '', body: '' };
+  return {
+    open: open[0],
+    yaml: rest.slice(0, close.index),
+    close: close[0],
+    body: rest.slice(close.index + close[0].length)
+  };
+};
+
+// 1-based line in the file of offset `pos` in the YAML (the opening `---` is line 1).
+const fileLine = (yaml, pos) => yaml.slice(0, pos).split('\n').length + 1;
+
+/**
+ * Reads the front matter of `content`:
+ * { present, data, error: { line, message } | null }. `data` is {} when absent or broken.
+ */
+export const parseFrontMatter = (content) => {
+  const parts = split(content);
+  if (!parts) return { present: false, data: {}, error: null };
+  if (!parts.close) return { present: true, data: {}, error: { line: 1, message: 'Front matter is never closed with a `---` line' } };
+
+  const doc = parseDocument(parts.yaml, { prettyErrors: false });
+  if (doc.errors.length > 0) {
+    const [error] = doc.errors;
+    return { present: true, data: {}, error: { line: fileLine(parts.yaml, error.pos[0]), message: error.message } };
+  }
+  if (doc.contents !== null && !isMap(doc.contents)) {
+    return { present: true, data: {}, error: { line: 2, message: 'Front matter must be a list of `key: value` pairs' } };
+  }
+  return { present: true, data: doc.toJS() ?? {}, error: null };
+};
+
+// Splits `content` into its front matter and the Markdown after it, for rendering:
+// { yaml, data, error, body, bodyLine } (bodyLine is 1-based), or null without a closed block.
+export const separateFrontMatter = (content) => {
+  const parts = split(content);
+  if (!parts || !parts.close) return null;
+  const { data, error } = parseFrontMatter(content);
+  const header = `${parts.open}${parts.yaml}${parts.close}`;
+  return { yaml: parts.yaml, data, error, body: parts.body, bodyLine: header.split('\n').length };
+};
+
+// An empty front matter block above the existing text.
+export const addFrontMatter = (content) => `---\n---\n\n${content}`;
+
+const isBlank = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * `content` with front matter key `key` set to `value`; blank values (empty string or
+ * list) remove the key. New keys go last. Returns `content` unchanged if the front
+ * matter can't be parsed.
+ */
+export const setFrontMatterField = (content, key, value) => {
+  const parts = split(content) || { open: '---\n', yaml: '', close: '---\n', body: `\n${content}` };
+  const doc = parseDocument(parts.yaml);
+  if (doc.errors.length > 0 || !parts.close || (doc.contents !== null && !isMap(doc.contents))) return content;
+
+  if (isBlank(value)) {
+    doc.delete(key);
+  } else {
+    const node = doc.contents?.get(key, true);
+    if (isScalar(node) && !Array.isArray(value)) {
+      node.value = value; // Keeps its quoting style and comments
+    } else if (isSeq(node) && Array.isArray(value)) {
+      const list = doc.createNode(value);
+      Object.assign(list, { flow: node.flow, comment: node.comment, commentBefore: node.commentBefore, spaceBefore: node.spaceBefore });
+      doc.set(key, list);
+    } else {
+      doc.set(key, value);
+    }
+  }
+
+  const yaml = doc.contents?.items.length > 0 || doc.commentBefore || doc.comment
+    ? doc.toString({
+      lineWidth: 0,
+      flowCollectionPadding: false,
+      // Match how the file already indents block lists
+      indentSeq: !/^-\s/m.test(parts.yaml)
+    })
+    : '';
+  return `${parts.open}${yaml}${parts.close}${parts.body}`;
+};
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const fieldError = (field, value) => {
+  if (isBlank(value)) return field.required ? 'Required' : null;
+  switch (field.type) {
+    case 'number':
+      return typeof value === 'number' ? null : 'Must be a number';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'Must be true or false';
+    case 'date':
+      return typeof value === 'string' && DATE.test(value) && !Number.isNaN(Date.parse(value)) ? null : 'Use YYYY-MM-DD';
+    case 'list':
+      return Array.isArray(value) && value.every(item => typeof item !== 'object' || item === null) ? null : 'Must be a list';
+    case 'other':
+      return null;
+    case 'select':
+      return field.options.includes(String(value)) ? null : `Must be one of: ${field.options.join(', ')}`;
+    default:
+      return typeof value === 'object' ? 'Must be text' : null;
+  }
+};
+
+// { key: message } for every field in `schema` whose value in `data` is invalid.
+export const validateFrontMatter = (data, schema) => {
+  const errors = {};
+  schema.forEach(field => {
+    const error = fieldError(field, data[field.key]);
+    if (error) errors[field.key] = error;
+  });
+  return errors;
+};
+
+// Schema entries for keys in `data` the schema doesn't describe, typed from their values.
+// Nested maps come back as `type: 'other'`: shown, but only editable in the source.
+export const inferFields = (data, schema) => {
+  const known = new Set(schema.map(field => field.key));
+  return Object.entries(data)
+    .filter(([key]) => !known.has(key))
+    .map(([key, value]) => {
+      const type = typeof value === 'number' ? 'number'
+        : typeof value === 'boolean' ? 'boolean'
+          : Array.isArray(value) ? 'list'
+            : value !== null && typeof value === 'object' ? 'other'
+              : 'string';
+      return { key, label: key, type, required: false };
+    });
+};
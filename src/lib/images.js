@@ -0,0 +1,21 @@
+import { extname } from './paths';
+
+// --- IMAGES ---
+// Image files the preview and the docs export can show inline, by extension.
+
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  svg: 'image/svg+xml',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  bmp: 'image/bmp',
+  ico: 'image/x-icon'
+};
+
+export const isImagePath = (path) => Boolean(IMAGE_TYPES[extname(path)]);
+
+// data: URL for the image at `path` with contents `base64`, or null if it isn't an image.
+export const imageDataUrl = (path, base64) => (isImagePath(path) ? `data:${IMAGE_TYPES[extname(path)]};base64,${base64}` : null);
@@ -0,0 +1,105 @@
+import { isExternalUrl, relativePath, resolveRelativePath, splitHref } from './paths';
+
+// --- MARKDOWN LINK REWRITING ---
+// Keeps relative links working when files move. Only inline links/images
+// (`[text](href)`) and reference definitions (`[id]: href`) outside code are touched;
+// findMarkdownLinks reports the same set.
+
+const INLINE_LINK = /(!?\[(?:[^\]\\]|\\.)*\]\()(<[^>\n]*>|[^)\s]+)/g;
+const REFERENCE_DEF = /^( {0,3}\[[^\]]+\]:[ \t]*)(<[^>\n]*>|\S+)/;
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+
+// Applies `fn(line, index)` to every line that is not inside a fenced code block.
+const mapProseLines = (source, fn) => {
+  let fence = null;
+  return source.split('\n').map((line, index) => {
+    const marker = line.match(FENCE);
+    if (fence) {
+      if (marker && marker[1][0] === fence[0] && marker[1].length >= fence.length) fence = null;
+      return line;
+    }
+    if (marker) {
+      fence = marker[1];
+      return line;
+    }
+    return fn(line, index);
+  }).join('\n');
+};
+
+// Applies `fn` to the parts of `line` outside inline code spans.
+const mapOutsideCode = (line, fn) => line
+  .split(/(`+[^`]*`+)/)
+  .map((part, i) => (i % 2 === 1 ? part : fn(part)))
+  .join('');
+
+/**
+ * Rewrites the relative links in `source`, a Markdown file that lives at `fromPath` and
+ * is about to live at `toPath` (the same path if it isn't moving). `mapPath(repoPath)`
+ * returns where a link target ends up after the move. Returns `{ content, count }`,
+ * where `count` is the number of links whose href changed.
+ */
+export const rewriteMarkdownLinks = (source, { fromPath, toPath, mapPath }) => {
+  let count = 0;
+
+  const rewriteHref = (rawHref) => {
+    const bracketed = rawHref.startsWith('<') && rawHref.endsWith('>');
+    const href = bracketed ? rawHref.slice(1, -1) : rawHref;
+    if (!href || isExternalUrl(href)) return rawHref;
+    const parts = splitHref(href);
+    if (!parts.path) return rawHref;
+
+    const target = resolveRelativePath(fromPath, parts.path);
+    const newTarget = mapPath(target);
+    if (newTarget === target && toPath === fromPath) return rawHref;
+
+    let newPath = parts.path.startsWith('/') ? `/${newTarget}` : relativePath(toPath, newTarget);
+    if (parts.path.endsWith('/') && !newPath.endsWith('/')) newPath += '/';
+    // Keep percent-encoding if the original used it
+    if (/%[0-9a-f]{2}/i.test(parts.path)) newPath = encodeURI(newPath);
+    const newHref = `${newPath}${parts.query ? `?${parts.query}` : ''}${parts.hash ? `#${parts.hash}` : ''}`;
+    if (newHref === href) return rawHref;
+    count += 1;
+    return bracketed ? `<${newHref}>` : newHref;
+  };
+
+  const content = mapProseLines(source, line => {
+    const def = line.match(REFERENCE_DEF);
+    if (def) return `${def[1]}${rewriteHref(def[2])}${line.slice(def[0].length)}`;
+    return mapOutsideCode(line, part => part.replace(INLINE_LINK, (match, open, href) => `${open}${rewriteHref(href)}`));
+  });
+
+  return { content, count };
+};
+
+// Every link and image in `source`: [{ href, line, image }], `line` 1-based. Angle
+// brackets around an href are removed.
+export const findMarkdownLinks = (source) => {
+  const links = [];
+  const add = (rawHref, index, image) => {
+    const href = rawHref.startsWith('<') && rawHref.endsWith('>') ? rawHref.slice(1, -1) : rawHref;
+    if (href) links.push({ href, line: index + 1, image });
+  };
+  mapProseLines(source, (line, index) => {
+    const def = line.match(REFERENCE_DEF);
+    if (def) {
+      add(def[2], index, false);
+      return line;
+    }
+    mapOutsideCode(line, part => {
+      for (const [, open, href] of part.matchAll(INLINE_LINK)) add(href, index, open.startsWith('!'));
+      return part;
+    });
+    return line;
+  });
+  return links;
+};
+
+/**
+ * Where every path ends up after moving `from` to `to`. `from` may be a file or a
+ * folder; paths outside it map to themselves.
+ */
+export const createPathMapper = (from, to) => (path) => {
+  if (path === from) return to;
+  if (path.startsWith(`${from}/`)) return `${to}${path.slice(from.length)}`;
+  return path;
+};
@@ -0,0 +1,162 @@
+import { Marked } from 'marked';
+import DOMPurify from 'dompurify';
+import hljs from 'highlight.js/lib/common';
+import { separateFrontMatter } from './frontMatter';
+import { extname, isExternalUrl, isMarkdownPath, lineFromHash, resolveRelativePath, splitHref } from './paths';
+
+// --- MARKDOWN RENDERING ---
+// GitHub-flavored Markdown -> sanitized HTML for the Preview pane.
+
+const escapeHtml = (str) => str
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const toPlainText = (html) => html
+  .replace(/<[^>]*>/g, '')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// Same algorithm GitHub uses for heading anchors: lowercase, drop punctuation,
+// spaces become hyphens.
+export const slugify = (text) => text
+  .trim()
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+  .replace(/\s/g, '-');
+
+// Returns a slug function that de-duplicates repeated headings (`usage`, `usage-1`, ...).
+export const createSlugger = () => {
+  const seen = new Map();
+  return (text) => {
+    const base = slugify(text);
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    return count === 0 ? base : `${base}-${count}`;
+  };
+};
+
+const highlightCode = (code, lang) => {
+  const language = (lang || '').split(/\s+/)[0].toLowerCase();
+  if (language && hljs.getLanguage(language)) {
+    return { html: hljs.highlight(code, { language, ignoreIllegals: true }).value, language };
+  }
+  return { html: escapeHtml(code), language };
+};
+
+// Front matter is shown as a key/value table above the document, the way GitHub does;
+// YAML that doesn't parse is shown as-is.
+const renderFrontMatter = ({ yaml, data, error }) => {
+  if (error) return `<pre><code class="hljs language-yaml">${highlightCode(yaml, 'yaml').html}</code></pre>\n`;
+  const entries = Object.entries(data);
+  if (entries.length === 0) return '';
+  const cell = (value) => escapeHtml(Array.isArray(value) ? value.join(', ')
+    : value !== null && typeof value === 'object' ? JSON.stringify(value)
+      : String(value ?? ''));
+  const header = entries.map(([key]) => `<th>${escapeHtml(key)}</th>`).join('');
+  const row = entries.map(([, value]) => `<td>${cell(value)}</td>`).join('');
+  return `<table><thead><tr>${header}</tr></thead><tbody><tr>${row}</tr></tbody></table>\n`;
+};
+
+const titleAttr = (title) => (title ? ` title="${escapeHtml(title)}"` : '');
+
+/**
+ * Renders `source` as GitHub would show it for the file at `path` on `branch`.
+ * Relative links and images are resolved against the file's folder; links that
+ * point into the repo carry a `data-repo-path` attribute so the preview can open
+ * them in the editor instead of leaving the app. Their `href` is the provider's
+ * web URL, or the bare repo path when it has none (demo).
+ *
+ * With `sourceLines`, each top-level block's first tag gets `data-source-line` (1-based)
+ * so the split view can line the preview up with the editor. Front matter at the top
+ * of a Markdown file renders as a table.
+ */
+export const renderMarkdown = (source, { provider, branch, path, sourceLines = false }) => {
+  const slug = createSlugger();
+  const marked = new Marked({ gfm: true });
+
+  marked.use({
+    renderer: {
+      heading({ tokens, depth }) {
+        const inner = this.parser.parseInline(tokens);
+        return `<h${depth} id="${escapeHtml(slug(toPlainText(inner)))}">${inner}</h${depth}>\n`;
+      },
+      code({ text, lang }) {
+        const { html, language } = highlightCode(text, lang);
+        const cls = language ? `hljs language-${escapeHtml(language)}` : 'hljs';
+        return `<pre><code class="${cls}">${html}</code></pre>\n`;
+      },
+      link({ href, title, tokens }) {
+        const inner = this.parser.parseInline(tokens);
+        // `#L42` points at a line of this file, which opens in the editor like other repo links
+        if (isExternalUrl(href) && !(href.startsWith('#') && lineFromHash(href.slice(1)))) {
+          const external = href.startsWith('#') ? '' : ' target="_blank" rel="noopener noreferrer"';
+          return `<a href="${escapeHtml(href)}"${titleAttr(title)}${external}>${inner}</a>`;
+        }
+        const parts = splitHref(href);
+        const target = parts.path ? resolveRelativePath(path, parts.path) : path;
+        const url = provider.webUrl(branch, target) || target;
+        const fullUrl = `${url}${parts.hash ? `#${parts.hash}` : ''}`;
+        return `<a href="${escapeHtml(fullUrl)}" data-repo-path="${escapeHtml(target)}" data-repo-hash="${escapeHtml(parts.hash)}"${titleAttr(title)}>${inner}</a>`;
+      },
+      image({ href, title, text }) {
+        let src = href;
+        if (!isExternalUrl(href)) {
+          const target = resolveRelativePath(path, splitHref(href).path);
+          // Raw URLs only serve public repos without auth; private repos fall back
+          // to the alt text, same as the hosts' own raw links.
+          src = provider.rawUrl(branch, target) || target;
+        }
+        return `<img src="${escapeHtml(src)}" alt="${escapeHtml(text)}"${titleAttr(title)} />`;
+      }
+    }
+  });
+
+  const frontMatter = isMarkdownPath(path) ? separateFrontMatter(source) : null;
+  const markdown = frontMatter ? frontMatter.body : source;
+  let html = frontMatter ? renderFrontMatter(frontMatter) : '';
+  if (sourceLines) {
+    let line = frontMatter ? frontMatter.bodyLine : 1;
+    html = html.replace(/^<(table|pre)/, '<$1 data-source-line="1"');
+    html += marked.lexer(markdown).map(token => {
+      const block = marked.parser([token]);
+      const start = line;
+      line += (token.raw.match(/\n/g) || []).length;
+      return block.replace(/^\s*<([a-z][a-z0-9]*)/i, `<$1 data-source-line="${start}"`);
+    }).join('');
+  } else {
+    html += marked.parse(markdown);
+  }
+  return DOMPurify.sanitize(html, { ADD_ATTR: ['target'] });
+};
+
+// Top-level headings of a Markdown document: [{ depth, text, slug, line }], with the
+// same de-duplicated slugs renderMarkdown gives them as anchors. `line` is 1-based.
+export const findHeadings = (source) => {
+  const slug = createSlugger();
+  const marked = new Marked({ gfm: true });
+  const frontMatter = separateFrontMatter(source);
+  let line = frontMatter ? frontMatter.bodyLine : 1;
+  const headings = [];
+  marked.lexer(frontMatter ? frontMatter.body : source).forEach(token => {
+    if (token.type === 'heading') {
+      const text = toPlainText(marked.parseInline(token.text));
+      headings.push({ depth: token.depth, text, slug: slug(text), line });
+    }
+    line += (token.raw.match(/\n/g) || []).length;
+  });
+  return headings;
+};
+
+// Non-Markdown files are previewed as a single highlighted code block.
+export const renderPreview = (content, options) => {
+  if (isMarkdownPath(options.path)) return renderMarkdown(content, options);
+  const longestFence = (content.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 2);
+  const fence = '`'.repeat(longestFence + 1);
+  return renderMarkdown(`${fence}${extname(options.path)}\n${content}\n${fence}`, options);
+};
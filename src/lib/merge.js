@@ -0,0 +1,47 @@
+import { diff3Merge } from 'node-diff3';
+
+// --- THREE-WAY MERGE ---
+// Line-based merge of "mine" and "theirs" against their common "base", used when a
+// commit is rejected because someone else changed the file in the meantime.
+
+/**
+ * Returns merge regions in document order:
+ *   { type: 'ok', lines }                       - merged cleanly
+ *   { type: 'conflict', mine, base, theirs }    - both sides changed the same lines
+ * Identical edits on both sides are not reported as conflicts.
+ */
+export const threeWayMerge = (base, mine, theirs) => {
+  const regions = diff3Merge(mine.split('\n'), base.split('\n'), theirs.split('\n'), { excludeFalseConflicts: true });
+  return regions.map(region => (region.ok
+    ? { type: 'ok', lines: region.ok }
+    : { type: 'conflict', mine: region.conflict.a, base: region.conflict.o, theirs: region.conflict.b }));
+};
+
+export const countConflicts = (regions) => regions.filter(region => region.type === 'conflict').length;
+
+// Lines a single resolution choice produces for a conflict region.
+export const resolutionLines = (region, resolution) => {
+  if (resolution === 'mine') return region.mine;
+  if (resolution === 'theirs') return region.theirs;
+  if (resolution === 'both') return [...region.mine, ...region.theirs];
+  return resolution.custom.split('\n');
+};
+
+/**
+ * Joins regions back into text. `resolutions[i]` is the choice for the i-th conflict:
+ * 'mine' | 'theirs' | 'both' | { custom: string }. Returns null while any conflict is unresolved.
+ */
+export const applyResolutions = (regions, resolutions) => {
+  const lines = [];
+  let conflictIndex = 0;
+  for (const region of regions) {
+    if (region.type === 'ok') {
+      lines.push(...region.lines);
+      continue;
+    }
+    const resolution = resolutions[conflictIndex++];
+    if (!resolution) return null;
+    lines.push(...resolutionLines(region, resolution));
+  }
+  return lines.join('\n');
+};
@@ -0,0 +1,51 @@
+// --- DOCUMENT OUTLINE ---
+// Sections of a Markdown file, from the headings findHeadings() returns. A section runs
+// from its heading to the next heading of the same or a higher level, so it carries its
+// subsections along.
+
+// 1-based line range [start, end) of the section under `headings[index]`.
+export const sectionRange = (headings, index, lineCount) => {
+  const { depth, line } = headings[index];
+  const next = headings.slice(index + 1).find(h => h.depth <= depth);
+  return { start: line, end: next ? next.line : lineCount + 1 };
+};
+
+// Index of the heading whose section contains 1-based `line`, or -1 above the first heading.
+export const headingAtLine = (headings, line) => {
+  let index = -1;
+  headings.forEach((heading, i) => {
+    if (heading.line <= line) index = i;
+  });
+  return index;
+};
+
+// True when the section of `headings[to]` lies inside the section of `headings[from]`.
+export const isWithinSection = (headings, from, to) => {
+  const { start, end } = sectionRange(headings, from, Infinity);
+  return headings[to].line >= start && headings[to].line < end;
+};
+
+const isBlank = (line) => line.trim() === '';
+
+/**
+ * `content` with the section of `headings[from]` moved before (`position` 'before') or
+ * after ('after') the section of `headings[to]`. Sections are kept a blank line apart.
+ * Moving a section into itself returns `content` unchanged.
+ */
+export const moveSection = (content, headings, from, to, position) => {
+  const lines = content.split('\n');
+  const source = sectionRange(headings, from, lines.length);
+  const target = position === 'before' ? headings[to].line : sectionRange(headings, to, lines.length).end;
+  if (target >= source.start && target <= source.end) return content;
+
+  const block = lines.slice(source.start - 1, source.end - 1);
+  while (block.length > 0 && isBlank(block[block.length - 1])) block.pop();
+  const rest = [...lines.slice(0, source.start - 1), ...lines.slice(source.end - 1)];
+  const at = (target > source.start ? target - (source.end - source.start) : target) - 1;
+
+  const before = at > 0 && !isBlank(rest[at - 1]) ? [''] : [];
+  const after = at < rest.length && !isBlank(rest[at]) ? [''] : [];
+  const moved = [...rest.slice(0, at), ...before, ...block, ...after, ...rest.slice(at)].join('\n');
+  // Keep the file's own ending: one trailing newline or none
+  return moved.replace(/\n+$/, '') + (content.endsWith('\n') ? '\n' : '');
+};
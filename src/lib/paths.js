@@ -0,0 +1,82 @@
+// --- REPOSITORY PATH HELPERS ---
+// All paths are repo-relative and use forward slashes, matching the `path`
+// field GitHub returns for tree entries.
+
+export const dirname = (path) => {
+  const idx = path.lastIndexOf('/');
+  return idx === -1 ? '' : path.slice(0, idx);
+};
+
+export const basename = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+export const extname = (path) => {
+  const name = basename(path);
+  const idx = name.lastIndexOf('.');
+  return idx <= 0 ? '' : name.slice(idx + 1).toLowerCase();
+};
+
+export const isMarkdownPath = (path) => ['md', 'markdown', 'mdx'].includes(extname(path || ''));
+
+// True for anything that should not be resolved against the repo: absolute URLs
+// (http:, mailto:, data: ...), protocol-relative URLs and in-page anchors.
+export const isExternalUrl = (href) => /^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(href);
+
+// Collapses `.` and `..` segments. Leading `..` that would escape the repo root are dropped.
+export const normalizePath = (path) => {
+  const out = [];
+  path.split('/').forEach(part => {
+    if (!part || part === '.') return;
+    if (part === '..') out.pop();
+    else out.push(part);
+  });
+  return out.join('/');
+};
+
+// Resolves `target` the way GitHub does for links inside a rendered file:
+// relative to the file's folder, or to the repo root when it starts with `/`.
+export const resolveRelativePath = (fromFile, target) => {
+  const decoded = safeDecode(target);
+  if (decoded.startsWith('/')) return normalizePath(decoded);
+  const base = dirname(fromFile);
+  return normalizePath(base ? `${base}/${decoded}` : decoded);
+};
+
+// Inverse of resolveRelativePath: the shortest relative href from `fromFile` to `toPath`.
+export const relativePath = (fromFile, toPath) => {
+  const fromParts = dirname(fromFile).split('/').filter(Boolean);
+  const toParts = toPath.split('/');
+  let common = 0;
+  while (common < fromParts.length && common < toParts.length - 1 && fromParts[common] === toParts[common]) {
+    common++;
+  }
+  const ups = fromParts.length - common;
+  const rest = toParts.slice(common).join('/');
+  return ups === 0 ? rest : `${'../'.repeat(ups)}${rest}`;
+};
+
+// Splits `docs/a.md?plain=1#usage` into its path, query and hash parts.
+export const splitHref = (href) => {
+  const hashIdx = href.indexOf('#');
+  const hash = hashIdx === -1 ? '' : href.slice(hashIdx + 1);
+  const beforeHash = hashIdx === -1 ? href : href.slice(0, hashIdx);
+  const queryIdx = beforeHash.indexOf('?');
+  return {
+    path: queryIdx === -1 ? beforeHash : beforeHash.slice(0, queryIdx),
+    query: queryIdx === -1 ? '' : beforeHash.slice(queryIdx + 1),
+    hash
+  };
+};
+
+// Line number of a GitHub-style line anchor (`L42`, `L42-L50`), or null for other hashes.
+export const lineFromHash = (hash) => {
+  const match = /^L(\d+)(?:-L?\d+)?$/.exec(hash || '');
+  return match ? Number(match[1]) : null;
+};
+
+const safeDecode = (str) => {
+  try {
+    return decodeURI(str);
+  } catch {
+    return str;
+  }
+};
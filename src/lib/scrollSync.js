@@ -0,0 +1,51 @@
+// --- SPLIT VIEW SCROLL SYNC ---
+// The editor and preview panes are matched through anchors { line, top }: every preview
+// block tagged with `data-source-line`, at its offset in the preview. Positions between
+// two anchors are interpolated linearly.
+
+// Offset of `el` from the top of the scrollable content of `scroller`.
+const offsetIn = (scroller, el) => el.getBoundingClientRect().top - scroller.getBoundingClientRect().top + scroller.scrollTop;
+
+// Anchors for the preview in `scroller`, increasing in both line and offset.
+export const previewAnchors = (scroller, lineCount) => {
+  const anchors = [{ line: 1, top: 0 }];
+  scroller.querySelectorAll('[data-source-line]').forEach(el => {
+    const line = Number(el.dataset.sourceLine);
+    const top = offsetIn(scroller, el);
+    const last = anchors[anchors.length - 1];
+    if (line > last.line && top >= last.top) anchors.push({ line, top });
+  });
+  const last = anchors[anchors.length - 1];
+  anchors.push({ line: Math.max(lineCount + 1, last.line + 1), top: Math.max(scroller.scrollHeight, last.top) });
+  return anchors;
+};
+
+// Maps `value` of field `from` ('line' or 'top') to field `to` between the anchors around it.
+export const interpolate = (anchors, from, to, value) => {
+  let i = 1;
+  while (i < anchors.length - 1 && value >= anchors[i][from]) i++;
+  const a = anchors[i - 1];
+  const b = anchors[i];
+  const span = b[from] - a[from];
+  const t = span > 0 ? Math.min(Math.max((value - a[from]) / span, 0), 1) : 0;
+  return a[to] + t * (b[to] - a[to]);
+};
+
+// Where the CodeMirror document starts inside `scroller`.
+const documentOffset = (view, scroller) => view.documentTop - scroller.getBoundingClientRect().top + scroller.scrollTop;
+
+// Fractional 1-based line shown at the top of `scroller`, which scrolls the editor `view`.
+export const editorTopLine = (view, scroller) => {
+  const offset = Math.max(0, scroller.scrollTop - documentOffset(view, scroller));
+  const block = view.lineBlockAtHeight(offset);
+  const line = view.state.doc.lineAt(block.from).number;
+  return line + Math.min(Math.max((offset - block.top) / (block.height || 1), 0), 1);
+};
+
+// The scrollTop of `scroller` that puts fractional `line` at the top of the editor.
+export const editorScrollTopFor = (view, scroller, line) => {
+  const { doc } = view.state;
+  const number = Math.min(Math.max(Math.floor(line), 1), doc.lines);
+  const block = view.lineBlockAt(doc.line(number).from);
+  return documentOffset(view, scroller) + block.top + Math.min(line - number, 1) * block.height;
+};
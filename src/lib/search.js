@@ -0,0 +1,117 @@
+import { basename, extname } from './paths';
+
+// --- QUICK OPEN & CONTENT SEARCH ---
+
+const SEPARATORS = '/._- ';
+
+/**
+ * Fuzzy-matches `query` against `path` (characters in order, not necessarily adjacent).
+ * Returns `{ score, indices }` or null. Consecutive runs, segment starts and hits in the
+ * file name score higher, so `gsmd` ranks `docs/getting-started.md` near the top.
+ */
+export const fuzzyMatch = (query, path) => {
+  const q = query.toLowerCase().replace(/\s+/g, '');
+  if (!q) return { score: 0, indices: [] };
+  const target = path.toLowerCase();
+  const nameStart = path.length - basename(path).length;
+
+  const indices = [];
+  let score = 0;
+  let from = 0;
+  for (const ch of q) {
+    const idx = target.indexOf(ch, from);
+    if (idx === -1) return null;
+    let points = 1;
+    if (idx === from && indices.length > 0) points += 5;
+    if (idx === 0 || SEPARATORS.includes(target[idx - 1])) points += 4;
+    if (idx >= nameStart) points += 2;
+    score += points;
+    indices.push(idx);
+    from = idx + 1;
+  }
+  // Prefer shorter paths when the hits are equally good
+  return { score: score - path.length * 0.01, indices };
+};
+
+// Best `limit` matches over `paths`, highest score first.
+export const fuzzyFilter = (paths, query, limit = 50) => paths
+  .map(path => ({ path, match: fuzzyMatch(query, path) }))
+  .filter(item => item.match)
+  .sort((a, b) => b.match.score - a.match.score || a.path.localeCompare(b.path))
+  .slice(0, limit);
+
+const BINARY_EXTENSIONS = new Set([
+  'png', 'jpg', 'jpeg', 'gif', 'bmp', 'ico', 'webp', 'avif', 'tif', 'tiff', 'psd',
+  'pdf', 'zip', 'gz', 'tgz', 'bz2', 'xz', '7z', 'rar', 'jar', 'war',
+  'woff', 'woff2', 'ttf', 'otf', 'eot',
+  'mp3', 'mp4', 'mov', 'avi', 'mkv', 'wav', 'ogg', 'webm', 'flac',
+  'exe', 'dll', 'so', 'dylib', 'bin', 'class', 'o', 'a', 'wasm', 'pyc',
+  'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'sqlite', 'db'
+]);
+
+// Files larger than this are skipped by the content index (when the tree reports a size).
+const MAX_INDEXED_SIZE = 512 * 1024;
+
+export const isIndexable = (item) =>
+  !BINARY_EXTENSIONS.has(extname(item.path)) && !(item.size > MAX_INDEXED_SIZE);
+
+/**
+ * Brings `cache` (blob SHA -> text) up to date for `tree`. Only blobs missing from the
+ * cache are fetched, so after a commit just the changed files are downloaded again; the
+ * same blob on another branch is reused as-is. `readFile(path)` resolves to
+ * `{ content, sha }` or null. Files that fail to load are left out of this round.
+ */
+export const syncSearchIndex = async (cache, tree, readFile, { onProgress = () => {}, concurrency = 4 } = {}) => {
+  const missing = tree.filter(item => isIndexable(item) && item.sha && !cache.has(item.sha));
+  let done = 0;
+  onProgress(done, missing.length);
+
+  const queue = [...missing];
+  const worker = async () => {
+    while (queue.length > 0) {
+      const item = queue.shift();
+      try {
+        const file = await readFile(item.path);
+        // Keyed by the tree's SHA, which is what lookups use, even if the branch has
+        // moved on since the tree was listed; the next tree brings the new SHA anyway
+        if (file && !file.content.includes('\u0000')) cache.set(item.sha, file.content);
+      } catch {
+        // Skipped; retried on the next search
+      }
+      done += 1;
+      onProgress(done, missing.length);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, missing.length) }, worker));
+};
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Line matches for `query` in every indexed file of `tree`:
+ * `[{ path, sha, matches: [{ line, text, ranges: [[start, end], ...] }] }]`.
+ * `line` is 1-based. Stops collecting after `limit` matching lines overall.
+ */
+export const searchContents = (cache, tree, query, { caseSensitive = false, limit = 500 } = {}) => {
+  if (!query) return [];
+  const pattern = new RegExp(escapeRegExp(query), caseSensitive ? 'g' : 'gi');
+  const results = [];
+  let total = 0;
+
+  for (const item of [...tree].sort((a, b) => a.path.localeCompare(b.path))) {
+    if (total >= limit) break;
+    const content = cache.get(item.sha);
+    if (content === undefined) continue;
+
+    const matches = [];
+    const lines = content.split('\n');
+    for (let i = 0; i < lines.length && total < limit; i++) {
+      const ranges = [...lines[i].matchAll(pattern)].map(m => [m.index, m.index + m[0].length]);
+      if (ranges.length === 0) continue;
+      matches.push({ line: i + 1, text: lines[i], ranges });
+      total += 1;
+    }
+    if (matches.length > 0) results.push({ path: item.path, sha: item.sha, matches });
+  }
+  return results;
+};
@@ -0,0 +1,17 @@
+import { describe, expect, it, vi } from 'vitest';
+import { searchContents, syncSearchIndex } from './search';
+
+describe('syncSearchIndex', () => {
+  it('keys entries by the tree SHA, so the next sync and searches find them', async () => {
+    const cache = new Map();
+    const tree = [{ path: 'docs/a.md', type: 'blob', sha: 'listed' }];
+    // The branch moved after the tree was listed: the read returns a newer blob
+    const readFile = vi.fn(async () => ({ content: 'Rate limits apply', sha: 'newer' }));
+
+    await syncSearchIndex(cache, tree, readFile);
+    await syncSearchIndex(cache, tree, readFile);
+
+    expect(readFile).toHaveBeenCalledTimes(1);
+    expect(searchContents(cache, tree, 'rate').map(file => file.path)).toEqual(['docs/a.md']);
+  });
+});
@@ -0,0 +1,111 @@
+import { defaultKeymap, historyKeymap } from '@codemirror/commands';
+import { searchKeymap } from '@codemirror/search';
+import { FORMATTING_ACTIONS, shortcutLabel } from './formatting';
+
+// --- KEYBOARD SHORTCUTS (localStorage) ---
+// App-wide commands and the keys bound to them. Keys use the CodeMirror names of
+// formatting.js (`Mod-Shift-f`, `Mod` = Ctrl, or Cmd on macOS) so both can be shown and
+// compared the same way. Only the user's changes to the defaults are stored.
+//
+// Saved: { [commandId]: key | '' }   ('' = unbound)
+
+const STORAGE_KEY = 'repo-manager:shortcuts';
+
+/**
+ * Commands that can be bound to a key, in the order the shortcuts sheet lists them:
+ * { id, label, group, defaultKey }. App supplies what each one does.
+ */
+export const SHORTCUT_COMMANDS = [
+  { id: 'palette', label: 'Command palette', group: 'General', defaultKey: 'Mod-k' },
+  { id: 'shortcuts', label: 'Keyboard shortcuts', group: 'General', defaultKey: '?' },
+  { id: 'quickOpen', label: 'Go to file', group: 'General', defaultKey: 'Mod-p' },
+  { id: 'search', label: 'Search file contents', group: 'General', defaultKey: 'Mod-Shift-f' },
+  { id: 'switchBranch', label: 'Switch branch', group: 'General', defaultKey: 'Mod-Shift-b' },
+  { id: 'settings', label: 'Connection settings', group: 'General', defaultKey: '' },
+  { id: 'newFile', label: 'New file', group: 'Files', defaultKey: 'Mod-Alt-n' },
+  { id: 'upload', label: 'Upload files', group: 'Files', defaultKey: '' },
+  { id: 'commit', label: 'Commit this file', group: 'Files', defaultKey: 'Mod-s' },
+  { id: 'stage', label: 'Stage this file', group: 'Files', defaultKey: 'Mod-Shift-s' },
+  { id: 'commitStaged', label: 'Commit staged changes', group: 'Files', defaultKey: '' },
+  { id: 'edit', label: 'Edit', group: 'View', defaultKey: '' },
+  { id: 'split', label: 'Split editor and preview', group: 'View', defaultKey: '' },
+  { id: 'preview', label: 'Preview', group: 'View', defaultKey: '' },
+  { id: 'togglePreview', label: 'Toggle edit / preview', group: 'View', defaultKey: 'Mod-Alt-p' },
+  { id: 'history', label: 'File history', group: 'View', defaultKey: 'Mod-Alt-h' },
+  { id: 'blame', label: 'Blame', group: 'View', defaultKey: '' }
+];
+
+const DEFAULT_KEYS = Object.fromEntries(SHORTCUT_COMMANDS.map(c => [c.id, c.defaultKey]));
+
+const MODIFIERS = ['Mod', 'Ctrl', 'Meta', 'Alt', 'Shift'];
+
+const isMac = () => typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+
+// `Shift-Mod-k` -> `Mod-Shift-k`: modifiers in eventShortcut()'s order, so keys compare as strings.
+const normalizeShortcut = (shortcut) => {
+  const parts = shortcut.split(/-(?!$)/);
+  const key = parts.pop();
+  const modifiers = parts.map(part => (part === 'Ctrl' && !isMac() ? 'Mod' : part));
+  return [...MODIFIERS.filter(m => modifiers.includes(m)), key.length === 1 ? key.toLowerCase() : key].join('-');
+};
+
+// Keys the code editor handles before the app sees them, with what they do there.
+const EDITOR_KEYS = new Map([
+  ...[...defaultKeymap, ...historyKeymap, ...searchKeymap]
+    .filter(binding => binding.key)
+    .map(binding => [normalizeShortcut(binding.key), 'a built-in editor command']),
+  ...FORMATTING_ACTIONS.map(action => [normalizeShortcut(action.shortcut), `${action.label} in Markdown files`])
+]);
+
+// Current bindings: { [commandId]: key | '' }, defaults merged with the saved changes.
+export const loadShortcuts = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    return Object.fromEntries(SHORTCUT_COMMANDS.map(c => [c.id, typeof saved[c.id] === 'string' ? saved[c.id] : c.defaultKey]));
+  } catch {
+    return { ...DEFAULT_KEYS };
+  }
+};
+
+export const saveShortcuts = (shortcuts) => {
+  const changed = Object.fromEntries(Object.entries(shortcuts).filter(([id, key]) => DEFAULT_KEYS[id] !== key));
+  try {
+    if (Object.keys(changed).length === 0) localStorage.removeItem(STORAGE_KEY);
+    else localStorage.setItem(STORAGE_KEY, JSON.stringify(changed));
+  } catch {
+    // Storage can be full or disabled; the bindings then last for this session only
+  }
+};
+
+export const defaultShortcuts = () => ({ ...DEFAULT_KEYS });
+
+/**
+ * The key of a keydown event in binding form, e.g. `Mod-Shift-f`, or null for a lone
+ * modifier. Letters and digits come from the physical key so Alt and Shift don't change
+ * them; other characters are taken as typed, so `?` stays `?` without a `Shift-`.
+ */
+export const eventShortcut = (e) => {
+  if (['Control', 'Meta', 'Alt', 'Shift'].includes(e.key)) return null;
+  const mac = isMac();
+  const physical = /^(Key[A-Z]|Digit\d)$/.test(e.code || '') ? e.code.slice(-1).toLowerCase() : null;
+  const key = physical || (e.key.length === 1 ? e.key.toLowerCase() : e.key);
+  const symbol = !physical && e.key.length === 1;
+  return [
+    (mac ? e.metaKey : e.ctrlKey) && 'Mod',
+    mac && e.ctrlKey && 'Ctrl',
+    !mac && e.metaKey && 'Meta',
+    e.altKey && 'Alt',
+    e.shiftKey && !symbol && 'Shift',
+    key === ' ' ? 'Space' : key
+  ].filter(Boolean).join('-');
+};
+
+// Keys without Ctrl/Cmd/Alt type text, so they only act outside of text fields.
+export const isTypingKey = (shortcut) => !/(^|-)(Mod|Ctrl|Meta|Alt)-/.test(shortcut);
+
+// What `shortcut` does in the editor, or null. Such keys can't be bound to commands:
+// while the editor has focus it would take them first.
+export const editorShortcutLabel = (shortcut) => EDITOR_KEYS.get(shortcut) || null;
+
+// Tooltip text: `label (Ctrl+P)`, or just `label` when the command has no key.
+export const withShortcut = (label, shortcut) => (shortcut ? `${label} (${shortcutLabel(shortcut)})` : label);
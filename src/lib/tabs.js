@@ -0,0 +1,29 @@
+import { repoKey } from './drafts';
+
+// --- OPEN TABS (localStorage) ---
+// The editor tabs of each repo are remembered so reconnecting reopens them. Only paths
+// and view state are stored: contents are re-read from the branch, and unsaved edits
+// come back through drafts.
+//
+// Saved: { branch, active, tabs: [{ path, editorLayout, viewMode }] }
+
+const STORAGE_PREFIX = 'repo-manager:tabs:';
+
+export const saveOpenTabs = (config, { branch, active, tabs }) => {
+  try {
+    const key = `${STORAGE_PREFIX}${repoKey(config)}`;
+    if (tabs.length === 0) localStorage.removeItem(key);
+    else localStorage.setItem(key, JSON.stringify({ branch, active, tabs }));
+  } catch {
+    // Storage can be full or disabled; tabs are simply not restored then
+  }
+};
+
+export const loadOpenTabs = (config) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(`${STORAGE_PREFIX}${repoKey(config)}`));
+    return Array.isArray(saved?.tabs) ? saved : null;
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,89 @@
+import { extname, normalizePath } from './paths';
+import { parseFrontMatter, setFrontMatterField } from './frontMatter';
+
+// --- DOCUMENT TEMPLATES ---
+// Markdown files under TEMPLATES_DIR seed new documents. A `template` key in a
+// template's front matter describes it and is dropped from the new file:
+//
+//   ---
+//   template:
+//     name: Architecture decision record
+//     description: One decision, its context and consequences
+//     folder: docs/adr                    (suggested folder for new files)
+//     filename: '{{date}}-{{slug}}.md'    (defaults to {{slug}}.md)
+//   title: "{{title}}"
+//   ---
+//
+// Placeholders anywhere in the template: {{title}}, {{slug}}, {{date}} (YYYY-MM-DD),
+// {{author}} and {{path}}. Quote them inside front matter, where `{` starts a YAML map.
+export const TEMPLATES_DIR = '.github/doc-templates';
+
+export const isTemplatePath = (path) => path.startsWith(`${TEMPLATES_DIR}/`) && extname(path) === 'md';
+
+// The New File modal's default when no repo template is picked.
+export const BLANK_TEMPLATE = {
+  path: null,
+  name: 'Blank document',
+  description: '',
+  folder: '',
+  filename: '{{slug}}.md',
+  body: '# {{title}}\n\nStart writing...'
+};
+
+const DEFAULT_TITLE = 'New Document';
+
+// File-name friendly form of a title: `Q3 Planning: Notes` -> `q3-planning-notes`.
+export const fileSlug = (title) => title
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Today as YYYY-MM-DD in local time.
+export const today = (date = new Date()) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+const fillPlaceholders = (text, values) => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (
+  name in values ? values[name] : match
+));
+
+// Template at `path` from its file text. Broken front matter leaves the text as it is.
+export const parseTemplate = (path, text) => {
+  const name = path.slice(TEMPLATES_DIR.length + 1).replace(/\.md$/i, '');
+  const { data, error } = parseFrontMatter(text);
+  const meta = !error && data.template && typeof data.template === 'object' ? data.template : {};
+  let body = text;
+  if (!error && 'template' in data) {
+    body = setFrontMatterField(text, 'template', '')
+      // Nothing else was in the front matter
+      .replace(/^---\r?\n---[ \t]*\r?\n(\r?\n)?/, '');
+  }
+  return {
+    path,
+    name: typeof meta.name === 'string' && meta.name ? meta.name : name,
+    description: typeof meta.description === 'string' ? meta.description : '',
+    folder: typeof meta.folder === 'string' ? normalizePath(meta.folder) : '',
+    filename: typeof meta.filename === 'string' && meta.filename ? meta.filename : '{{slug}}.md',
+    body
+  };
+};
+
+// Suggested repo path for a document titled `title` from `template`.
+export const templatePath = (template, { title, date = today() }) => {
+  const slug = fileSlug(title) || fileSlug(DEFAULT_TITLE);
+  const filename = fillPlaceholders(template.filename, { title, slug, date });
+  return normalizePath(template.folder ? `${template.folder}/${filename}` : filename);
+};
+
+// Content of a new file at `path` from `template`.
+export const renderTemplate = (template, { title, author, path, date = today() }) => fillPlaceholders(template.body, {
+  title: title || DEFAULT_TITLE,
+  slug: fileSlug(title) || fileSlug(DEFAULT_TITLE),
+  date,
+  author: author || '',
+  path
+});
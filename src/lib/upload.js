@@ -0,0 +1,55 @@
+import { Base64 } from './base64';
+import { normalizePath } from './paths';
+
+// --- UPLOADS ---
+// Files picked or dropped by the user, as [{ file, relativePath }]. `relativePath` keeps
+// the folder structure of a dropped/picked folder (`assets/img/logo.png`).
+
+// GitHub rejects blobs over 100 MB; stay well below so a commit can't fail halfway.
+export const MAX_UPLOAD_SIZE = 50 * 1024 * 1024;
+
+export const filesFromInput = (fileList) => [...fileList].map(file => ({
+  file,
+  relativePath: file.webkitRelativePath || file.name
+}));
+
+const readEntry = (entry) => new Promise((resolve, reject) => {
+  if (entry.isFile) {
+    entry.file(file => resolve([{ file, relativePath: entry.fullPath.replace(/^\/+/, '') }]), reject);
+    return;
+  }
+  // readEntries() returns at most ~100 entries per call; keep reading until it's empty
+  const reader = entry.createReader();
+  const children = [];
+  const readBatch = () => reader.readEntries(async (batch) => {
+    if (batch.length > 0) {
+      children.push(...batch);
+      readBatch();
+      return;
+    }
+    try {
+      resolve((await Promise.all(children.map(readEntry))).flat());
+    } catch (e) {
+      reject(e);
+    }
+  }, reject);
+  readBatch();
+});
+
+/**
+ * Files from a drop event, descending into dropped folders. The entries must be taken
+ * from `dataTransfer` synchronously, so call this directly in the drop handler.
+ */
+export const filesFromDrop = (dataTransfer) => {
+  const entries = [...dataTransfer.items]
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.());
+  if (entries.some(entry => !entry)) return Promise.resolve(filesFromInput(dataTransfer.files));
+  return Promise.all(entries.map(readEntry)).then(lists => lists.flat());
+};
+
+// Target repo path for an upload into `folder` ('' = repo root).
+export const uploadPath = (folder, relativePath) => normalizePath(folder ? `${folder}/${relativePath}` : relativePath);
+
+// File contents as base64, byte for byte, so binaries survive the round trip.
+export const readFileAsBase64 = (file) => file.arrayBuffer().then(buffer => Base64.fromBytes(new Uint8Array(buffer)));
@@ -0,0 +1,96 @@
+import { Base64 } from './base64';
+
+// --- TOKEN VAULT (localStorage, WebCrypto) ---
+// Access tokens of saved workspaces, encrypted with a key derived from the user's
+// passphrase (PBKDF2-SHA-256, AES-256-GCM). Only ciphertext is stored; the key and the
+// decrypted tokens live in memory until the vault is locked.
+//
+// Stored: { version, salt, iv, data, lockMinutes } (binary fields base64)
+// Decrypted data: { [workspaceId]: token }
+
+const STORAGE_KEY = 'repo-manager:vault';
+const VERSION = 1;
+const ITERATIONS = 310000;
+
+// Choices for locking the vault after inactivity
+export const LOCK_MINUTES = [5, 15, 30, 60];
+export const DEFAULT_LOCK_MINUTES = 15;
+
+const toBase64 = (bytes) => Base64.fromBytes(new Uint8Array(bytes));
+const fromBase64 = (base64) => Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+
+const readStored = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored?.version === VERSION ? stored : null;
+  } catch {
+    return null;
+  }
+};
+
+const deriveKey = async (passphrase, salt) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+const encrypt = async (key, tokens) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(tokens)));
+  return { iv: toBase64(iv), data: toBase64(data) };
+};
+
+export const hasVault = () => readStored() !== null;
+
+// Minutes of inactivity after which the vault locks itself.
+export const vaultLockMinutes = () => readStored()?.lockMinutes || DEFAULT_LOCK_MINUTES;
+
+export const setVaultLockMinutes = (minutes) => {
+  const stored = readStored();
+  if (stored) localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...stored, lockMinutes: minutes }));
+};
+
+/**
+ * A new, empty vault protected by `passphrase`, replacing any existing one.
+ * Resolves to the unlocked vault: { key, salt, tokens }.
+ */
+export const createVault = async (passphrase, lockMinutes = DEFAULT_LOCK_MINUTES) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt);
+  const vault = { key, salt: toBase64(salt), tokens: {} };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: VERSION, salt: vault.salt, ...(await encrypt(key, {})), lockMinutes }));
+  return vault;
+};
+
+// Decrypts the stored vault. Throws 'Wrong passphrase' when `passphrase` doesn't open it.
+export const unlockVault = async (passphrase) => {
+  const stored = readStored();
+  if (!stored) throw new Error('There is no token vault in this browser');
+  const key = await deriveKey(passphrase, fromBase64(stored.salt));
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(stored.iv) }, key, fromBase64(stored.data));
+  } catch {
+    throw new Error('Wrong passphrase');
+  }
+  return { key, salt: stored.salt, tokens: JSON.parse(new TextDecoder().decode(plain)) };
+};
+
+// `vault` with its tokens replaced by `tokens`, re-encrypted into storage.
+export const saveVaultTokens = async (vault, tokens) => {
+  const stored = readStored();
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({
+    version: VERSION,
+    salt: vault.salt,
+    ...(await encrypt(vault.key, tokens)),
+    lockMinutes: stored?.lockMinutes || DEFAULT_LOCK_MINUTES
+  }));
+  return { ...vault, tokens };
+};
+
+export const deleteVault = () => localStorage.removeItem(STORAGE_KEY);
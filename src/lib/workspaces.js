@@ -0,0 +1,72 @@
+import { repoKey } from './drafts';
+
+// --- SAVED WORKSPACES (localStorage) ---
+// Live repositories the user has connected to, so they can be reopened without typing
+// the connection details again. Tokens are never stored here: they go in the vault.
+//
+// Workspace: { id, provider, baseUrl, owner, repo, branch, recentFiles: [path], lastUsed }
+// (`id` is repoKey(), `branch` the branch to open, '' for the repository default)
+
+const STORAGE_KEY = 'repo-manager:workspaces';
+const MAX_RECENT_FILES = 10;
+
+const writeWorkspaces = (workspaces) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(workspaces));
+  } catch {
+    // Storage can be full or disabled; workspaces are simply not remembered then
+  }
+};
+
+// Saved workspaces, most recently used first.
+export const listWorkspaces = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved.sort((a, b) => b.lastUsed - a.lastUsed) : [];
+  } catch {
+    return [];
+  }
+};
+
+// Connection settings of `workspace`, in the shape of App's config (without a token).
+export const workspaceConfig = (workspace) => ({
+  mode: 'live',
+  provider: workspace.provider,
+  baseUrl: workspace.baseUrl,
+  owner: workspace.owner,
+  repo: workspace.repo,
+  branch: workspace.branch,
+  token: ''
+});
+
+// Saves or updates the workspace for live `config` and marks it as just used.
+export const saveWorkspace = (config) => {
+  const id = repoKey(config);
+  const workspaces = listWorkspaces();
+  const existing = workspaces.find(w => w.id === id);
+  writeWorkspaces([
+    {
+      id,
+      provider: config.provider,
+      baseUrl: config.baseUrl,
+      owner: config.owner,
+      repo: config.repo,
+      branch: config.branch || '',
+      recentFiles: existing?.recentFiles || [],
+      lastUsed: Date.now()
+    },
+    ...workspaces.filter(w => w.id !== id)
+  ]);
+};
+
+export const removeWorkspace = (id) => writeWorkspaces(listWorkspaces().filter(w => w.id !== id));
+
+// Moves `path` to the top of the workspace's recent files. No-op for unsaved repos.
+export const addRecentFile = (config, path) => {
+  const id = repoKey(config);
+  const workspaces = listWorkspaces();
+  if (!workspaces.some(w => w.id === id)) return;
+  writeWorkspaces(workspaces.map(w => (w.id === id
+    ? { ...w, recentFiles: [path, ...w.recentFiles.filter(p => p !== path)].slice(0, MAX_RECENT_FILES) }
+    : w)));
+};
@@ -0,0 +1,302 @@
+import { Base64 } from '../lib/base64';
+import { blameFromVersions } from '../lib/blame';
+import { imageDataUrl } from '../lib/images';
+import { conflictsError, findStaleChanges, staleFileError } from './http';
+
+// --- DEMO PROVIDER ---
+// In-memory Git repository for Demo Mode, seeded from MOCK_DATA: commits with parents
+// and full snapshots, and branches pointing at commits. History, blame, ahead/behind
+// and stale-SHA checks all follow from what was committed, so branches diverge like on
+// a real host. State is shared by every provider instance and starts over with
+// resetDemoRepository(), which App calls each time the demo is launched.
+
+// --- MOCK DATA FOR DEMO MODE ---
+// The repository the demo starts from. Commits are oldest first; `parent` is the index
+// of the parent commit and `files` holds what the commit wrote (null = deleted).
+const MOCK_DATA = {
+  defaultBranch: 'main',
+  commits: [
+    {
+      message: 'Initial commit',
+      author: 'John Smith',
+      date: '2023-10-24T09:30:00Z',
+      files: {
+        'README.md': '# Project Title\n\nWelcome to the repository. This is a mock file for demonstration.',
+        'docs/getting-started.md': '# Getting Started\n\n1. Install\n2. Run',
+        'docs/api-reference.md': '# API Reference\n\n![Request flow](images/request-flow.svg)\n\nGET /users\nPOST /users',
+        'docs/images/request-flow.svg': '<svg xmlns="http://www.w3.org/2000/svg" width="360" height="80" font-family="sans-serif" font-size="14">\n  <rect x="10" y="20" width="100" height="40" rx="6" fill="#dbeafe" stroke="#2563eb"/>\n  <text x="60" y="45" text-anchor="middle">Client</text>\n  <path d="M110 40h130" stroke="#2563eb" stroke-width="2"/>\n  <rect x="240" y="20" width="100" height="40" rx="6" fill="#dcfce7" stroke="#16a34a"/>\n  <text x="290" y="45" text-anchor="middle">API</text>\n</svg>\n',
+        'CONTRIBUTING.md': '# Contributing\n\nPlease read this before submitting a PR.'
+      }
+    },
+    {
+      parent: 0,
+      message: 'Update installation guide',
+      author: 'Jane Doe',
+      date: '2023-10-25T14:00:00Z',
+      files: {
+        'docs/getting-started.md': '---\ntitle: Getting Started\n# Shown in the docs sidebar\ntags: [setup, onboarding]\nowner: jane\nstatus: published\nsidebar_position: 1\n---\n\n# Getting Started\n\n1. Install dependencies\n2. Run the server\n3. Enjoy!'
+      }
+    },
+    {
+      parent: 1,
+      message: 'Add front matter schema and doc templates',
+      author: 'Jane Doe',
+      date: '2023-10-26T10:15:00Z',
+      files: {
+        '.github/front-matter.yml': 'fields:\n  - key: title\n    label: Title\n    required: true\n  - key: tags\n    label: Tags\n    type: list\n  - key: owner\n    label: Owner\n  - key: status\n    label: Status\n    type: select\n    options: [draft, review, published]\n  - key: sidebar_position\n    label: Sidebar position\n    type: number\n',
+        '.github/doc-templates/adr.md': "---\ntemplate:\n  name: Architecture decision record\n  description: One decision with its context and consequences\n  folder: docs/adr\n  filename: '{{date}}-{{slug}}.md'\ntitle: \"{{title}}\"\nowner: \"{{author}}\"\nstatus: draft\n---\n\n# {{title}}\n\nDate: {{date}}\n\n## Context\n\n## Decision\n\n## Consequences\n",
+        '.github/doc-templates/api-page.md': "---\ntemplate:\n  name: API page\n  description: One endpoint with parameters and examples\n  folder: docs/api\ntitle: \"{{title}}\"\ntags: [api]\nstatus: draft\n---\n\n# {{title}}\n\n```\nGET /{{slug}}\n```\n\n## Parameters\n\n| Name | Type | Description |\n| --- | --- | --- |\n\n## Example\n",
+        '.github/doc-templates/meeting-notes.md': "---\ntemplate:\n  name: Meeting notes\n  folder: docs/meetings\n  filename: '{{date}}-{{slug}}.md'\n---\n\n# {{title}} ({{date}})\n\nNotes by {{author}}\n\n## Attendees\n\n## Agenda\n\n## Action items\n\n- [ ] \n",
+        '.github/doc-templates/runbook.md': "---\ntemplate:\n  name: Runbook\n  description: Steps to diagnose and fix an alert\n  folder: docs/runbooks\ntitle: \"{{title}}\"\nowner: \"{{author}}\"\ntags: [runbook]\n---\n\n# {{title}}\n\n## Symptoms\n\n## Diagnosis\n\n## Resolution\n\n## Escalation\n"
+      }
+    },
+    {
+      parent: 2,
+      message: 'Draft deployment guide',
+      author: 'Priya Patel',
+      date: '2023-10-27T11:00:00Z',
+      files: {
+        'docs/deployment.md': '# Deployment\n\nDeploys run from `main` after review.\n\n## Staging\n\nEvery merge to `develop` is deployed to staging.\n\n## Production\n\nTag a release to deploy it. See [Getting Started](getting-started.md) for local setup.\n'
+      }
+    },
+    {
+      parent: 3,
+      message: 'Document rate limits',
+      author: 'Priya Patel',
+      date: '2023-10-27T16:45:00Z',
+      files: {
+        'docs/api-reference.md': '# API Reference\n\n![Request flow](images/request-flow.svg)\n\nGET /users\nPOST /users\n\n## Rate limits\n\nClients may send 60 requests per minute. Responses carry `X-RateLimit-Remaining`.'
+      }
+    }
+  ],
+  // `head` is the index of the branch's newest commit
+  branches: [
+    { name: 'main', protected: true, head: 2 },
+    { name: 'develop', protected: false, head: 4 },
+    { name: 'feature/docs-update', protected: false, head: 1 }
+  ]
+};
+
+// Who commits in simulateTeammateCommit()
+const TEAMMATE = 'Alex Kim';
+
+// Repository state: { commits: Map sha -> commit, branches: [{ name, protected, head }], pulls }
+// Commit: { sha, parent, message, author, date, files: { path: content | null }, tree }
+// where `files` is what the commit wrote and `tree` maps every path to { sha, content }.
+let repo;
+
+// Git-shaped 40-digit hex digest (FNV-1a, five rounds). Not cryptographic; it only
+// needs to be stable so the same steps always produce the same SHAs.
+const hashHex = (text) => Array.from({ length: 5 }, (_, round) => {
+  let hash = (0x811c9dc5 ^ round) >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}).join('');
+
+const blobSha = (content) => hashHex(`blob ${content.length}\0${content}`);
+
+// Records a commit on top of `parent` (null for a root commit). The SHA covers the
+// parent, message, author and resulting tree, like git's, minus the timestamp.
+const createCommit = (parent, { message, author, date, files }) => {
+  const tree = new Map(parent ? parent.tree : []);
+  Object.entries(files).forEach(([path, content]) => {
+    if (content === null) tree.delete(path);
+    else tree.set(path, { sha: blobSha(content), content });
+  });
+  const listing = [...tree].map(([path, blob]) => `${blob.sha} ${path}`).join('\n');
+  const sha = hashHex(`commit ${parent?.sha || ''}\n${author}\n${message}\n${listing}`);
+  const commit = { sha, parent: parent?.sha || null, message, author, date, files, tree };
+  repo.commits.set(sha, commit);
+  return commit;
+};
+
+// Puts the demo repository back to MOCK_DATA, dropping everything committed since.
+export const resetDemoRepository = () => {
+  repo = { commits: new Map(), branches: [], pulls: [] };
+  const seeded = [];
+  MOCK_DATA.commits.forEach(seed => {
+    seeded.push(createCommit(seed.parent === undefined ? null : seeded[seed.parent], seed));
+  });
+  repo.branches = MOCK_DATA.branches.map(b => ({ name: b.name, protected: b.protected, head: seeded[b.head].sha }));
+};
+
+resetDemoRepository();
+
+const findBranch = (name) => {
+  const branch = repo.branches.find(b => b.name === name);
+  if (!branch) throw new Error(`Branch not found: ${name}`);
+  return branch;
+};
+
+// The commit `ref` points at: a branch name or a commit SHA.
+const resolveRef = (ref) => repo.commits.get(ref) || repo.commits.get(repo.branches.find(b => b.name === ref)?.head) || null;
+
+// `commit` and its first-parent ancestors, newest first.
+const ancestry = (commit) => {
+  const commits = [];
+  for (let current = commit; current; current = repo.commits.get(current.parent)) commits.push(current);
+  return commits;
+};
+
+// Commits of `path` reachable from `ref`, newest first.
+const fileCommits = (path, ref) => ancestry(resolveRef(ref)).filter(commit => path in commit.files);
+
+// The demo repo holds text only; uploaded binaries are kept as a placeholder line.
+const decodeUpload = (base64) => {
+  try {
+    return Base64.decode(base64);
+  } catch {
+    return `(binary file, ${Math.floor(base64.length * 3 / 4)} bytes)`;
+  }
+};
+
+// Mirrors the blobs -> tree -> commit -> ref flow of the Git Data API: one commit on top
+// of the branch head, then the branch moves to it. Changes are validated up front so a
+// bad entry leaves the repo untouched.
+const commitToBranch = ({ branch: branchName, message, author = 'Demo User', changes }) => {
+  const branch = findBranch(branchName);
+  const head = repo.commits.get(branch.head);
+  changes.forEach(change => {
+    if (change.action === 'delete' && !head.tree.has(change.path)) {
+      throw new Error(`Cannot delete ${change.path}: file does not exist`);
+    }
+    if (change.action === 'move' && !head.tree.has(change.fromPath)) {
+      throw new Error(`Cannot move ${change.fromPath}: file does not exist`);
+    }
+  });
+  const conflicts = findStaleChanges(changes, new Map([...head.tree].map(([path, blob]) => [path, blob.sha])));
+  if (conflicts.length > 0) throw conflictsError(branchName, conflicts);
+
+  const files = {};
+  changes.forEach(change => {
+    const content = change.encoding === 'base64' && change.content !== undefined ? decodeUpload(change.content) : change.content;
+    if (change.action === 'move') {
+      files[change.fromPath] = null;
+      // Like git, an unchanged file keeps its blob SHA when it moves
+      files[change.path] = content ?? head.tree.get(change.fromPath).content;
+    } else {
+      files[change.path] = change.action === 'delete' ? null : content;
+    }
+  });
+
+  const commit = createCommit(head, { message, author, date: new Date().toISOString(), files });
+  branch.head = commit.sha;
+  return {
+    sha: commit.sha,
+    tree: Object.keys(files).filter(path => files[path] !== null).map(path => ({ path, sha: commit.tree.get(path).sha }))
+  };
+};
+
+const withoutFiles = ({ sha, message, author, date }) => ({ sha, message, author, date });
+
+export const createDemoProvider = () => ({
+  id: 'demo',
+  label: 'Demo',
+
+  // Demo files have no web address; the preview links to repo paths instead, and shows
+  // images straight from the blobs as data: URLs (null for anything but an image).
+  webUrl: () => null,
+  rawUrl: (ref, path) => {
+    const blob = resolveRef(ref)?.tree.get(path);
+    return blob ? imageDataUrl(path, Base64.encode(blob.content)) : null;
+  },
+
+  getRepository: async () => ({ defaultBranch: MOCK_DATA.defaultBranch }),
+
+  getCurrentUser: async () => ({ name: 'Demo User' }),
+
+  listBranches: async () => repo.branches.map(b => ({ name: b.name, protected: b.protected, sha: b.head })),
+
+  getTree: async (branch) => [...(resolveRef(branch)?.tree || [])].map(([path, blob]) => ({ path, type: 'blob', sha: blob.sha })),
+
+  // `ref` is a branch name or a commit SHA from listHistory().
+  readFile: async (path, ref) => {
+    const blob = resolveRef(ref)?.tree.get(path);
+    return blob ? { content: blob.content, sha: blob.sha } : null;
+  },
+
+  // Demo files are all text (SVG for images)
+  readFileBase64: async (path, ref) => {
+    const blob = resolveRef(ref)?.tree.get(path);
+    return blob ? Base64.encode(blob.content) : null;
+  },
+
+  writeFile: async ({ path, content, sha, branch, message }) => {
+    const current = repo.commits.get(findBranch(branch).head).tree.get(path)?.sha || null;
+    if (current !== (sha || null)) throw staleFileError(path);
+    const result = commitToBranch({ branch, message, changes: [{ path, action: 'upsert', content }] });
+    return { sha: result.tree[0].sha };
+  },
+
+  listHistory: async (path, branch) => fileCommits(path, branch).map(withoutFiles),
+
+  // Replays the commits that wrote `path` up to `ref`.
+  blameFile: async (path, ref) => blameFromVersions(fileCommits(path, ref)
+    .reverse()
+    .map(commit => ({ commit: withoutFiles(commit), content: commit.files[path] }))),
+
+  compareBranches: async (base, head) => {
+    const baseCommits = ancestry(resolveRef(base));
+    const headCommits = ancestry(resolveRef(head));
+    const inBase = new Set(baseCommits.map(c => c.sha));
+    const inHead = new Set(headCommits.map(c => c.sha));
+    return {
+      ahead: headCommits.filter(c => !inBase.has(c.sha)).length,
+      behind: baseCommits.filter(c => !inHead.has(c.sha)).length
+    };
+  },
+
+  createBranch: async (name, fromBranch) => {
+    if (repo.branches.some(b => b.name === name)) {
+      throw new Error(`Reference already exists: ${name}`);
+    }
+    repo.branches = [...repo.branches, { name, protected: false, head: findBranch(fromBranch).head }];
+  },
+
+  deleteBranch: async (name) => {
+    const branch = repo.branches.find(b => b.name === name);
+    if (name === MOCK_DATA.defaultBranch || branch?.protected) {
+      throw new Error(`Cannot delete protected branch ${name}`);
+    }
+    repo.branches = repo.branches.filter(b => b.name !== name);
+  },
+
+  commitChanges: async ({ branch, message, changes }) => commitToBranch({ branch, message, changes }),
+
+  // Demo only: a teammate adds a review note to `path` on `branch`, so a copy of the
+  // file opened before it goes stale and its next commit runs into the merge flow.
+  simulateTeammateCommit: async (path, branch) => {
+    const blob = resolveRef(branch)?.tree.get(path);
+    if (!blob) throw new Error(`${path} is not on ${branch}`);
+    const separator = blob.content.endsWith('\n') ? '\n' : '\n\n';
+    const note = `> Reviewed by ${TEAMMATE} on ${new Date().toISOString().slice(0, 10)}.\n`;
+    const { sha } = commitToBranch({
+      branch,
+      message: `Review ${path}`,
+      author: TEAMMATE,
+      changes: [{ path, action: 'upsert', content: blob.content + separator + note }]
+    });
+    return { sha, author: TEAMMATE };
+  },
+
+  createPullRequest: async ({ title, head, base, draft }) => {
+    const pr = {
+      number: repo.pulls.length + 1,
+      title,
+      status: draft ? 'draft' : 'open',
+      url: null,
+      headSha: findBranch(head).head,
+      head,
+      base
+    };
+    repo.pulls = [...repo.pulls, pr];
+    return pr;
+  },
+
+  // The newest pull request from `branch`, like the hosts return it
+  findPullRequest: async (branch) => repo.pulls
+    .filter(pr => pr.head === branch)
+    .sort((a, b) => b.number - a.number)[0] || null
+});
@@ -0,0 +1,58 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { createDemoProvider, resetDemoRepository } from './demo';
+
+const provider = createDemoProvider();
+
+const head = async (branch) => (await provider.listBranches()).find(b => b.name === branch).sha;
+
+beforeEach(() => resetDemoRepository());
+
+describe('demo commitChanges', () => {
+  it('refuses to commit over a file that changed since it was loaded', async () => {
+    const loaded = await provider.readFile('README.md', 'main');
+    await provider.simulateTeammateCommit('README.md', 'main');
+    const before = await head('main');
+    const theirs = await provider.readFile('README.md', 'main');
+    const changes = [{ path: 'README.md', action: 'upsert', content: 'mine', baseSha: loaded.sha }];
+
+    await expect(provider.commitChanges({ branch: 'main', message: 'Edit', changes }))
+      .rejects.toMatchObject({ status: 409, conflicts: [{ path: 'README.md', sha: theirs.sha }] });
+    expect(await head('main')).toBe(before);
+  });
+
+  it('commits every change as one commit on top of the branch head', async () => {
+    const loaded = await provider.readFile('README.md', 'main');
+    const parent = await head('main');
+    const changes = [
+      { path: 'README.md', action: 'upsert', content: 'mine', baseSha: loaded.sha },
+      { path: 'CONTRIBUTING.md', action: 'delete', baseSha: (await provider.readFile('CONTRIBUTING.md', 'main')).sha }
+    ];
+
+    const result = await provider.commitChanges({ branch: 'main', message: 'Edit', changes });
+    expect(await head('main')).toBe(result.sha);
+    expect((await provider.listHistory('README.md', 'main'))[0]).toMatchObject({ sha: result.sha, message: 'Edit' });
+    expect(await provider.compareBranches(parent, result.sha)).toEqual({ ahead: 1, behind: 0 });
+    expect(await provider.readFile('README.md', 'main')).toEqual({ content: 'mine', sha: result.tree[0].sha });
+    expect(await provider.readFile('CONTRIBUTING.md', 'main')).toBeNull();
+  });
+
+  it('builds on a branch that moved since the edit started, keeping the other commit', async () => {
+    const { sha: teammate } = await provider.simulateTeammateCommit('README.md', 'main');
+    const changes = [{ path: 'NEW.md', action: 'upsert', content: 'new', baseSha: null }];
+
+    const result = await provider.commitChanges({ branch: 'main', message: 'Add', changes });
+    expect(await provider.compareBranches(teammate, result.sha)).toEqual({ ahead: 1, behind: 0 });
+    expect((await provider.readFile('README.md', 'main')).content).toMatch(/Reviewed by/);
+  });
+
+  it('leaves the branch untouched when any change is invalid', async () => {
+    const before = await head('main');
+    const changes = [
+      { path: 'README.md', action: 'upsert', content: 'mine' },
+      { path: 'missing.md', action: 'delete' }
+    ];
+
+    await expect(provider.commitChanges({ branch: 'main', message: 'Edit', changes })).rejects.toThrow('missing.md');
+    expect(await head('main')).toBe(before);
+  });
+});
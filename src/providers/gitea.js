@@ -0,0 +1,200 @@
+import { Base64 } from '../lib/base64';
+import { conflictsError, createHttpClient, encodePath, findStaleChanges, staleFileError } from './http';
+
+// --- GITEA / FORGEJO PROVIDER ---
+// API v1 (Forgejo keeps the same API). `config.baseUrl` is the instance root,
+// e.g. https://git.example.com.
+
+const MAX_HISTORY_PAGES = 10;
+// Page size for the tree endpoint; the server may cap it lower.
+const TREE_PAGE_SIZE = 1000;
+
+// Gitea has no draft flag on create; a "WIP:" title prefix marks the PR as work in progress.
+const DRAFT_PREFIX = 'WIP: ';
+
+const normalizePullRequest = (pr) => {
+  let status = pr.merged ? 'merged' : pr.state;
+  if (status === 'open' && (pr.draft || pr.title.startsWith(DRAFT_PREFIX))) status = 'draft';
+  return { number: pr.number, title: pr.title, status, url: pr.html_url, headSha: pr.head.sha };
+};
+
+const normalizeCommit = (commit) => ({
+  sha: commit.sha,
+  message: commit.commit.message,
+  author: commit.commit.author.name,
+  date: commit.commit.author.date
+});
+
+export const createGiteaProvider = (config, { onRateLimit } = {}) => {
+  const baseUrl = (config.baseUrl || '').replace(/\/+$/, '');
+  const repoPath = `${config.owner}/${config.repo}`;
+  const { request, requestOrNull, requestAll } = createHttpClient({
+    baseUrl: `${baseUrl}/api/v1/repos/${repoPath}`,
+    headers: config.token ? { 'Authorization': `token ${config.token}` } : {},
+    onRateLimit
+  });
+
+  // Recursive trees come back in pages (`truncated` until the last one), counted by `total_count`.
+  const getTree = async (branch) => {
+    const entries = [];
+    for (let page = 1; ; page++) {
+      const data = await request(`/git/trees/${encodeURIComponent(branch)}?recursive=true&page=${page}&per_page=${TREE_PAGE_SIZE}`);
+      const items = data.tree || [];
+      entries.push(...items);
+      if (!data.truncated || items.length === 0 || entries.length >= data.total_count) break;
+    }
+    return entries.filter(item => item.type === 'blob');
+  };
+
+  const countCommits = async (base, head) => {
+    const data = await request(`/compare/${encodeURIComponent(base)}...${encodeURIComponent(head)}`);
+    return data.total_commits ?? data.commits.length;
+  };
+
+  return {
+    id: 'gitea',
+    label: 'Gitea',
+
+    webUrl: (ref, path) => `${baseUrl}/${repoPath}/src/branch/${encodePath(ref)}/${encodePath(path)}`,
+    rawUrl: (ref, path) => `${baseUrl}/${repoPath}/raw/branch/${encodePath(ref)}/${encodePath(path)}`,
+
+    getRepository: async () => {
+      const data = await request('');
+      return { defaultBranch: data.default_branch };
+    },
+
+    getCurrentUser: async () => {
+      const data = await request(`${baseUrl}/api/v1/user`);
+      return { name: data.full_name || data.login };
+    },
+
+    listBranches: async () => {
+      const data = await requestAll('/branches?limit=50');
+      return data.map(b => ({ name: b.name, protected: !!b.protected, sha: b.commit.id }));
+    },
+
+    getTree,
+
+    readFile: async (path, ref) => {
+      const data = await requestOrNull(`/contents/${encodePath(path)}?ref=${encodeURIComponent(ref)}`);
+      return data && { content: Base64.decode(data.content), sha: data.sha };
+    },
+
+    readFileBase64: async (path, ref) => {
+      const data = await requestOrNull(`/contents/${encodePath(path)}?ref=${encodeURIComponent(ref)}`);
+      return data && data.content;
+    },
+
+    writeFile: async ({ path, content, sha, branch, message }) => {
+      const payload = { message, content: Base64.encode(content), branch };
+      if (sha) payload.sha = sha;
+      try {
+        const data = await request(`/contents/${encodePath(path)}`, { method: sha ? 'PUT' : 'POST', body: payload });
+        return { sha: data.content.sha };
+      } catch (e) {
+        // Gitea answers a stale SHA with 409 or 422, and creating an existing file with 422
+        if (e.status === 409 || e.status === 422) throw staleFileError(path);
+        throw e;
+      }
+    },
+
+    listHistory: async (path, branch) => {
+      const data = await requestAll(
+        `/commits?sha=${encodeURIComponent(branch)}&path=${encodeURIComponent(path)}&limit=50`,
+        { maxPages: MAX_HISTORY_PAGES }
+      );
+      return data.map(normalizeCommit);
+    },
+
+    // Gitea's API has no blame endpoint
+    blameFile: null,
+
+    compareBranches: async (base, head) => {
+      const [ahead, behind] = await Promise.all([countCommits(base, head), countCommits(head, base)]);
+      return { ahead, behind };
+    },
+
+    createBranch: async (name, fromBranch) => {
+      await request('/branches', { method: 'POST', body: { new_branch_name: name, old_branch_name: fromBranch } });
+    },
+
+    deleteBranch: async (name) => {
+      await request(`/branches/${encodeURIComponent(name)}`, { method: 'DELETE' });
+    },
+
+    // The "change files" endpoint (Gitea 1.20+) applies every operation in one commit.
+    commitChanges: async ({ branch, message, changes, onProgress = () => {} }) => {
+      onProgress('Reading branch head');
+      const headShas = new Map((await getTree(branch)).map(item => [item.path, item.sha]));
+      const conflicts = findStaleChanges(changes, headShas);
+      if (conflicts.length > 0) throw conflictsError(branch, conflicts);
+
+      // A rename must carry the file's content; reuse the stored base64 for plain moves
+      const moveContents = new Map();
+      for (const change of changes) {
+        if (change.action !== 'move' || change.content !== undefined) continue;
+        const data = await request(`/contents/${encodePath(change.fromPath)}?ref=${encodeURIComponent(branch)}`);
+        moveContents.set(change.fromPath, data.content.replace(/\s/g, ''));
+      }
+
+      onProgress('Creating commit');
+      let data;
+      try {
+        data = await request('/contents', {
+          method: 'POST',
+          body: {
+            branch,
+            message,
+            files: changes.map(change => {
+              const sha = headShas.get(change.path);
+              if (change.action === 'delete') return { operation: 'delete', path: change.path, sha };
+              if (change.action === 'move') {
+                return {
+                  operation: 'rename',
+                  from_path: change.fromPath,
+                  path: change.path,
+                  sha: headShas.get(change.fromPath),
+                  content: change.content === undefined
+                    ? moveContents.get(change.fromPath)
+                    : change.encoding === 'base64' ? change.content : Base64.encode(change.content)
+                };
+              }
+              return {
+                operation: sha ? 'update' : 'create',
+                path: change.path,
+                sha,
+                content: change.encoding === 'base64' ? change.content : Base64.encode(change.content)
+              };
+            })
+          }
+        });
+      } catch (e) {
+        // Every file carries the SHA checked above: Gitea refuses the whole commit with
+        // 409 or 422 when one of them changed, or a new file appeared, in the meantime
+        if (e.status === 409 || e.status === 422) {
+          throw new Error(`${branch} moved while committing. Nothing was pushed; refresh and try again.`);
+        }
+        throw e;
+      }
+
+      return {
+        sha: data.commit.sha,
+        tree: (data.files || []).filter(Boolean).map(file => ({ path: file.path, sha: file.sha }))
+      };
+    },
+
+    createPullRequest: async ({ title, body, head, base, draft }) => {
+      const pr = await request('/pulls', {
+        method: 'POST',
+        body: { title: draft ? `${DRAFT_PREFIX}${title}` : title, body, head, base }
+      });
+      return normalizePullRequest(pr);
+    },
+
+    findPullRequest: async (branch) => {
+      const pulls = await requestAll('/pulls?state=all&sort=recentupdate&limit=50', { maxPages: 5 });
+      const pr = pulls.find(p => p.head.ref === branch);
+      return pr ? normalizePullRequest(pr) : null;
+    }
+  };
+};
@@ -0,0 +1,63 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createGiteaProvider } from './gitea';
+
+const API = 'https://gitea.test/api/v1/repos/octo/docs';
+
+// A branch `main` whose tree holds README.md at blob `readme-2`. `commit` is the status
+// the change-files endpoint answers with (409/422 = a file's SHA no longer matches).
+const stubGitea = ({ commit = 201 } = {}) => {
+  const routes = {
+    'GET /git/trees/main?recursive=true&page=1&per_page=1000': {
+      tree: [{ path: 'README.md', type: 'blob', sha: 'readme-2' }],
+      truncated: false,
+      total_count: 1
+    },
+    'POST /contents': commit === 201
+      ? { commit: { sha: 'c2' }, files: [{ path: 'README.md', sha: 'readme-3' }] }
+      : { message: 'sha does not match [given: readme-2, expected: readme-3]' }
+  };
+  const fetch = vi.fn(async (url, { method }) => {
+    const key = `${method} ${url.slice(API.length)}`;
+    const status = key.startsWith('POST') ? commit : key in routes ? 200 : 404;
+    return new Response(JSON.stringify(routes[key] || { message: 'Not Found' }), { status });
+  });
+  vi.stubGlobal('fetch', fetch);
+  return fetch;
+};
+
+const provider = () => createGiteaProvider({ baseUrl: 'https://gitea.test', owner: 'octo', repo: 'docs', token: 't' });
+
+const writes = (fetch) => fetch.mock.calls.filter(([, init]) => init.method !== 'GET');
+
+afterEach(() => vi.unstubAllGlobals());
+
+describe('Gitea commitChanges', () => {
+  it('refuses to commit over a file that changed since it was loaded', async () => {
+    const fetch = stubGitea();
+    const changes = [{ path: 'README.md', action: 'upsert', content: 'mine', baseSha: 'readme-1' }];
+
+    await expect(provider().commitChanges({ branch: 'main', message: 'Edit', changes }))
+      .rejects.toMatchObject({ status: 409, conflicts: [{ path: 'README.md', sha: 'readme-2' }] });
+    expect(writes(fetch)).toEqual([]);
+  });
+
+  it('commits every change in one request, each pinned to the SHA it was checked at', async () => {
+    const fetch = stubGitea();
+    const changes = [{ path: 'README.md', action: 'upsert', content: 'mine', baseSha: 'readme-2' }];
+
+    const result = await provider().commitChanges({ branch: 'main', message: 'Edit', changes });
+    expect(result).toEqual({ sha: 'c2', tree: [{ path: 'README.md', sha: 'readme-3' }] });
+    expect(writes(fetch)).toHaveLength(1);
+    expect(JSON.parse(writes(fetch)[0][1].body).files).toEqual([
+      { operation: 'update', path: 'README.md', sha: 'readme-2', content: 'bWluZQ==' }
+    ]);
+  });
+
+  it.each([409, 422])('reports the branch moving when Gitea answers %i', async (status) => {
+    stubGitea({ commit: status });
+    const changes = [{ path: 'README.md', action: 'upsert', content: 'mine', baseSha: 'readme-2' }];
+
+    await expect(provider().commitChanges({ branch: 'main', message: 'Edit', changes }))
+      .rejects.toThrow('main moved while committing');
+  });
+});
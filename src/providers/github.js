@@ -0,0 +1,273 @@
+import { Base64 } from '../lib/base64';
+import { conflictsError, createHttpClient, encodePath, findStaleChanges, staleFileError } from './http';
+
+// --- GITHUB PROVIDER ---
+// REST v3. `config.baseUrl` points at the API root, so GitHub Enterprise
+// (https://host/api/v3) or a local fake server work the same as github.com.
+
+// Commits listed per file; older history is rarely needed and each page costs quota.
+const MAX_HISTORY_PAGES = 10;
+
+const DEFAULT_API_ROOT = 'https://api.github.com';
+
+// Collapses GitHub's `state`/`draft`/`merged_at` fields into one display status.
+const pullRequestStatus = (pr) => {
+  if (pr.merged_at) return 'merged';
+  if (pr.state === 'closed') return 'closed';
+  return pr.draft ? 'draft' : 'open';
+};
+
+const normalizePullRequest = (pr) => ({
+  number: pr.number,
+  title: pr.title,
+  status: pullRequestStatus(pr),
+  url: pr.html_url,
+  headSha: pr.head.sha
+});
+
+// Blame is only exposed through GraphQL
+const BLAME_QUERY = `query ($owner: String!, $repo: String!, $ref: String!, $path: String!) {
+  repository(owner: $owner, name: $repo) {
+    object(expression: $ref) {
+      ... on Commit {
+        blame(path: $path) {
+          ranges {
+            startingLine
+            endingLine
+            commit { oid message author { name date } }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+const normalizeCommit = (commit) => ({
+  sha: commit.sha,
+  message: commit.commit.message,
+  author: commit.commit.author.name,
+  date: commit.commit.author.date
+});
+
+export const createGitHubProvider = (config, { onRateLimit } = {}) => {
+  const apiRoot = (config.baseUrl || DEFAULT_API_ROOT).replace(/\/+$/, '');
+  const webRoot = apiRoot === DEFAULT_API_ROOT ? 'https://github.com' : apiRoot.replace(/\/api\/v3$/, '');
+  // github.com serves GraphQL at /graphql on the API host; Enterprise at /api/graphql
+  const graphqlUrl = /\/api\/v3$/.test(apiRoot) ? apiRoot.replace(/\/v3$/, '/graphql') : `${apiRoot}/graphql`;
+  const { request, requestOrNull, requestAll } = createHttpClient({
+    baseUrl: `${apiRoot}/repos/${config.owner}/${config.repo}`,
+    headers: {
+      'Authorization': `token ${config.token}`,
+      'Accept': 'application/vnd.github.v3+json'
+    },
+    onRateLimit
+  });
+
+  // Every entry under tree `treeish`, with paths relative to the repo root. Recursive
+  // listings are capped (~100k entries / 7 MB) and flagged `truncated`; in that case this
+  // level is listed on its own and each subtree is walked separately.
+  const walkTree = async (treeish, prefix = '') => {
+    const data = await request(`/git/trees/${encodePath(treeish)}?recursive=1`);
+    if (!data.truncated) return data.tree.map(entry => ({ ...entry, path: `${prefix}${entry.path}` }));
+
+    const level = await request(`/git/trees/${encodePath(treeish)}`);
+    const entries = [];
+    for (const entry of level.tree) {
+      const path = `${prefix}${entry.path}`;
+      entries.push({ ...entry, path });
+      if (entry.type === 'tree') entries.push(...await walkTree(entry.sha, `${path}/`));
+    }
+    return entries;
+  };
+
+  /**
+   * Commits every entry of `changes` to `branch` as a single commit using the Git Data API:
+   * blobs -> tree -> commit -> ref update.
+   *
+   * Blobs, trees and commits are unreachable until the final ref update, so a failure at any
+   * earlier step leaves the branch untouched (GitHub garbage-collects the orphans). The ref
+   * update is a non-forced fast-forward: if someone pushed in the meantime it is rejected
+   * rather than overwriting their work.
+   */
+  const commitChanges = async ({ branch, message, changes, onProgress = () => {} }) => {
+    onProgress('Reading branch head');
+    const ref = await request(`/git/ref/heads/${encodePath(branch)}`);
+    const headSha = ref.object.sha;
+    const headCommit = await request(`/git/commits/${headSha}`);
+
+    // Refuse to overwrite files that changed on the branch since they were loaded.
+    // Moves need the head tree anyway, to reuse the source blob.
+    let headShas = new Map();
+    if (changes.some(change => change.baseSha !== undefined || change.action === 'move')) {
+      const headTree = await walkTree(headCommit.tree.sha);
+      headShas = new Map(headTree.map(entry => [entry.path, entry.sha]));
+      const conflicts = findStaleChanges(changes, headShas);
+      if (conflicts.length > 0) throw conflictsError(branch, conflicts);
+    }
+
+    onProgress('Uploading files');
+    const treeEntries = [];
+    for (const change of changes) {
+      if (change.action === 'delete') {
+        treeEntries.push({ path: change.path, mode: change.mode || '100644', type: 'blob', sha: null });
+        continue;
+      }
+      if (change.action === 'move') {
+        treeEntries.push({ path: change.fromPath, mode: change.mode || '100644', type: 'blob', sha: null });
+        if (change.content === undefined) {
+          if (!headShas.has(change.fromPath)) throw new Error(`Cannot move ${change.fromPath}: file does not exist`);
+          treeEntries.push({ path: change.path, mode: change.mode || '100644', type: 'blob', sha: headShas.get(change.fromPath) });
+          continue;
+        }
+      }
+      const blob = await request('/git/blobs', {
+        method: 'POST',
+        body: { content: change.content, encoding: change.encoding || 'utf-8' }
+      });
+      treeEntries.push({ path: change.path, mode: change.mode || '100644', type: 'blob', sha: blob.sha });
+    }
+
+    onProgress('Building tree');
+    const tree = await request('/git/trees', {
+      method: 'POST',
+      body: { base_tree: headCommit.tree.sha, tree: treeEntries }
+    });
+
+    onProgress('Creating commit');
+    const commit = await request('/git/commits', {
+      method: 'POST',
+      body: { message, tree: tree.sha, parents: [headSha] }
+    });
+
+    onProgress('Updating branch');
+    try {
+      await request(`/git/refs/heads/${encodePath(branch)}`, {
+        method: 'PATCH',
+        body: { sha: commit.sha, force: false }
+      });
+    } catch (e) {
+      if (e.status === 422) {
+        throw new Error(`${branch} moved while committing. Nothing was pushed; refresh and try again.`);
+      }
+      throw e;
+    }
+
+    return {
+      sha: commit.sha,
+      tree: treeEntries.filter(entry => entry.sha).map(({ path, sha }) => ({ path, sha }))
+    };
+  };
+
+  return {
+    id: 'github',
+    label: 'GitHub',
+
+    webUrl: (ref, path) => `${webRoot}/${config.owner}/${config.repo}/blob/${encodePath(ref)}/${encodePath(path)}`,
+    rawUrl: (ref, path) => (apiRoot === DEFAULT_API_ROOT
+      ? `https://raw.githubusercontent.com/${config.owner}/${config.repo}/${encodePath(ref)}/${encodePath(path)}`
+      : `${webRoot}/${config.owner}/${config.repo}/raw/${encodePath(ref)}/${encodePath(path)}`),
+
+    getRepository: async () => {
+      const data = await request('');
+      return { defaultBranch: data.default_branch };
+    },
+
+    getCurrentUser: async () => {
+      const data = await request(`${apiRoot}/user`);
+      return { name: data.name || data.login };
+    },
+
+    listBranches: async () => {
+      const data = await requestAll('/branches?per_page=100');
+      return data.map(b => ({ name: b.name, protected: !!b.protected, sha: b.commit.sha }));
+    },
+
+    getTree: async (branch) => {
+      const entries = await walkTree(branch);
+      // Filter only blobs (files)
+      return entries.filter(item => item.type === 'blob');
+    },
+
+    readFile: async (path, ref) => {
+      const data = await requestOrNull(`/contents/${encodePath(path)}?ref=${encodeURIComponent(ref)}`);
+      return data && { content: Base64.decode(data.content), sha: data.sha };
+    },
+
+    readFileBase64: async (path, ref) => {
+      const data = await requestOrNull(`/contents/${encodePath(path)}?ref=${encodeURIComponent(ref)}`);
+      // The contents API wraps its base64 at 60 columns
+      return data && data.content.replace(/\s/g, '');
+    },
+
+    writeFile: async ({ path, content, sha, branch, message }) => {
+      const payload = { message, content: Base64.encode(content), branch };
+      // Only add SHA if we are updating an existing file.
+      // For new files, SHA must be omitted.
+      if (sha) payload.sha = sha;
+      try {
+        const data = await request(`/contents/${encodePath(path)}`, { method: 'PUT', body: payload });
+        return { sha: data.content.sha };
+      } catch (e) {
+        // 409, or 422 "sha does not match"/"sha wasn't supplied": the file changed on the branch
+        if (e.status === 409 || (e.status === 422 && /sha/i.test(e.message))) throw staleFileError(path);
+        throw e;
+      }
+    },
+
+    listHistory: async (path, branch) => {
+      const data = await requestAll(`/commits?path=${encodeURIComponent(path)}&sha=${encodeURIComponent(branch)}&per_page=100`, { maxPages: MAX_HISTORY_PAGES });
+      return data.map(normalizeCommit);
+    },
+
+    blameFile: async (path, ref) => {
+      const { data, errors } = await request(graphqlUrl, {
+        method: 'POST',
+        body: { query: BLAME_QUERY, variables: { owner: config.owner, repo: config.repo, ref, path } }
+      });
+      // GraphQL reports failures in the body of a 200 response
+      if (errors?.length) throw new Error(errors[0].message);
+      const ranges = data.repository?.object?.blame?.ranges || [];
+      return ranges.map(range => ({
+        start: range.startingLine,
+        end: range.endingLine,
+        commit: {
+          sha: range.commit.oid,
+          message: range.commit.message,
+          author: range.commit.author.name,
+          date: range.commit.author.date
+        }
+      }));
+    },
+
+    // `ahead`/`behind` of `head` relative to `base`.
+    compareBranches: async (base, head) => {
+      const data = await request(`/compare/${encodeURIComponent(base)}...${encodeURIComponent(head)}`);
+      return { ahead: data.ahead_by, behind: data.behind_by };
+    },
+
+    createBranch: async (name, fromBranch) => {
+      const ref = await request(`/git/ref/heads/${encodePath(fromBranch)}`);
+      await request('/git/refs', {
+        method: 'POST',
+        body: { ref: `refs/heads/${name}`, sha: ref.object.sha }
+      });
+    },
+
+    deleteBranch: async (name) => {
+      await request(`/git/refs/heads/${encodePath(name)}`, { method: 'DELETE' });
+    },
+
+    commitChanges,
+
+    createPullRequest: async ({ title, body, head, base, draft }) => {
+      const pr = await request('/pulls', { method: 'POST', body: { title, body, head, base, draft } });
+      return normalizePullRequest(pr);
+    },
+
+    // Most recent pull request (any state) whose head is `branch` in this repo, or null.
+    findPullRequest: async (branch) => {
+      const pulls = await request(`/pulls?head=${config.owner}:${encodeURIComponent(branch)}&state=all&per_page=1`);
+      return pulls[0] ? normalizePullRequest(pulls[0]) : null;
+    }
+  };
+};
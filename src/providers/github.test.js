@@ -0,0 +1,59 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createGitHubProvider } from './github';
+
+const API = 'https://api.test/repos/octo/docs';
+
+// A branch `main` at commit c1 whose tree holds README.md at blob `readme-2`.
+// Writes answer with fresh SHAs; `refUpdate` is the status the final ref PATCH gets.
+const stubGitHub = ({ refUpdate = 200 } = {}) => {
+  const routes = {
+    'GET /git/ref/heads/main': { object: { sha: 'c1' } },
+    'GET /git/commits/c1': { tree: { sha: 't1' } },
+    'GET /git/trees/t1?recursive=1': { tree: [{ path: 'README.md', type: 'blob', sha: 'readme-2' }], truncated: false },
+    'POST /git/blobs': { sha: 'blob-new' },
+    'POST /git/trees': { sha: 't2' },
+    'POST /git/commits': { sha: 'c2' },
+    'PATCH /git/refs/heads/main': refUpdate === 200 ? { ref: 'refs/heads/main' } : { message: 'Update is not a fast forward' }
+  };
+  const fetch = vi.fn(async (url, { method }) => {
+    const key = `${method} ${url.slice(API.length)}`;
+    const status = key.startsWith('PATCH') ? refUpdate : key in routes ? 200 : 404;
+    return new Response(JSON.stringify(routes[key] || { message: 'Not Found' }), { status });
+  });
+  vi.stubGlobal('fetch', fetch);
+  return fetch;
+};
+
+const provider = () => createGitHubProvider({ baseUrl: 'https://api.test', owner: 'octo', repo: 'docs', token: 't' });
+
+const writes = (fetch) => fetch.mock.calls.filter(([, init]) => init.method !== 'GET');
+
+afterEach(() => vi.unstubAllGlobals());
+
+describe('GitHub commitChanges', () => {
+  it('refuses to commit over a file that changed since it was loaded', async () => {
+    const fetch = stubGitHub();
+    const changes = [{ path: 'README.md', action: 'upsert', content: 'mine', baseSha: 'readme-1' }];
+
+    await expect(provider().commitChanges({ branch: 'main', message: 'Edit', changes }))
+      .rejects.toMatchObject({ status: 409, conflicts: [{ path: 'README.md', sha: 'readme-2' }] });
+    expect(writes(fetch)).toEqual([]);
+  });
+
+  it('commits when every base SHA still matches the branch', async () => {
+    const fetch = stubGitHub();
+    const changes = [{ path: 'README.md', action: 'upsert', content: 'mine', baseSha: 'readme-2' }];
+
+    const result = await provider().commitChanges({ branch: 'main', message: 'Edit', changes });
+    expect(result).toEqual({ sha: 'c2', tree: [{ path: 'README.md', sha: 'blob-new' }] });
+    expect(JSON.parse(writes(fetch).at(-1)[1].body)).toEqual({ sha: 'c2', force: false });
+  });
+
+  it('leaves the branch alone when it moved before the ref update', async () => {
+    stubGitHub({ refUpdate: 422 });
+    const changes = [{ path: 'NEW.md', action: 'upsert', content: 'new' }];
+
+    await expect(provider().commitChanges({ branch: 'main', message: 'Add', changes }))
+      .rejects.toThrow('main moved while committing');
+  });
+});
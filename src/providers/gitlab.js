@@ -0,0 +1,220 @@
+import { Base64 } from '../lib/base64';
+import { conflictsError, createHttpClient, encodePath, findStaleChanges, staleFileError } from './http';
+
+// --- GITLAB PROVIDER ---
+// REST v4. `config.baseUrl` is the instance root (https://gitlab.com or a self-hosted
+// host); `owner/repo` is the project's full path, including any subgroups.
+
+const DEFAULT_BASE_URL = 'https://gitlab.com';
+
+const MAX_HISTORY_PAGES = 10;
+
+// GitLab marks drafts with a title prefix rather than a flag on create.
+const DRAFT_PREFIX = 'Draft: ';
+
+const normalizeMergeRequest = (mr) => {
+  let status = mr.state === 'opened' ? 'open' : mr.state;
+  if (status === 'open' && (mr.draft || mr.work_in_progress)) status = 'draft';
+  return { number: mr.iid, title: mr.title, status, url: mr.web_url, headSha: mr.sha };
+};
+
+const normalizeCommit = (commit) => ({
+  sha: commit.id,
+  message: commit.message,
+  author: commit.author_name,
+  date: commit.authored_date
+});
+
+export const createGitLabProvider = (config, { onRateLimit } = {}) => {
+  const baseUrl = (config.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const projectPath = `${config.owner}/${config.repo}`;
+  const { request, requestOrNull, requestAll } = createHttpClient({
+    baseUrl: `${baseUrl}/api/v4/projects/${encodeURIComponent(projectPath)}`,
+    headers: { 'PRIVATE-TOKEN': config.token },
+    onRateLimit
+  });
+  const filePath = (path) => `/repository/files/${encodeURIComponent(path)}`;
+
+  const getTree = async (branch) => {
+    // Keyset pagination has no page cap, unlike offset pagination on large trees
+    const data = await requestAll(`/repository/tree?ref=${encodeURIComponent(branch)}&recursive=true&per_page=100&pagination=keyset`);
+    return data
+      .filter(item => item.type === 'blob')
+      .map(item => ({ path: item.path, type: 'blob', sha: item.id, mode: item.mode }));
+  };
+
+  const countCommits = async (from, to) => {
+    const data = await request(`/repository/compare?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`);
+    return data.commits.length;
+  };
+
+  return {
+    id: 'gitlab',
+    label: 'GitLab',
+
+    webUrl: (ref, path) => `${baseUrl}/${projectPath}/-/blob/${encodePath(ref)}/${encodePath(path)}`,
+    rawUrl: (ref, path) => `${baseUrl}/${projectPath}/-/raw/${encodePath(ref)}/${encodePath(path)}`,
+
+    getRepository: async () => {
+      const data = await request('');
+      return { defaultBranch: data.default_branch };
+    },
+
+    getCurrentUser: async () => {
+      const data = await request(`${baseUrl}/api/v4/user`);
+      return { name: data.name || data.username };
+    },
+
+    listBranches: async () => {
+      const data = await requestAll('/repository/branches?per_page=100');
+      return data.map(b => ({ name: b.name, protected: !!b.protected, sha: b.commit.id }));
+    },
+
+    getTree,
+
+    readFile: async (path, ref) => {
+      const data = await requestOrNull(`${filePath(path)}?ref=${encodeURIComponent(ref)}`);
+      return data && { content: Base64.decode(data.content), sha: data.blob_id };
+    },
+
+    readFileBase64: async (path, ref) => {
+      const data = await requestOrNull(`${filePath(path)}?ref=${encodeURIComponent(ref)}`);
+      return data && data.content;
+    },
+
+    // The files API has no blob-SHA precondition, so check the current blob first.
+    writeFile: async ({ path, content, sha, branch, message }) => {
+      const current = await requestOrNull(`${filePath(path)}?ref=${encodeURIComponent(branch)}`);
+      if ((current?.blob_id || null) !== (sha || null)) throw staleFileError(path);
+
+      await request(filePath(path), {
+        method: sha ? 'PUT' : 'POST',
+        body: { branch, content, commit_message: message, encoding: 'text' }
+      });
+      const updated = await request(`${filePath(path)}?ref=${encodeURIComponent(branch)}`);
+      return { sha: updated.blob_id };
+    },
+
+    listHistory: async (path, branch) => {
+      const data = await requestAll(
+        `/repository/commits?ref_name=${encodeURIComponent(branch)}&path=${encodeURIComponent(path)}&per_page=100`,
+        { maxPages: MAX_HISTORY_PAGES }
+      );
+      return data.map(normalizeCommit);
+    },
+
+    // Consecutive lines from one commit come back as one entry
+    blameFile: async (path, ref) => {
+      const data = await request(`${filePath(path)}/blame?ref=${encodeURIComponent(ref)}`);
+      let line = 1;
+      return data.map(entry => {
+        const range = { start: line, end: line + entry.lines.length - 1, commit: normalizeCommit(entry.commit) };
+        line += entry.lines.length;
+        return range;
+      });
+    },
+
+    compareBranches: async (base, head) => {
+      const [ahead, behind] = await Promise.all([countCommits(base, head), countCommits(head, base)]);
+      return { ahead, behind };
+    },
+
+    createBranch: async (name, fromBranch) => {
+      await request(`/repository/branches?branch=${encodeURIComponent(name)}&ref=${encodeURIComponent(fromBranch)}`, { method: 'POST' });
+    },
+
+    deleteBranch: async (name) => {
+      await request(`/repository/branches/${encodeURIComponent(name)}`, { method: 'DELETE' });
+    },
+
+    // The commits API applies all actions atomically, so there is nothing to roll back.
+    commitChanges: async ({ branch, message, changes, onProgress = () => {} }) => {
+      onProgress('Reading branch head');
+      const head = (await request(`/repository/branches/${encodeURIComponent(branch)}`)).commit.id;
+      const before = await getTree(head);
+      const headShas = new Map(before.map(item => [item.path, item.sha]));
+      const conflicts = findStaleChanges(changes, headShas);
+      if (conflicts.length > 0) throw conflictsError(branch, conflicts);
+
+      // Each guarded file's last commit as of `head`. GitLab refuses an action whose
+      // `last_commit_id` is no longer the file's last commit, so a file that changes after
+      // the check above fails the whole commit instead of being overwritten.
+      const lastCommits = new Map(await Promise.all(changes
+        .filter(change => change.baseSha !== undefined)
+        .map(change => (change.action === 'move' ? change.fromPath : change.path))
+        .filter(path => headShas.has(path))
+        .map(async (path) => {
+          const [commit] = await request(`/repository/commits?ref_name=${head}&path=${encodeURIComponent(path)}&per_page=1`);
+          return [path, commit?.id];
+        })));
+      const guard = (path) => (lastCommits.get(path) ? { last_commit_id: lastCommits.get(path) } : {});
+
+      onProgress('Creating commit');
+      let commit;
+      try {
+        commit = await request('/repository/commits', {
+          method: 'POST',
+          body: {
+            branch,
+            commit_message: message,
+            actions: changes.map(change => {
+              if (change.action === 'delete') return { action: 'delete', file_path: change.path, ...guard(change.path) };
+              if (change.action === 'move') {
+                // Without `content`, GitLab keeps the moved file's content
+                return change.content === undefined
+                  ? { action: 'move', file_path: change.path, previous_path: change.fromPath, ...guard(change.fromPath) }
+                  : {
+                    action: 'move',
+                    file_path: change.path,
+                    previous_path: change.fromPath,
+                    content: change.content,
+                    encoding: change.encoding === 'base64' ? 'base64' : 'text',
+                    ...guard(change.fromPath)
+                  };
+              }
+              return {
+                action: headShas.has(change.path) ? 'update' : 'create',
+                file_path: change.path,
+                content: change.content,
+                encoding: change.encoding === 'base64' ? 'base64' : 'text',
+                ...guard(change.path)
+              };
+            })
+          }
+        });
+      } catch (e) {
+        // A guarded file changed, or a new file appeared, after the check above
+        if (e.status === 400 && /changed since|already exists|doesn't exist|does not exist/i.test(e.message)) {
+          throw new Error(`${branch} moved while committing. Nothing was pushed; refresh and try again.`);
+        }
+        throw e;
+      }
+
+      onProgress('Reading new tree');
+      const after = await getTree(commit.id);
+      const paths = new Set(changes.map(change => change.path));
+      return {
+        sha: commit.id,
+        tree: after.filter(item => paths.has(item.path)).map(({ path, sha }) => ({ path, sha }))
+      };
+    },
+
+    createPullRequest: async ({ title, body, head, base, draft }) => {
+      const mr = await request('/merge_requests', {
+        method: 'POST',
+        body: {
+          title: draft ? `${DRAFT_PREFIX}${title}` : title,
+          description: body,
+          source_branch: head,
+          target_branch: base
+        }
+      });
+      return normalizeMergeRequest(mr);
+    },
+
+    findPullRequest: async (branch) => {
+      const mrs = await request(`/merge_requests?source_branch=${encodeURIComponent(branch)}&order_by=created_at&per_page=1`);
+      return mrs[0] ? normalizeMergeRequest(mrs[0]) : null;
+    }
+  };
+};
@@ -0,0 +1,70 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createGitLabProvider } from './gitlab';
+
+const API = 'https://gitlab.test/api/v4/projects/octo%2Fdocs';
+const TREE = '&recursive=true&per_page=100&pagination=keyset';
+
+// A branch `main` at commit c1 whose tree holds README.md at blob `readme-2`, last changed
+// in c0. `commit` is the status the commits API answers with (400 = a file moved on).
+const stubGitLab = ({ commit = 201 } = {}) => {
+  const routes = {
+    'GET /repository/branches/main': { commit: { id: 'c1' } },
+    [`GET /repository/tree?ref=c1${TREE}`]: [{ path: 'README.md', type: 'blob', id: 'readme-2', mode: '100644' }],
+    'GET /repository/commits?ref_name=c1&path=README.md&per_page=1': [{ id: 'c0' }],
+    'POST /repository/commits': commit === 201
+      ? { id: 'c2' }
+      : { message: 'You are attempting to update a file that has changed since you started editing it.' },
+    [`GET /repository/tree?ref=c2${TREE}`]: [
+      { path: 'README.md', type: 'blob', id: 'readme-3', mode: '100644' },
+      { path: 'NEW.md', type: 'blob', id: 'new-1', mode: '100644' }
+    ]
+  };
+  const fetch = vi.fn(async (url, { method }) => {
+    const key = `${method} ${url.slice(API.length)}`;
+    const status = key.startsWith('POST') ? commit : key in routes ? 200 : 404;
+    return new Response(JSON.stringify(routes[key] || { message: '404 Not Found' }), { status });
+  });
+  vi.stubGlobal('fetch', fetch);
+  return fetch;
+};
+
+const provider = () => createGitLabProvider({ baseUrl: 'https://gitlab.test', owner: 'octo', repo: 'docs', token: 't' });
+
+const writes = (fetch) => fetch.mock.calls.filter(([, init]) => init.method !== 'GET');
+
+afterEach(() => vi.unstubAllGlobals());
+
+describe('GitLab commitChanges', () => {
+  it('refuses to commit over a file that changed since it was loaded', async () => {
+    const fetch = stubGitLab();
+    const changes = [{ path: 'README.md', action: 'upsert', content: 'mine', baseSha: 'readme-1' }];
+
+    await expect(provider().commitChanges({ branch: 'main', message: 'Edit', changes }))
+      .rejects.toMatchObject({ status: 409, conflicts: [{ path: 'README.md', sha: 'readme-2' }] });
+    expect(writes(fetch)).toEqual([]);
+  });
+
+  it('commits every change in one request, guarding files by their last commit', async () => {
+    const fetch = stubGitLab();
+    const changes = [
+      { path: 'README.md', action: 'upsert', content: 'mine', baseSha: 'readme-2' },
+      { path: 'NEW.md', action: 'upsert', content: 'new' }
+    ];
+
+    const result = await provider().commitChanges({ branch: 'main', message: 'Edit', changes });
+    expect(result).toEqual({ sha: 'c2', tree: [{ path: 'README.md', sha: 'readme-3' }, { path: 'NEW.md', sha: 'new-1' }] });
+    expect(writes(fetch)).toHaveLength(1);
+    expect(JSON.parse(writes(fetch)[0][1].body).actions).toEqual([
+      { action: 'update', file_path: 'README.md', content: 'mine', encoding: 'text', last_commit_id: 'c0' },
+      { action: 'create', file_path: 'NEW.md', content: 'new', encoding: 'text' }
+    ]);
+  });
+
+  it('reports the branch moving when GitLab refuses a guarded file', async () => {
+    stubGitLab({ commit: 400 });
+    const changes = [{ path: 'README.md', action: 'upsert', content: 'mine', baseSha: 'readme-2' }];
+
+    await expect(provider().commitChanges({ branch: 'main', message: 'Edit', changes }))
+      .rejects.toThrow('main moved while committing');
+  });
+});
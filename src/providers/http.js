@@ -0,0 +1,171 @@
+// --- SHARED HTTP HELPERS FOR PROVIDERS ---
+
+// A repo path or branch name for use in a URL path: each segment is encoded, the `/`
+// between them kept (`docs/a b#1.md` -> `docs/a%20b%231.md`).
+export const encodePath = (path) => path.split('/').map(encodeURIComponent).join('/');
+
+export const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Thrown by writeFile when the file changed on the branch since `sha` was read.
+export const staleFileError = (path) => {
+  const error = new Error(`${path} changed on the branch since it was loaded`);
+  error.code = 'stale';
+  return error;
+};
+
+// Thrown by commitChanges when guarded files moved on the branch: conflicts = [{ path, sha }]
+export const conflictsError = (branch, conflicts) => {
+  const error = new Error(`${conflicts.length} file(s) changed on ${branch} since you loaded them`);
+  error.status = 409;
+  error.conflicts = conflicts;
+  return error;
+};
+
+// Thrown instead of sending a request once the API budget is used up.
+export const rateLimitError = (resetAt) => {
+  const when = resetAt ? `It resets at ${new Date(resetAt).toLocaleTimeString()}` : 'Try again in a few minutes';
+  const error = new Error(`API rate limit exceeded. ${when}.`);
+  error.status = 429;
+  error.code = 'rate_limited';
+  error.resetAt = resetAt;
+  return error;
+};
+
+// `<https://...?page=2>; rel="next", <...>; rel="last"` -> { next, last }
+export const parseLinkHeader = (header) => {
+  const links = {};
+  (header || '').split(',').forEach(part => {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="?([^";]+)"?/);
+    if (match) links[match[2]] = match[1];
+  });
+  return links;
+};
+
+// GitHub and Gitea send `X-RateLimit-*`; GitLab sends `RateLimit-*`. Reset is epoch seconds.
+const readRateLimit = (res) => {
+  const header = (name) => res.headers.get(`x-ratelimit-${name}`) ?? res.headers.get(`ratelimit-${name}`);
+  const remaining = header('remaining');
+  if (remaining === null) return null;
+  const reset = header('reset');
+  return { limit: Number(header('limit')), remaining: Number(remaining), resetAt: reset ? Number(reset) * 1000 : null };
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Conditional-request cache size per client (oldest entries are dropped first).
+const ETAG_CACHE_SIZE = 200;
+// Throttled requests are retried only when the server asks us to wait this long or less.
+const MAX_RETRY_WAIT = 60 * 1000;
+const MAX_RETRIES = 2;
+
+/**
+ * Minimal JSON client bound to an API root. Error bodies are unwrapped into the thrown
+ * Error's message (GitHub and Gitea use `message`, GitLab uses `message` or `error`).
+ *
+ * GET responses that carry an ETag are remembered and revalidated with `If-None-Match`;
+ * a 304 reuses the stored body and, on GitHub, costs no rate-limit quota. Every response's
+ * rate-limit headers are passed to `onRateLimit({ limit, remaining, resetAt })`. When
+ * throttled, short waits are retried automatically; otherwise a `rate_limited` error says
+ * when the budget resets, and further calls fail fast until then.
+ */
+export const createHttpClient = ({ baseUrl, headers, onRateLimit = () => {} }) => {
+  const etags = new Map(); // url -> { etag, data, links }
+  let rateLimit = null;
+
+  const send = async (url, { method = 'GET', body } = {}) => {
+    if (rateLimit?.remaining === 0 && rateLimit.resetAt > Date.now()) throw rateLimitError(rateLimit.resetAt);
+    const cached = method === 'GET' ? etags.get(url) : undefined;
+
+    for (let attempt = 0; ; attempt++) {
+      const res = await fetch(url, {
+        method,
+        headers: {
+          ...headers,
+          ...(body && { 'Content-Type': 'application/json' }),
+          ...(cached && { 'If-None-Match': cached.etag })
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+
+      const limit = readRateLimit(res);
+      if (limit) {
+        rateLimit = limit;
+        onRateLimit(limit);
+      }
+      if (res.status === 304 && cached) return cached;
+
+      // 429, or GitHub's 403 for an exhausted budget / secondary rate limit
+      const throttled = res.status === 429 || (res.status === 403 && (limit?.remaining === 0 || res.headers.has('retry-after')));
+      if (throttled) {
+        const retryAfter = Number(res.headers.get('retry-after'));
+        const wait = retryAfter ? retryAfter * 1000 : limit?.resetAt ? limit.resetAt - Date.now() : MAX_RETRY_WAIT;
+        if (attempt < MAX_RETRIES && wait <= MAX_RETRY_WAIT) {
+          await sleep(Math.max(wait, 1000));
+          continue;
+        }
+        throw rateLimitError(Date.now() + wait);
+      }
+
+      if (!res.ok) {
+        const errData = await res.json().catch(() => ({}));
+        const detail = errData.message || errData.error;
+        const message = typeof detail === 'string' ? detail : detail ? JSON.stringify(detail) : `Request failed (${res.status})`;
+        throw httpError(message, res.status);
+      }
+
+      const entry = {
+        data: res.status === 204 ? null : await res.json(),
+        links: parseLinkHeader(res.headers.get('link'))
+      };
+      const etag = res.headers.get('etag');
+      if (method === 'GET' && etag) {
+        etags.delete(url);
+        etags.set(url, { ...entry, etag });
+        if (etags.size > ETAG_CACHE_SIZE) etags.delete(etags.keys().next().value);
+      }
+      return entry;
+    }
+  };
+
+  const urlFor = (path) => (/^https?:\/\//.test(path) ? path : `${baseUrl}${path}`);
+
+  const request = async (path, options) => (await send(urlFor(path), options)).data;
+
+  // Like request(), but resolves to null on 404 instead of throwing.
+  const requestOrNull = async (path) => {
+    try {
+      return await request(path);
+    } catch (e) {
+      if (e.status === 404) return null;
+      throw e;
+    }
+  };
+
+  // GETs a list endpoint and follows `Link: rel="next"` for up to `maxPages` pages.
+  const requestAll = async (path, { maxPages = Infinity } = {}) => {
+    const items = [];
+    let url = urlFor(path);
+    for (let page = 0; url && page < maxPages; page++) {
+      const { data, links } = await send(url);
+      items.push(...data);
+      url = links.next;
+    }
+    return items;
+  };
+
+  return { request, requestOrNull, requestAll };
+};
+
+// The path a change reads from on the branch: the source of a move, else its own path.
+const sourcePath = (change) => (change.action === 'move' ? change.fromPath : change.path);
+
+// Returns the entries of `changes` whose branch copy no longer matches the blob the edit
+// started from. `headShas` maps path -> current blob SHA on the branch head.
+export const findStaleChanges = (changes, headShas) => changes
+  .filter(change => change.baseSha !== undefined)
+  .filter(change => (headShas.get(sourcePath(change)) || null) !== change.baseSha)
+  .map(change => ({ path: sourcePath(change), sha: headShas.get(sourcePath(change)) || null }));
@@ -0,0 +1,83 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createHttpClient } from './http';
+
+const json = (data, { status = 200, headers = {} } = {}) =>
+  new Response(status === 304 ? null : JSON.stringify(data), { status, headers });
+
+// Replaces fetch with `handler(url, init)` and records every call.
+const stubFetch = (handler) => {
+  const fetch = vi.fn(async (url, init) => handler(url, init));
+  vi.stubGlobal('fetch', fetch);
+  return fetch;
+};
+
+const client = (options) => createHttpClient({ baseUrl: 'https://api.test', headers: {}, ...options });
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.useRealTimers();
+});
+
+describe('createHttpClient', () => {
+  it('revalidates cached GETs with If-None-Match and reuses the body on 304', async () => {
+    const fetch = stubFetch((url, init) => (init.headers['If-None-Match'] === '"v1"'
+      ? json(null, { status: 304 })
+      : json({ name: 'repo' }, { headers: { etag: '"v1"' } })));
+    const { request } = client();
+
+    expect(await request('/repo')).toEqual({ name: 'repo' });
+    expect(await request('/repo')).toEqual({ name: 'repo' });
+    expect(fetch.mock.calls[1][1].headers['If-None-Match']).toBe('"v1"');
+  });
+
+  it('follows Link rel="next" across pages', async () => {
+    stubFetch(url => (url.endsWith('page=2')
+      ? json([3])
+      : json([1, 2], { headers: { link: '<https://api.test/items?page=2>; rel="next"' } })));
+
+    expect(await client().requestAll('/items')).toEqual([1, 2, 3]);
+  });
+
+  it('stops after maxPages', async () => {
+    const fetch = stubFetch(() => json([1], { headers: { link: '<https://api.test/items?page=2>; rel="next"' } }));
+
+    expect(await client().requestAll('/items', { maxPages: 1 })).toEqual([1]);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries after a short Retry-After wait', async () => {
+    vi.useFakeTimers();
+    let calls = 0;
+    stubFetch(() => (++calls === 1 ? json({}, { status: 429, headers: { 'retry-after': '2' } }) : json({ ok: true })));
+
+    const result = client().request('/repo');
+    await vi.advanceTimersByTimeAsync(2000);
+    expect(await result).toEqual({ ok: true });
+    expect(calls).toBe(2);
+  });
+
+  it('fails fast once the budget is used up until it resets', async () => {
+    const reset = Math.floor(Date.now() / 1000) + 3600;
+    const onRateLimit = vi.fn();
+    const fetch = stubFetch(() => json({ message: 'API rate limit exceeded' }, {
+      status: 403,
+      headers: { 'x-ratelimit-limit': '60', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) }
+    }));
+    const { request } = client({ onRateLimit });
+
+    await expect(request('/repo')).rejects.toMatchObject({ status: 429, code: 'rate_limited', resetAt: reset * 1000 });
+    expect(onRateLimit).toHaveBeenCalledWith({ limit: 60, remaining: 0, resetAt: reset * 1000 });
+    await expect(request('/other')).rejects.toMatchObject({ code: 'rate_limited' });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('unwraps error messages and maps 404 to null in requestOrNull', async () => {
+    stubFetch(url => (url.endsWith('/missing')
+      ? json({ message: 'Not Found' }, { status: 404 })
+      : json({ error: 'Bad token' }, { status: 401 })));
+    const { request, requestOrNull } = client();
+
+    expect(await requestOrNull('/missing')).toBeNull();
+    await expect(request('/private')).rejects.toMatchObject({ message: 'Bad token', status: 401 });
+  });
+});
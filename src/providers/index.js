@@ -0,0 +1,55 @@
+import { createDemoProvider } from './demo';
+import { createGitHubProvider } from './github';
+import { createGitLabProvider } from './gitlab';
+import { createGiteaProvider } from './gitea';
+
+export { resetDemoRepository } from './demo';
+
+// --- REPOSITORY PROVIDERS ---
+// Every backend exposes the same async interface; App only talks to this.
+//
+//   id, label
+//   webUrl(ref, path), rawUrl(ref, path)        -> string | null
+//   getRepository()                             -> { defaultBranch }
+//   getCurrentUser()                            -> { name }   (the token's owner)
+//   listBranches()                              -> [{ name, protected, sha }]
+//   getTree(branch)                             -> [{ path, type: 'blob', sha, mode? }]
+//   readFile(path, ref)                         -> { content, sha } | null
+//   readFileBase64(path, ref)                   -> base64 string | null   (raw bytes, e.g. images)
+//   writeFile({ path, content, sha, branch, message }) -> { sha }   (throws code 'stale')
+//   listHistory(path, branch)                   -> [{ sha, message, author, date }]
+//   blameFile(path, ref)                        -> [{ start, end, commit: { sha, message, author, date } }]
+//                                                  (1-based inclusive lines; null on hosts without blame)
+//   compareBranches(base, head)                 -> { ahead, behind }
+//   createBranch(name, fromBranch), deleteBranch(name)
+//   commitChanges({ branch, message, changes, onProgress }) -> { sha, tree: [{ path, sha }] }
+//                                                  (throws with `conflicts` on stale files)
+//     change: { action: 'upsert' | 'delete', path, content, encoding, baseSha?, mode? }
+//           | { action: 'move', fromPath, path, content?, encoding?, baseSha?, mode? }
+//             (a move without `content` keeps the file's bytes)
+//   createPullRequest({ title, body, head, base, draft }) -> PullRequest
+//   findPullRequest(branch)                     -> PullRequest | null
+//   simulateTeammateCommit(path, branch)        -> { sha, author }   (demo only: someone else
+//                                                  commits to `path`, making open copies stale)
+//
+// PullRequest: { number, title, status: 'open' | 'draft' | 'merged' | 'closed', url, headSha }
+//   (`headSha` is the head branch's commit the pull request was last at)
+
+export const PROVIDERS = [
+  { id: 'github', label: 'GitHub', defaultBaseUrl: 'https://api.github.com', baseUrlHint: 'API root, e.g. https://github.example.com/api/v3' },
+  { id: 'gitlab', label: 'GitLab', defaultBaseUrl: 'https://gitlab.com', baseUrlHint: 'Instance URL, e.g. https://gitlab.example.com' },
+  { id: 'gitea', label: 'Gitea / Forgejo', defaultBaseUrl: '', baseUrlHint: 'Instance URL, e.g. https://git.example.com' }
+];
+
+// `options.onRateLimit({ limit, remaining, resetAt })` reports the API budget after each response.
+export const createProvider = (config, options = {}) => {
+  if (config.mode === 'demo') return createDemoProvider();
+  switch (config.provider) {
+    case 'gitlab':
+      return createGitLabProvider(config, options);
+    case 'gitea':
+      return createGiteaProvider(config, options);
+    default:
+      return createGitHubProvider(config, options);
+  }
+};